@@ -0,0 +1,13 @@
+#!/usr/bin/env node
+
+const { run } = require('../src/cli');
+
+run(process.argv.slice(2)).then(
+  code => {
+    process.exitCode = code;
+  },
+  error => {
+    process.stderr.write(`${error.stack || error}\n`);
+    process.exitCode = 2;
+  }
+);
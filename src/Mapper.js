@@ -7,11 +7,36 @@ const { denormalize, denormalizeForPost, denormalizeForPatch } = require('./deno
 const { diff, hasChanges, getChangedPaths, isEqual } = require('./differ');
 const { 
   buildPatchPayload, 
+  getPatchContentType,
   buildPostPayload, 
   buildPutPayload,
   buildPartialPayload 
 } = require('./payloadBuilder');
-const { deepClone, invertMapping } = require('./utils');
+const { applyJsonPatch, formatPointer } = require('./jsonPatch');
+const { verifyTransform } = require('./transforms');
+const { createValidator } = require('./validator');
+const { generateMapperConfig } = require('./openapi');
+const { generateTypes } = require('./typegen');
+const { analyzeConfig } = require('./analyzer');
+const { compareRoundTrip, generateRecords, writtenPathFilter } = require('./roundTrip');
+const { variantConfig } = require('./variants');
+const { mergeForms } = require('./merge');
+const { resolveConcurrency, formatIfMatch } = require('./concurrency');
+const { resolveAccess, blockedFields, fieldsWithAccess, immutableChanges } = require('./access');
+const { createFormSession } = require('./session');
+const { createFieldTracker } = require('./tracker');
+const { parsePath, hasWildcard } = require('./path');
+const { MapperConfigError, ValidationError, ConflictError } = require('./errors');
+const {
+  deepClone,
+  invertMapping,
+  isFormToApiByKind,
+  findFormKey,
+  isPlainObject,
+  getNestedValue,
+  setNestedValue,
+  unsetNestedValue
+} = require('./utils');
 
 /**
  * Mapper class - Unified API for schema mapping and payload generation
@@ -21,10 +46,41 @@ class Mapper {
    * Create a new Mapper instance
    * @param {Object} config - Configuration object
    * @param {Object} config.apiToForm - API to form field mapping
-   * @param {Object} config.formToApi - (Optional) Explicit form to API mapping
-   * @param {Object} config.transforms - Field transformation functions
+   * @param {Object} config.formToApi - (Optional) Explicit form to API mapping,
+   *   or per payload kind: { default, post, put, patch }
+   * @param {Object} config.transforms - Field transforms: a function used both
+   *   ways, or { in: (apiValue, apiRecord), out: (formValue, formRecord) }
    * @param {Object} config.defaults - Default values for form fields
-   * @param {Function} config.validator - Validation function
+   * @param {Object} config.types - Field types keyed by form field ('string', 'integer',
+   *   'decimal', 'boolean', 'date', 'datetime', { type: 'enum', values } or a registered type);
+   *   array item fields use item paths such as 'lineItems[*].sku'
+   * @param {Function|Object} config.validator - Validation function, or declarative
+   *   rules keyed by form path (required, min, max, minLength, maxLength,
+   *   pattern, enum, custom) with `$cross` for cross-field rules
+   * @param {Object} config.profiles - Per-method profiles { post, put, patch }, each
+   *   with optional formToApi, allowedFields, forbiddenFields and transforms
+   * @param {Object} config.computed - Form fields derived from several API fields:
+   *   { [formKey]: { get(apiRecord), set(formValue, formRecord) => partial API record } }
+   * @param {Object} config.fanOut - One API field shown as several form fields:
+   *   { [apiPath]: { fields: [formKey], split(apiValue) => parts, join(parts) => apiValue } }
+   * @param {Object} config.fanIn - Several API fields shown as one form field:
+   *   { [formKey]: { fields: [apiPath], join(parts) => formValue, split(formValue) => parts } }
+   * @param {string} config.discriminator - API path whose value selects a variant
+   *   (must be mapped in apiToForm)
+   * @param {Object} config.variants - Per discriminator value, config merged over
+   *   the base: { [value]: { apiToForm, formToApi, transforms, defaults, types,
+   *   validator, computed, fanOut, fanIn } }
+   * @param {string|Object} config.concurrency - Optimistic locking token: its API
+   *   path (must be mapped in apiToForm), or { field, ifMatch }. It is sent with
+   *   every PATCH and PUT (only via getIfMatch() with `ifMatch: true`) and
+   *   ignored by hasChanges
+   * @param {Object} config.access - Per form path: 'readOnly' (never sent),
+   *   'writeOnly' (never read, sent on POST only) or 'immutable' (sent on POST
+   *   only; a changed value throws in PATCH with options.strictAccess)
+   * @param {Object} config.comparators - Custom equality per form path (wildcards
+   *   allowed): (a, b, path) => boolean, e.g. case-insensitive emails. Used by
+   *   diff, hasChanges, merge and every PATCH builder; fields it finds equal
+   *   are not sent
    */
   constructor(config = {}) {
     const {
@@ -32,26 +88,116 @@ class Mapper {
       formToApi = null,
       transforms = {},
       defaults = {},
+      types = {},
       validator = null,
+      profiles = {},
+      computed = {},
+      fanOut = {},
+      fanIn = {},
+      discriminator = null,
+      variants = {},
+      concurrency = null,
+      access = {},
+      comparators = {},
       options = {}
     } = config;
 
     if (!apiToForm || Object.keys(apiToForm).length === 0) {
-      throw new Error('Mapper requires apiToForm mapping configuration');
+      throw new MapperConfigError('Mapper requires apiToForm mapping configuration');
     }
 
+    const byKind = isFormToApiByKind(formToApi);
+
     this.apiToFormMapping = apiToForm;
-    this.formToApiMapping = formToApi || invertMapping(apiToForm);
+    this.formToApiConfig = formToApi;
+    this.formToApiByKind = byKind ? formToApi : {};
+    this.formToApiMapping = (byKind ? formToApi.default : formToApi) || invertMapping(apiToForm);
+
+    const writeMappings = [
+      invertMapping(apiToForm),
+      this.formToApiMapping,
+      ...Object.values(this.formToApiByKind),
+      ...Object.values(profiles).map(profile => profile && profile.formToApi)
+    ];
+    for (const mapping of writeMappings) {
+      if (isPlainObject(mapping)) {
+        assertConcretePaths(mapping);
+      }
+    }
     this.transforms = transforms;
     this.defaults = defaults;
-    this.validator = validator;
+    this.types = types;
+    this.validator = isPlainObject(validator) ? createValidator(validator) : validator;
+    this.profiles = profiles;
+    this.computed = computed;
+    this.fanOut = fanOut;
+    this.fanIn = fanIn;
+    this.access = resolveAccess(access);
+    this.comparators = comparators;
     this.options = {
       typeCoercion: true,
       omitUndefined: true,
       omitNull: false,
       compareArrays: true,
+      arrayKey: null,
+      patchFormat: 'merge',
+      strictAccess: false,
       ...options
     };
+
+    this.concurrency = concurrency;
+    this.concurrencyField = resolveConcurrency(concurrency, apiToForm);
+
+    // One mapper per variant, selected by the discriminator value
+    this.discriminator = discriminator;
+    this.variants = variants;
+    this.discriminatorKey = null;
+    this.variantMappers = {};
+
+    if (discriminator) {
+      this.discriminatorKey = findFormKey(apiToForm, discriminator);
+      if (!this.discriminatorKey) {
+        throw new MapperConfigError(`Discriminator "${discriminator}" must be mapped in apiToForm`, { apiPath: discriminator });
+      }
+
+      const baseConfig = {
+        apiToForm,
+        formToApi,
+        transforms,
+        defaults,
+        types,
+        validator: this.validator,
+        profiles,
+        computed,
+        fanOut,
+        fanIn,
+        concurrency,
+        access,
+        comparators,
+        options: this.options
+      };
+      for (const value in variants) {
+        if (variants.hasOwnProperty(value)) {
+          this.variantMappers[value] = new Mapper(variantConfig(baseConfig, variants[value]));
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the mapper for a record's variant
+   * @param {Object} record - API record or form data
+   * @param {string} source - 'form' (default) or 'api', the shape of `record`
+   * @returns {Mapper|null} Variant mapper, or null without a discriminator or
+   *   for a value with no variant (the base mapping is used)
+   */
+  getVariant(record, source = 'form') {
+    if (!this.discriminator) {
+      return null;
+    }
+
+    const value = getNestedValue(record, source === 'api' ? this.discriminator : this.discriminatorKey);
+    return this.variantMappers.hasOwnProperty(value) ? this.variantMappers[value] : null;
   }
 
   /**
@@ -60,11 +206,31 @@ class Mapper {
    * @returns {Object} Normalized form data
    */
   normalize(apiData) {
-    return normalize(apiData, this.apiToFormMapping, {
+    const variant = this.getVariant(apiData, 'api');
+    if (variant) {
+      return variant.normalize(apiData);
+    }
+
+    const formData = normalize(apiData, this.apiToFormMapping, {
       typeCoercion: this.options.typeCoercion,
       defaultValues: this.defaults,
-      transform: this.transforms
+      transform: this.transforms,
+      types: this.types,
+      computed: this.computed,
+      fanOut: this.fanOut,
+      fanIn: this.fanIn,
+      rawFields: tokenFields(this)
     });
+
+    // Write-only fields are never read back; they start from their default
+    for (const field of fieldsWithAccess(this.access, 'writeOnly')) {
+      unsetNestedValue(formData, field);
+      if (this.defaults.hasOwnProperty(field)) {
+        setNestedValue(formData, field, deepClone(this.defaults[field]));
+      }
+    }
+
+    return formData;
   }
 
   /**
@@ -73,7 +239,17 @@ class Mapper {
    * @returns {Object} API payload
    */
   denormalize(formData) {
+    const variant = this.getVariant(formData);
+    if (variant) {
+      return variant.denormalize(formData);
+    }
+
     return denormalize(formData, this.apiToFormMapping, {
+      formToApi: this.formToApiMapping,
+      types: this.types,
+      computed: this.computed,
+      fanOut: this.fanOut,
+      fanIn: this.fanIn,
       omitUndefined: this.options.omitUndefined,
       omitNull: this.options.omitNull,
       transform: this.transforms
@@ -88,7 +264,9 @@ class Mapper {
    */
   diff(original, current) {
     return diff(original, current, {
-      compareArrays: this.options.compareArrays
+      compareArrays: this.options.compareArrays,
+      arrayKey: this.options.arrayKey,
+      comparators: this.comparators
     });
   }
 
@@ -99,7 +277,7 @@ class Mapper {
    * @returns {boolean}
    */
   hasChanges(original, current) {
-    return hasChanges(original, current);
+    return hasChanges(withoutToken(this, original), withoutToken(this, current), { comparators: this.comparators });
   }
 
   /**
@@ -109,7 +287,36 @@ class Mapper {
    * @returns {Array<string>}
    */
   getChangedPaths(original, current) {
-    return getChangedPaths(original, current);
+    return getChangedPaths(original, current, { comparators: this.comparators });
+  }
+
+  /**
+   * Validate form data without throwing
+   * @param {Object} formData - Form data
+   * @param {Object} options - Validation options
+   * @param {string} options.mode - 'post' checks every field (with defaults),
+   *   'patch' only fields changed since `options.initial`
+   * @param {Object} options.initial - Original form state (patch mode)
+   * @returns {Object} { valid, errors }
+   */
+  validate(formData, options = {}) {
+    const variant = this.getVariant(formData);
+    if (variant) {
+      return variant.validate(formData, options);
+    }
+
+    const { mode = 'post', initial = {} } = options;
+
+    if (!this.validator) {
+      return { valid: true, errors: {} };
+    }
+
+    if (mode === 'patch') {
+      const changes = diff(initial, formData, { compareArrays: false, comparators: this.comparators });
+      return this.validator(changes, { mode, initial, current: formData });
+    }
+
+    return this.validator({ ...this.defaults, ...formData }, { mode });
   }
 
   /**
@@ -117,14 +324,148 @@ class Mapper {
    * @param {Object} initialForm - Original form state
    * @param {Object} currentForm - Current form state
    * @param {Object} options - Additional options
-   * @returns {Object|null} PATCH payload or null if no changes
+   * @param {string} options.format - 'merge' (default), 'merge-patch' for
+   *   RFC 7396 with null deletes, or 'json-patch' for RFC 6902 operations
+   * @param {Object} options.latest - Fresh API response; fields changed there
+   *   since `initialForm` that the user also changed are conflicts
+   * @param {string} options.onConflict - With `latest`: 'throw' (default) a
+   *   ConflictError, or 'skip' to leave the conflicting fields out
+   * @param {Array<string>} options.changedPaths - Form paths known to hold every
+   *   change; the 'merge' format compares only these (widened to the array
+   *   for paths inside one)
+   * @param {boolean} options.strictAccess - Throw a ValidationError when an
+   *   immutable field changed instead of leaving it out (defaults to
+   *   options.strictAccess)
+   * @returns {Object|Array|null} PATCH payload or null if no changes
+   *   When the discriminator changes, the PATCH is a full replacement: the PUT
+   *   payload for the new variant (a root 'replace' operation for json-patch)
    */
   buildPatch(initialForm, currentForm, options = {}) {
-    return buildPatchPayload(initialForm, currentForm, this.apiToFormMapping, {
-      transform: this.transforms,
+    if (options.latest) {
+      const { latest, onConflict = 'throw', ...patchOptions } = options;
+      const { conflicts } = this.merge(initialForm, currentForm, latest);
+
+      if (conflicts.length > 0 && onConflict === 'throw') {
+        const paths = conflicts.map(conflict => conflict.path).join(', ');
+        throw new ConflictError(`Fields changed on the server: ${paths}`, {
+          formPath: conflicts[0].path,
+          conflicts
+        });
+      }
+
+      // Skipped fields go back to their initial value so they are not sent
+      const current = deepClone(currentForm);
+      for (const { path, base } of conflicts) {
+        if (base === undefined) {
+          unsetNestedValue(current, path);
+        } else {
+          setNestedValue(current, path, deepClone(base));
+        }
+      }
+
+      return this.buildPatch(initialForm, current, patchOptions);
+    }
+
+    if (this.discriminator &&
+        getNestedValue(initialForm, this.discriminatorKey) !== getNestedValue(currentForm, this.discriminatorKey)) {
+      const { format = this.options.patchFormat, ...putOptions } = options;
+      const payload = this.buildPut(currentForm, putOptions);
+      return format === 'json-patch' ? [{ op: 'replace', path: '', value: payload }] : payload;
+    }
+
+    const variant = this.getVariant(currentForm);
+    if (variant) {
+      return variant.buildPatch(initialForm, currentForm, options);
+    }
+
+    const { strictAccess = this.options.strictAccess, ...callOptions } = options;
+    if (strictAccess) {
+      assertImmutable(this, initialForm, currentForm);
+    }
+
+    const patchOptions = {
+      ...this.getProfileOptions('patch'),
       validation: this.validator,
-      ...options
+      arrayKey: this.options.arrayKey,
+      arrayFormat: this.options.arrayFormat,
+      format: this.options.patchFormat,
+      comparators: this.comparators,
+      ...callOptions
+    };
+    const payload = buildPatchPayload(
+      withoutToken(this, initialForm),
+      withoutToken(this, currentForm),
+      this.apiToFormMapping,
+      patchOptions
+    );
+
+    // The token the form was loaded with goes along with any change
+    const token = this.getConcurrencyToken(initialForm);
+    if (!payload || token === undefined || this.concurrencyField.ifMatch) {
+      return payload;
+    }
+
+    const { field } = this.concurrencyField;
+    if (patchOptions.format === 'json-patch') {
+      return [{ op: 'test', path: formatPointer(parsePath(field)), value: token }, ...payload];
+    }
+
+    setNestedValue(payload, field, token);
+    return payload;
+  }
+
+  /**
+   * Get the Content-Type header for PATCH requests built by this mapper
+   * @param {string} format - PATCH format (defaults to options.patchFormat)
+   * @returns {string} Content-Type value
+   */
+  getPatchContentType(format = this.options.patchFormat) {
+    return getPatchContentType(format);
+  }
+
+  /**
+   * Replay JSON Patch operations (on API paths) against a normalized form
+   * @param {Object} formData - Normalized form state
+   * @param {Array<Object>} patch - JSON Patch operations
+   * @returns {Object} Patched form state
+   */
+  applyJsonPatch(formData, patch) {
+    const variant = this.getVariant(formData);
+    if (variant) {
+      return variant.applyJsonPatch(formData, patch);
+    }
+
+    const patched = applyJsonPatch(this.denormalize(formData), patch);
+    const normalized = normalize(patched, this.apiToFormMapping, {
+      typeCoercion: this.options.typeCoercion,
+      transform: this.transforms,
+      types: this.types,
+      computed: this.computed,
+      fanOut: this.fanOut,
+      fanIn: this.fanIn,
+      rawFields: tokenFields(this)
     });
+
+    // Keep form fields the mapping does not cover
+    return { ...unmappedFields(this, formData), ...normalized };
+  }
+
+  /**
+   * Three-way merge of local edits with a fresh API response
+   * @param {Object} base - Form state the edits started from
+   * @param {Object} mine - Edited form state
+   * @param {Object} theirs - Fresh API response (normalized before merging;
+   *   form fields the mapping does not cover count as unchanged there)
+   * @param {Object} options - Merge options
+   * @param {string|Function} options.strategy - Conflict resolution: 'mine'
+   *   (default), 'theirs', or (conflict) => value
+   * @param {Object} options.resolvers - Per form path (wildcards allowed):
+   *   'mine', 'theirs' or (conflict) => value
+   * @returns {Object} { merged, conflicts: [{ path, base, mine, theirs }] }
+   */
+  merge(base, mine, theirs, options = {}) {
+    const latest = { ...unmappedFields(this, base), ...this.normalize(theirs) };
+    return mergeForms(base, mine, latest, { comparators: this.comparators, ...options });
   }
 
   /**
@@ -134,8 +475,13 @@ class Mapper {
    * @returns {Object} POST payload
    */
   buildPost(formData, options = {}) {
+    const variant = this.getVariant(formData);
+    if (variant) {
+      return variant.buildPost(formData, options);
+    }
+
     return buildPostPayload(formData, this.apiToFormMapping, {
-      transform: this.transforms,
+      ...this.getProfileOptions('post'),
       validation: this.validator,
       defaults: this.defaults,
       ...options
@@ -149,12 +495,66 @@ class Mapper {
    * @returns {Object} PUT payload
    */
   buildPut(formData, options = {}) {
-    return buildPutPayload(formData, this.apiToFormMapping, {
-      transform: this.transforms,
+    const variant = this.getVariant(formData);
+    if (variant) {
+      return variant.buildPut(formData, options);
+    }
+
+    const payload = buildPutPayload(formData, this.apiToFormMapping, {
+      ...this.getProfileOptions('put'),
       validation: this.validator,
       defaults: this.defaults,
       ...options
     });
+
+    const token = this.getConcurrencyToken(formData);
+    if (this.concurrencyField?.ifMatch) {
+      unsetNestedValue(payload, this.concurrencyField.field);
+    } else if (token !== undefined) {
+      setNestedValue(payload, this.concurrencyField.field, token);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Get a form's concurrency token as the API sends it
+   * @param {Object} formData - Form data
+   * @returns {*} Token value, or undefined without a concurrency config or token
+   */
+  getConcurrencyToken(formData) {
+    if (!this.concurrencyField) {
+      return undefined;
+    }
+
+    const { field, formKey } = this.concurrencyField;
+    const token = {};
+    setNestedValue(token, formKey, getNestedValue(formData, formKey));
+    return getNestedValue(this.denormalize(token), field);
+  }
+
+  /**
+   * Get the If-Match header value for a form's concurrency token
+   * @param {Object} formData - Form data
+   * @returns {string|null} Quoted ETag, or null without a token
+   */
+  getIfMatch(formData) {
+    return formatIfMatch(this.getConcurrencyToken(formData));
+  }
+
+  /**
+   * Check whether the record changed on the server since the form loaded
+   * @param {Object} formData - Form data holding the token it was loaded with
+   * @param {Object} latest - Fresh API response
+   * @returns {boolean} True when the server's token differs
+   */
+  isStale(formData, latest) {
+    if (!this.concurrencyField) {
+      throw new MapperConfigError('isStale() requires a concurrency field');
+    }
+
+    // Both tokens go through the same normalize/denormalize round trip
+    return !isEqual(this.getConcurrencyToken(formData), this.getConcurrencyToken(this.normalize(latest)));
   }
 
   /**
@@ -165,12 +565,132 @@ class Mapper {
    * @returns {Object} Partial payload
    */
   buildPartial(formData, fields, options = {}) {
+    const variant = this.getVariant(formData);
+    if (variant) {
+      return variant.buildPartial(formData, fields, options);
+    }
+
     return buildPartialPayload(formData, fields, this.apiToFormMapping, {
-      transform: this.transforms,
+      ...this.getProfileOptions('patch'),
       ...options
     });
   }
 
+  /**
+   * Get the form to API mapping used for a payload kind
+   * @param {string} kind - 'post', 'put' or 'patch'
+   * @returns {Object} Form to API mapping
+   */
+  getFormToApi(kind) {
+    const profile = this.profiles[kind] || {};
+    return profile.formToApi || this.formToApiByKind[kind] || this.formToApiMapping;
+  }
+
+  /**
+   * Resolve payload builder options from the profile for a payload kind
+   * @param {string} kind - 'post', 'put' or 'patch'
+   * @returns {Object} formToApi, transform, types, computed, fanOut, fanIn,
+   *   allowedFields and forbiddenFields (the profile's plus fields whose
+   *   access flag keeps them out of this kind)
+   */
+  getProfileOptions(kind) {
+    const profile = this.profiles[kind] || {};
+    const forbidden = [...(profile.forbiddenFields || []), ...blockedFields(this.access, kind)];
+
+    return {
+      formToApi: this.getFormToApi(kind),
+      transform: { ...this.transforms, ...profile.transforms },
+      types: this.types,
+      computed: this.computed,
+      fanOut: this.fanOut,
+      fanIn: this.fanIn,
+      allowedFields: profile.allowedFields || null,
+      forbiddenFields: forbidden.length > 0 ? forbidden : null
+    };
+  }
+
+  /**
+   * Check that configured transforms round-trip sample API values
+   * @param {Object} samplesByField - Map of form field -> array of API values
+   * @returns {Object} { valid, failures: [{ field, input, parsed, output }] }
+   */
+  verifyTransforms(samplesByField) {
+    const failures = [];
+
+    for (const field in samplesByField) {
+      if (!samplesByField.hasOwnProperty(field)) continue;
+
+      const result = verifyTransform(this.transforms[field], samplesByField[field]);
+      failures.push(...result.failures.map(failure => ({ field, ...failure })));
+    }
+
+    return {
+      valid: failures.length === 0,
+      failures
+    };
+  }
+
+  /**
+   * Check that API records survive normalize -> denormalize and
+   * normalize -> buildPost unchanged
+   * Only mapped paths the stage's write mapping covers are compared
+   * @param {Array<Object>|number} samples - API fixtures, or how many random
+   *   records to generate from the mapping shape
+   * @param {Object} options - Generator options (seed, missingRate, nullRate)
+   * @returns {Object} { valid, failures: [{ sample, stage, path, kind, input, output }], samples }
+   *   `kind` is 'changed', 'type', 'dropped' or 'error' (with `error`)
+   */
+  verifyRoundTrip(samples, options = {}) {
+    const records = typeof samples === 'number'
+      ? generateRecords(this.apiToFormMapping, samples, { types: this.types, ...options })
+      : samples;
+
+    const stages = mapper => [
+      {
+        stage: 'denormalize',
+        run: form => mapper.denormalize(form),
+        isWritten: writtenPathFilter(mapper.formToApiMapping)
+      },
+      {
+        stage: 'post',
+        run: form => mapper.buildPost(form),
+        isWritten: writtenPathFilter(mapper.getFormToApi('post'), mapper.getProfileOptions('post'))
+      }
+    ];
+
+    const failures = [];
+
+    records.forEach((record, sample) => {
+      // Each record is checked against its own variant's mapping
+      const mapper = this.getVariant(record, 'api') || this;
+
+      let form;
+      try {
+        form = mapper.normalize(record);
+      } catch (error) {
+        failures.push({ sample, stage: 'normalize', path: error.apiPath, kind: 'error', error });
+        return;
+      }
+
+      for (const { stage, run, isWritten } of stages(mapper)) {
+        try {
+          const output = run(deepClone(form));
+          for (const change of compareRoundTrip(record, output, mapper.apiToFormMapping, isWritten)) {
+            failures.push({ sample, stage, ...change });
+          }
+        } catch (error) {
+          failures.push({ sample, stage, path: error.apiPath || error.formPath, kind: 'error', error });
+        }
+      }
+    });
+
+    return {
+      valid: failures.length === 0,
+      failures,
+      samples: records
+    };
+  }
+
   /**
    * Complete workflow: GET -> normalize -> edit -> PATCH
    * @param {Object} apiData - Original API response
@@ -182,6 +702,25 @@ class Mapper {
     return this.buildPatch(initialForm, editedForm);
   }
 
+  /**
+   * Start an editing session with undo/redo for an API record
+   * @param {Object} apiData - API record being edited
+   * @param {Object} options - Session options ({ limit } undo entries)
+   * @returns {Object} Form session (see createFormSession)
+   */
+  createSession(apiData, options = {}) {
+    return createFormSession(this, apiData, options);
+  }
+
+  /**
+   * Start tracking dirty/touched flags per field for an API record
+   * @param {Object} apiData - API record being edited
+   * @returns {Object} Field tracker (see createFieldTracker)
+   */
+  createTracker(apiData) {
+    return createFieldTracker(this, apiData);
+  }
+
   /**
    * Clone the mapper with modified configuration
    * @param {Object} config - Configuration overrides
@@ -190,15 +729,90 @@ class Mapper {
   clone(config = {}) {
     return new Mapper({
       apiToForm: this.apiToFormMapping,
-      formToApi: this.formToApiMapping,
+      formToApi: this.formToApiConfig,
       transforms: this.transforms,
       defaults: this.defaults,
+      types: this.types,
       validator: this.validator,
+      profiles: this.profiles,
+      computed: this.computed,
+      fanOut: this.fanOut,
+      fanIn: this.fanIn,
+      discriminator: this.discriminator,
+      variants: this.variants,
+      concurrency: this.concurrency,
+      access: this.access,
+      comparators: this.comparators,
       options: this.options,
       ...config
     });
   }
 
+  /**
+   * Create a mapper from an OpenAPI 3 or JSON Schema document
+   * @param {Object|string} document - Parsed document or path to a local JSON file
+   * @param {Object|string} selector - Operation id or path (see generateMapperConfig)
+   * @param {Object} options - Generator options plus `config` overrides
+   * @returns {Mapper} New mapper instance
+   */
+  static fromOpenApi(document, selector, options = {}) {
+    const { config = {}, ...generatorOptions } = options;
+    return new Mapper({
+      ...generateMapperConfig(document, selector, generatorOptions),
+      ...config
+    });
+  }
+
+  /**
+   * Statically check a config for mapping mistakes (see analyzeConfig)
+   * @param {Object} config - Mapper config
+   * @returns {Object} { valid, issues }
+   */
+  static analyze(config) {
+    return analyzeConfig(config);
+  }
+
+  /**
+   * Statically check this mapper's config for mapping mistakes
+   * @returns {Object} { valid, issues }
+   */
+  analyze() {
+    return analyzeConfig({
+      apiToForm: this.apiToFormMapping,
+      formToApi: this.formToApiConfig,
+      transforms: this.transforms,
+      defaults: this.defaults,
+      types: this.types,
+      validator: this.validator,
+      profiles: this.profiles,
+      computed: this.computed,
+      fanOut: this.fanOut,
+      fanIn: this.fanIn,
+      discriminator: this.discriminator,
+      variants: this.variants,
+      concurrency: this.concurrency,
+      access: this.access,
+      comparators: this.comparators
+    });
+  }
+
+  /**
+   * Generate TypeScript interfaces for this mapper's API and form shapes
+   * @param {Object} options - { name, apiName, formName } (see generateTypes)
+   * @returns {string} TypeScript source
+   */
+  generateTypes(options = {}) {
+    return generateTypes({
+      apiToForm: this.apiToFormMapping,
+      types: this.types,
+      defaults: this.defaults,
+      validator: this.validator,
+      computed: this.computed,
+      fanOut: this.fanOut,
+      fanIn: this.fanIn
+    }, options);
+  }
+
   /**
    * Export mapping configuration
    * @returns {Object} Mapper configuration
@@ -206,12 +820,106 @@ class Mapper {
   getConfig() {
     return {
       apiToForm: deepClone(this.apiToFormMapping),
-      formToApi: deepClone(this.formToApiMapping),
+      formToApi: deepClone(this.formToApiConfig || this.formToApiMapping),
       transforms: { ...this.transforms },
       defaults: deepClone(this.defaults),
+      types: { ...this.types },
+      profiles: { ...this.profiles },
+      computed: { ...this.computed },
+      fanOut: { ...this.fanOut },
+      fanIn: { ...this.fanIn },
+      discriminator: this.discriminator,
+      variants: deepClone(this.variants),
+      concurrency: deepClone(this.concurrency),
+      access: { ...this.access },
+      comparators: { ...this.comparators },
       options: { ...this.options }
     };
   }
 }
 
+/**
+ * Form fields read exactly as the API sent them: the concurrency token, so it
+ * goes back byte for byte (a "12" version stays a string)
+ */
+function tokenFields(mapper) {
+  return mapper.concurrencyField ? [mapper.concurrencyField.formKey] : [];
+}
+
+/**
+ * Copy form data without the concurrency token, which never counts as a change
+ */
+function withoutToken(mapper, formData) {
+  if (!mapper.concurrencyField || !isPlainObject(formData)) {
+    return formData;
+  }
+
+  const copy = deepClone(formData);
+  unsetNestedValue(copy, mapper.concurrencyField.formKey);
+  return copy;
+}
+
+/**
+ * Throw a ValidationError listing immutable fields changed between two states
+ */
+function assertImmutable(mapper, initialForm, currentForm) {
+  const changed = immutableChanges(mapper.access, initialForm, currentForm, mapper.comparators);
+  if (changed.length === 0) {
+    return;
+  }
+
+  const errors = {};
+  for (const path of changed) {
+    errors[path] = ['is immutable'];
+  }
+
+  throw new ValidationError(`Immutable fields cannot be changed: ${changed.join(', ')}`, {
+    errors,
+    formPath: changed[0],
+    value: currentForm
+  });
+}
+
+/**
+ * Throw for wildcard paths in a flat write mapping: a wildcard reads every
+ * match, but there is nothing to expand it against when writing back
+ */
+function assertConcretePaths(formToApi) {
+  for (const formKey in formToApi) {
+    if (!formToApi.hasOwnProperty(formKey)) continue;
+
+    const target = formToApi[formKey];
+    const apiPath = Array.isArray(target) ? target[1] : target;
+
+    for (const path of [formKey, apiPath]) {
+      if (typeof path === 'string' && hasWildcard(path)) {
+        throw new MapperConfigError(
+          `Wildcard path "${path}" cannot be mapped; map the array with [itemMapping, formKey] instead`,
+          { formPath: formKey, apiPath }
+        );
+      }
+    }
+
+    if (Array.isArray(target) && isPlainObject(target[0])) {
+      assertConcretePaths(target[0]);
+    }
+  }
+}
+
+/**
+ * Pick the top-level form fields the mapper's write mapping does not cover
+ */
+function unmappedFields(mapper, formData) {
+  const mappedRoots = new Set(Object.keys(mapper.formToApiMapping).map(key => String(parsePath(key)[0])));
+  const unmapped = {};
+
+  for (const key in formData) {
+    if (formData.hasOwnProperty(key) && !mappedRoots.has(key)) {
+      unmapped[key] = formData[key];
+    }
+  }
+
+  return unmapped;
+}
+
 module.exports = Mapper;
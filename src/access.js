@@ -0,0 +1,90 @@
+/**
+ * Access - Per-field flags limiting which payloads a form field is sent in
+ *
+ *   readOnly   read from the API, never sent (ids, timestamps, server scores)
+ *   writeOnly  sent on create only, never read into the form (passwords)
+ *   immutable  sent on create only; PUT and PATCH leave it out
+ */
+
+const { isEqual } = require('./differ');
+const { getNestedValue } = require('./utils');
+const { WILDCARD, parsePath, expandPath } = require('./path');
+const { MapperConfigError } = require('./errors');
+
+const ACCESS_FLAGS = ['readOnly', 'writeOnly', 'immutable'];
+
+/**
+ * Check an access config
+ * @param {Object} access - { [formPath]: 'readOnly' | 'writeOnly' | 'immutable' }
+ * @returns {Object} The same config
+ */
+function resolveAccess(access = {}) {
+  for (const formPath in access) {
+    if (access.hasOwnProperty(formPath) && !ACCESS_FLAGS.includes(access[formPath])) {
+      throw new MapperConfigError(
+        `Unknown access flag "${access[formPath]}" for "${formPath}" (expected ${ACCESS_FLAGS.join(', ')})`,
+        { formPath }
+      );
+    }
+  }
+
+  return access;
+}
+
+/**
+ * List the form paths a payload kind must not send
+ * PUT and PATCH send arrays whole, so read-only and immutable fields inside
+ * array items stay in them; dropping them would strip the server's items
+ * @param {Object} access - Access config
+ * @param {string} kind - 'post', 'put' or 'patch'
+ * @returns {Array<string>} Form paths (may hold wildcards)
+ */
+function blockedFields(access, kind) {
+  return Object.keys(access).filter(formPath => kind === 'post'
+    ? access[formPath] === 'readOnly'
+    : access[formPath] === 'writeOnly' || !isItemPath(formPath));
+}
+
+/**
+ * Check whether a form path points inside array items (or map entries)
+ */
+function isItemPath(formPath) {
+  return parsePath(formPath).slice(0, -1).some(segment => segment === WILDCARD || typeof segment === 'number');
+}
+
+/**
+ * List the form paths with a given flag
+ */
+function fieldsWithAccess(access, flag) {
+  return Object.keys(access).filter(formPath => access[formPath] === flag);
+}
+
+/**
+ * Find immutable fields whose value differs between two form states
+ * @param {Object} access - Access config
+ * @param {Object} initial - Original form state
+ * @param {Object} current - Current form state
+ * @param {Object} comparators - Custom equality per form path
+ * @returns {Array<string>} Concrete form paths that changed
+ */
+function immutableChanges(access, initial, current, comparators = null) {
+  const changed = [];
+
+  for (const field of fieldsWithAccess(access, 'immutable')) {
+    const paths = new Set([...expandPath(initial, field), ...expandPath(current, field)]);
+    for (const path of paths) {
+      if (!isEqual(getNestedValue(initial, path), getNestedValue(current, path), { comparators, path })) {
+        changed.push(path);
+      }
+    }
+  }
+
+  return changed;
+}
+
+module.exports = {
+  resolveAccess,
+  blockedFields,
+  fieldsWithAccess,
+  immutableChanges
+};
@@ -0,0 +1,394 @@
+/**
+ * Analyzer - Static checks for Mapper configurations
+ */
+
+const { isPlainObject, invertMapping, isFormToApiByKind, findFormKey } = require('./utils');
+const { variantConfig } = require('./variants');
+const { parsePath, joinPath, matchPath, hasWildcard } = require('./path');
+
+const PAYLOAD_KINDS = ['post', 'put', 'patch'];
+
+/**
+ * Analyze a Mapper config for mistakes that would otherwise only show up at runtime
+ * @param {Object} config - Mapper config (same shape as `new Mapper(config)`)
+ * @returns {Object} { valid, issues: [{ severity, code, path, message }] }
+ *   `valid` is false when any issue has severity 'error'
+ *
+ * Codes:
+ * - invalid-mapping: a mapping value is not a form key, nested mapping or array
+ *   entry, or the discriminator or concurrency field is not mapped
+ * - invalid-path: a mapping key, form key or API path does not parse as a path,
+ *   or uses a wildcard (wildcard paths read every match but cannot be written)
+ * - collision: two API paths read into one form field (or two form fields
+ *   write one API path, or a computed or composite field reuses a mapped one);
+ *   invertMapping keeps only the last
+ * - shadowed-path: a field and a path nested under it are both mapped, so
+ *   one overwrites the other
+ * - unreachable: a write mapping uses a form field nothing reads or defaults
+ * - unknown-transform / unknown-type / unknown-rule / unknown-profile-field /
+ *   unknown-access-field / unknown-comparator: config keyed by a form field
+ *   that no mapping uses
+ * - unmapped-default: a default for a field that is never written to the API
+ *
+ * Each variant is analyzed with its merged config; issues the base config
+ * does not already have are reported with the variant name in the message.
+ */
+function analyzeConfig(config = {}) {
+  const {
+    apiToForm,
+    formToApi = null,
+    transforms = {},
+    defaults = {},
+    types = {},
+    validator = null,
+    profiles = {},
+    computed = {},
+    fanOut = {},
+    fanIn = {},
+    discriminator = null,
+    variants = {},
+    concurrency = null,
+    access = {},
+    comparators = {}
+  } = config;
+
+  const issues = [];
+  const report = (severity, code, path, message) => {
+    issues.push({ severity, code, path, message });
+  };
+
+  if (!isPlainObject(apiToForm) || Object.keys(apiToForm).length === 0) {
+    report('error', 'invalid-mapping', '', 'apiToForm mapping is missing or empty');
+    return { valid: false, issues };
+  }
+
+  // Read side: every form field apiToForm produces, plus computed fields
+  const readFields = checkReadMapping(apiToForm, '', report);
+
+  // The remaining checks invert apiToForm, which needs every path to parse
+  if (issues.some(issue => issue.code === 'invalid-path')) {
+    return { valid: false, issues };
+  }
+
+  for (const formKey in computed) {
+    if (!computed.hasOwnProperty(formKey)) continue;
+
+    if (readFields.has(formKey)) {
+      report('error', 'collision', formKey, `Form field "${formKey}" is both mapped in apiToForm and computed`);
+    }
+    if (computed[formKey] && typeof computed[formKey].get === 'function') {
+      readFields.add(formKey);
+    }
+  }
+
+  // Fan-out parts and fan-in fields are read and written through split/join
+  const compositeFields = [];
+  for (const apiPath in fanOut) {
+    if (fanOut.hasOwnProperty(apiPath) && fanOut[apiPath]) {
+      compositeFields.push(...(fanOut[apiPath].fields || []));
+    }
+  }
+  compositeFields.push(...Object.keys(fanIn));
+
+  for (const formKey of compositeFields) {
+    if (readFields.has(formKey)) {
+      report('error', 'collision', formKey, `Form field "${formKey}" is both mapped and part of a fan-out or fan-in`);
+    }
+    readFields.add(formKey);
+  }
+
+  // Write side: default/per-kind/profile formToApi mappings, or the inverted read mapping
+  const writeMappings = collectWriteMappings(apiToForm, formToApi, profiles);
+  const writtenFields = new Set();
+
+  for (const { name, mapping } of writeMappings) {
+    checkWriteMapping(mapping, name, report);
+
+    for (const formKey in mapping) {
+      if (!mapping.hasOwnProperty(formKey)) continue;
+      writtenFields.add(formKey);
+
+      if (!readFields.has(formKey) && !(formKey in defaults)) {
+        report('warning', 'unreachable', formKey,
+          `${name} writes form field "${formKey}", but apiToForm never reads it and it has no default`);
+      }
+    }
+  }
+
+  for (const formKey in computed) {
+    if (computed.hasOwnProperty(formKey) && computed[formKey] && typeof computed[formKey].set === 'function') {
+      writtenFields.add(formKey);
+    }
+  }
+
+  compositeFields.forEach(formKey => writtenFields.add(formKey));
+
+  const knownFields = new Set([...readFields, ...writtenFields]);
+  const isKnown = path => knownFields.has(path) || [...knownFields].some(field =>
+    isWithin(field, path) || isWithin(path, field)
+  );
+
+  const checkKeys = (keys, code, label) => {
+    for (const key of keys) {
+      if (!isKnown(key)) {
+        report('warning', code, key, `${label} "${key}" does not match any mapped form field`);
+      }
+    }
+  };
+
+  checkKeys(Object.keys(transforms), 'unknown-transform', 'Transform');
+  checkKeys(Object.keys(types), 'unknown-type', 'Type for');
+  checkKeys(Object.keys(access), 'unknown-access-field', 'Access flag for');
+  checkKeys(Object.keys(comparators), 'unknown-comparator', 'Comparator for');
+
+  const rules = typeof validator === 'function' ? validator.rules : validator;
+  if (isPlainObject(rules)) {
+    checkKeys(Object.keys(rules).filter(key => key !== '$cross'), 'unknown-rule', 'Validation rule for');
+    for (const rule of rules.$cross || []) {
+      checkKeys(rule.fields || [], 'unknown-rule', 'Cross-field rule field');
+    }
+  }
+
+  for (const kind of PAYLOAD_KINDS) {
+    const profile = profiles[kind];
+    if (!profile) continue;
+
+    checkKeys(Object.keys(profile.transforms || {}), 'unknown-transform', `${kind} profile transform`);
+    checkKeys([...(profile.allowedFields || []), ...(profile.forbiddenFields || [])],
+      'unknown-profile-field', `${kind} profile field`);
+  }
+
+  for (const key of Object.keys(defaults)) {
+    if (!writtenFields.has(key) && ![...writtenFields].some(field => isWithin(field, key))) {
+      report('warning', 'unmapped-default', key,
+        `Default for "${key}" is not written to any API field and is dropped from payloads`);
+    }
+  }
+
+  const concurrencyField = typeof concurrency === 'string' ? concurrency : concurrency?.field;
+  if (concurrency && !isMappedPath(apiToForm, concurrencyField)) {
+    report('error', 'invalid-mapping', concurrencyField || '',
+      `Concurrency field "${concurrencyField}" is not mapped in apiToForm`);
+  }
+
+  if (discriminator) {
+    if (!isMappedPath(apiToForm, discriminator)) {
+      report('error', 'invalid-mapping', discriminator, `Discriminator "${discriminator}" is not mapped in apiToForm`);
+    }
+
+    const seen = new Set(issues.map(issue => `${issue.code} ${issue.path} ${issue.message}`));
+    for (const value in variants) {
+      if (!variants.hasOwnProperty(value)) continue;
+
+      for (const issue of analyzeConfig(variantConfig(config, variants[value])).issues) {
+        if (!seen.has(`${issue.code} ${issue.path} ${issue.message}`)) {
+          report(issue.severity, issue.code, issue.path, `Variant "${value}": ${issue.message}`);
+        }
+      }
+    }
+  }
+
+  return {
+    valid: !issues.some(issue => issue.severity === 'error'),
+    issues
+  };
+}
+
+/**
+ * Check an apiToForm mapping; returns the form fields it produces
+ */
+function checkReadMapping(mapping, scope, report) {
+  const sources = new Map();
+
+  function walk(node, prefix) {
+    for (const apiKey in node) {
+      if (!node.hasOwnProperty(apiKey)) continue;
+
+      const value = node[apiKey];
+      const keyError = mappingPathError(apiKey);
+      if (keyError) {
+        report('error', 'invalid-path', scope + apiKey, keyError);
+        continue;
+      }
+      const apiPath = joinPath(prefix, ...parsePath(apiKey));
+
+      if (typeof value === 'string') {
+        addSource(value, apiPath);
+      } else if (isPlainObject(value)) {
+        if (Object.keys(value).length === 0) {
+          report('warning', 'invalid-mapping', scope + apiPath, `Nested mapping "${scope + apiPath}" is empty`);
+        }
+        walk(value, apiPath);
+      } else if (Array.isArray(value) && (value[1] === undefined || typeof value[1] === 'string')) {
+        const [itemMapping, formKey = apiKey] = value;
+        addSource(formKey, apiPath);
+        if (isPlainObject(itemMapping)) {
+          checkReadMapping(itemMapping, `${scope}${apiPath}[].`, report);
+        }
+      } else {
+        report('error', 'invalid-mapping', scope + apiPath,
+          `Mapping for "${scope + apiPath}" must be a form key, a nested mapping or [itemMapping, formKey]`);
+      }
+    }
+  }
+
+  function addSource(formKey, apiPath) {
+    const keyError = mappingPathError(formKey);
+    if (keyError) {
+      report('error', 'invalid-path', scope + apiPath, keyError);
+      return;
+    }
+    if (!sources.has(formKey)) {
+      sources.set(formKey, []);
+    }
+    sources.get(formKey).push(apiPath);
+  }
+
+  walk(mapping, '');
+
+  for (const [formKey, apiPaths] of sources) {
+    if (apiPaths.length > 1) {
+      report('error', 'collision', scope + formKey,
+        `Form field "${scope + formKey}" is read from ${apiPaths.map(path => `"${scope + path}"`).join(' and ')}; ` +
+        `only "${scope + apiPaths[apiPaths.length - 1]}" is written back`);
+    }
+  }
+
+  reportShadowing([...sources.keys()], scope, 'Form field', report);
+
+  return new Set(sources.keys());
+}
+
+/**
+ * Check a flat formToApi mapping for write collisions and shadowed API paths
+ */
+function checkWriteMapping(mapping, name, report) {
+  const targets = new Map();
+
+  for (const formKey in mapping) {
+    if (!mapping.hasOwnProperty(formKey)) continue;
+
+    const target = mapping[formKey];
+    const apiPath = Array.isArray(target) ? target[1] : target;
+
+    if (typeof apiPath !== 'string') {
+      report('error', 'invalid-mapping', formKey, `${name} entry for "${formKey}" must be an API path or [itemMapping, apiPath]`);
+      continue;
+    }
+
+    const keyError = mappingPathError(formKey) || mappingPathError(apiPath);
+    if (keyError) {
+      report('error', 'invalid-path', formKey, `${name}: ${keyError}`);
+      continue;
+    }
+
+    if (!targets.has(apiPath)) {
+      targets.set(apiPath, []);
+    }
+    targets.get(apiPath).push(formKey);
+  }
+
+  for (const [apiPath, formKeys] of targets) {
+    if (formKeys.length > 1) {
+      report('error', 'collision', apiPath,
+        `${name} writes API field "${apiPath}" from ${formKeys.map(key => `"${key}"`).join(' and ')}`);
+    }
+  }
+
+  reportShadowing([...targets.keys()], '', `${name} API field`, report);
+}
+
+/**
+ * Report paths mapped both as a value and as a parent of other paths
+ */
+function reportShadowing(paths, scope, label, report) {
+  const sorted = [...paths].sort();
+
+  for (const path of sorted) {
+    const nested = sorted.find(other => other !== path && isWithin(other, path));
+    if (nested) {
+      report('error', 'shadowed-path', scope + path,
+        `${label} "${scope + path}" and nested "${scope + nested}" overwrite each other`);
+    }
+  }
+}
+
+/**
+ * Whether `path` is `parent` or nested under it (false when either does not parse)
+ */
+function isWithin(path, parent) {
+  try {
+    return matchPath(parent, path, { prefix: true });
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Parse error message for a path, or null when it parses
+ */
+function pathError(path) {
+  try {
+    parsePath(path);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Like pathError, also rejecting wildcards, which a mapping cannot write back
+ */
+function mappingPathError(path) {
+  const error = pathError(path);
+  if (error || !hasWildcard(path)) {
+    return error;
+  }
+  return `Wildcard path "${path}" cannot be mapped; map the array with [itemMapping, formKey] instead`;
+}
+
+/**
+ * Check whether an API path parses and is read into a form field
+ */
+function isMappedPath(apiToForm, apiPath) {
+  return typeof apiPath === 'string' && !pathError(apiPath) && findFormKey(apiToForm, apiPath) !== null;
+}
+
+/**
+ * List the flat write mappings a config can use, with a label for messages
+ */
+function collectWriteMappings(apiToForm, formToApi, profiles) {
+  const mappings = [];
+  const byKind = isFormToApiByKind(formToApi);
+
+  const defaultMapping = byKind ? formToApi.default : formToApi;
+  mappings.push({
+    name: defaultMapping ? 'formToApi' : 'Inverted apiToForm',
+    mapping: defaultMapping || invertMapping(apiToForm)
+  });
+
+  for (const kind of PAYLOAD_KINDS) {
+    if (byKind && formToApi[kind]) {
+      mappings.push({ name: `formToApi.${kind}`, mapping: formToApi[kind] });
+    }
+    if (profiles[kind] && profiles[kind].formToApi) {
+      mappings.push({ name: `${kind} profile formToApi`, mapping: profiles[kind].formToApi });
+    }
+  }
+
+  return mappings;
+}
+
+/**
+ * Format analysis issues as one line each (for the lint command)
+ */
+function formatIssues(issues) {
+  return issues
+    .map(issue => `${issue.severity.padEnd(7)} ${issue.code.padEnd(21)} ${issue.message}`)
+    .join('\n');
+}
+
+module.exports = {
+  analyzeConfig,
+  formatIssues
+};
@@ -0,0 +1,286 @@
+/**
+ * CLI - Apply a Mapper config to JSON files or stdin
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Mapper = require('./Mapper');
+const { MapperError, ValidationError } = require('./errors');
+const { formatErrors } = require('./validator');
+const { getPatchContentType } = require('./payloadBuilder');
+const { analyzeConfig, formatIssues } = require('./analyzer');
+
+const USAGE = `Usage: api-schema-mapper <command> --config <file> [input...] [options]
+
+Commands:
+  normalize     API records -> form records
+  denormalize   Form records -> API payloads
+  post          Form records -> POST payloads (defaults + validation)
+  diff          Original and current form records -> changed fields
+  patch         Original and current form records -> PATCH payloads
+  lint          Check the config for mapping mistakes (no inputs)
+
+Inputs are JSON files ('-' or none reads stdin). diff and patch take two
+inputs (original, current), or one input of { "original", "current" } records.
+
+Options:
+  -c, --config <file>   Mapper config (.js or .json) or module exporting a Mapper
+  --ndjson              Read and write newline-delimited JSON batches
+  --format <format>     PATCH format: merge, merge-patch or json-patch
+  --compact             Print JSON on one line
+  -h, --help            Show this help
+
+Exit codes: 0 success, 1 validation or lint errors, 2 usage or input error`;
+
+const COMMANDS = {
+  normalize: { inputs: 1, run: (mapper, [record]) => mapper.normalize(record) },
+  denormalize: { inputs: 1, run: (mapper, [record]) => mapper.denormalize(record) },
+  post: { inputs: 1, run: (mapper, [record]) => mapper.buildPost(record) },
+  diff: { inputs: 2, run: (mapper, [original, current]) => mapper.diff(original, current) },
+  patch: {
+    inputs: 2,
+    run: (mapper, [original, current], options) =>
+      mapper.buildPatch(original, current, options.format ? { format: options.format } : {})
+  },
+  lint: { inputs: 0 }
+};
+
+/**
+ * Run the CLI
+ * @param {Array<string>} argv - Arguments after the executable
+ * @param {Object} io - { stdin, stdout, stderr, cwd } (defaults to process)
+ * @returns {Promise<number>} Exit code
+ */
+async function run(argv, io = {}) {
+  const {
+    stdin = process.stdin,
+    stdout = process.stdout,
+    stderr = process.stderr,
+    cwd = process.cwd()
+  } = io;
+
+  let args;
+  try {
+    args = parseArgs(argv);
+  } catch (error) {
+    stderr.write(`${error.message}\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  if (args.help || !args.command) {
+    (args.help ? stdout : stderr).write(`${USAGE}\n`);
+    return args.help ? 0 : 2;
+  }
+
+  const command = COMMANDS[args.command];
+  if (!command) {
+    stderr.write(`Unknown command: ${args.command}\n\n${USAGE}\n`);
+    return 2;
+  }
+  if (!args.config) {
+    stderr.write(`Missing --config\n\n${USAGE}\n`);
+    return 2;
+  }
+
+  let mapper;
+  let recordArgs;
+  try {
+    const loaded = loadConfig(path.resolve(cwd, args.config));
+    if (command.inputs === 0) {
+      return lint(loaded, stdout);
+    }
+
+    mapper = toMapper(loaded);
+    const sources = args.inputs.length > 0 ? args.inputs : ['-'];
+    const texts = await Promise.all(sources.map(source =>
+      source === '-' ? readStream(stdin) : fs.promises.readFile(path.resolve(cwd, source), 'utf8')
+    ));
+    const batches = texts.map((text, index) => parseRecords(text, args.ndjson, sources[index]));
+    recordArgs = toRecordArgs(batches, command.inputs);
+  } catch (error) {
+    stderr.write(`${error.message}\n`);
+    return 2;
+  }
+
+  let exitCode = 0;
+  const indent = args.compact || args.ndjson ? 0 : 2;
+
+  recordArgs.forEach((records, index) => {
+    const where = args.ndjson ? `record ${index + 1}: ` : '';
+
+    try {
+      const result = command.run(mapper, records, args);
+      stdout.write(`${JSON.stringify(result === undefined ? null : result, null, indent)}\n`);
+    } catch (error) {
+      if (error instanceof ValidationError) {
+        const details = error.errors ? formatErrors(error.errors) : error.message;
+        stderr.write(`${where}Validation failed: ${details}\n`);
+        exitCode = Math.max(exitCode, 1);
+      } else if (error instanceof MapperError) {
+        stderr.write(`${where}${error.message}\n`);
+        exitCode = 2;
+      } else {
+        throw error;
+      }
+    }
+  });
+
+  return exitCode;
+}
+
+/**
+ * Parse command-line arguments
+ */
+function parseArgs(argv) {
+  const args = { command: null, config: null, inputs: [], ndjson: false, compact: false, format: null, help: false };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takeValue = () => {
+      if (i + 1 >= argv.length) {
+        throw new Error(`Missing value for ${arg}`);
+      }
+      return argv[++i];
+    };
+
+    if (arg === '-h' || arg === '--help') {
+      args.help = true;
+    } else if (arg === '-c' || arg === '--config') {
+      args.config = takeValue();
+    } else if (arg.startsWith('--config=')) {
+      args.config = arg.slice('--config='.length);
+    } else if (arg === '--format') {
+      args.format = takeValue();
+    } else if (arg.startsWith('--format=')) {
+      args.format = arg.slice('--format='.length);
+    } else if (arg === '--ndjson') {
+      args.ndjson = true;
+    } else if (arg === '--compact') {
+      args.compact = true;
+    } else if (arg.startsWith('-') && arg !== '-') {
+      throw new Error(`Unknown option: ${arg}`);
+    } else if (!args.command) {
+      args.command = arg;
+    } else {
+      args.inputs.push(arg);
+    }
+  }
+
+  // Throws for formats buildPatch does not know
+  if (args.format !== null) {
+    getPatchContentType(args.format);
+  }
+
+  return args;
+}
+
+/**
+ * Load a config file (a Mapper instance or a config object)
+ */
+function loadConfig(file) {
+  let loaded;
+  try {
+    loaded = require(file);
+  } catch (error) {
+    throw new Error(`Cannot load config ${file}: ${error.message}`);
+  }
+
+  // ES module interop: use the default export when present
+  if (loaded && loaded.__esModule && loaded.default) {
+    loaded = loaded.default;
+  }
+
+  return loaded;
+}
+
+/**
+ * Accept Mapper instances from another copy of the package too
+ */
+function isMapper(loaded) {
+  return Boolean(loaded) && typeof loaded.normalize === 'function';
+}
+
+function toMapper(loaded) {
+  return isMapper(loaded) ? loaded : new Mapper(loaded);
+}
+
+/**
+ * Print config analysis issues; exit 1 when any is an error
+ */
+function lint(loaded, stdout) {
+  const { valid, issues } = isMapper(loaded) ? loaded.analyze() : analyzeConfig(loaded || {});
+  const errors = issues.filter(issue => issue.severity === 'error').length;
+
+  if (issues.length > 0) {
+    stdout.write(`${formatIssues(issues)}\n`);
+  }
+  stdout.write(`${errors} error(s), ${issues.length - errors} warning(s)\n`);
+
+  return valid ? 0 : 1;
+}
+
+function readStream(stream) {
+  return new Promise((resolve, reject) => {
+    let text = '';
+    stream.setEncoding && stream.setEncoding('utf8');
+    stream.on('data', chunk => { text += chunk; });
+    stream.on('end', () => resolve(text));
+    stream.on('error', reject);
+  });
+}
+
+/**
+ * Parse JSON or NDJSON input into a list of records
+ */
+function parseRecords(text, ndjson, source) {
+  const name = source === '-' ? 'stdin' : source;
+
+  if (!ndjson) {
+    try {
+      return [JSON.parse(text)];
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${name}: ${error.message}`);
+    }
+  }
+
+  const records = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    if (line.trim() === '') return;
+    try {
+      records.push(JSON.parse(line));
+    } catch (error) {
+      throw new Error(`Invalid JSON in ${name} line ${index + 1}: ${error.message}`);
+    }
+  });
+  return records;
+}
+
+/**
+ * Line up records from each input into argument lists for a command
+ */
+function toRecordArgs(batches, inputs) {
+  if (inputs === 1) {
+    if (batches.length !== 1) {
+      throw new Error(`Expected one input, got ${batches.length}`);
+    }
+    return batches[0].map(record => [record]);
+  }
+
+  if (batches.length === 1) {
+    return batches[0].map((record, index) => {
+      if (!record || typeof record !== 'object' || !('original' in record) || !('current' in record)) {
+        throw new Error(`Record ${index + 1} must have "original" and "current" (or pass two inputs)`);
+      }
+      return [record.original, record.current];
+    });
+  }
+
+  if (batches.length !== 2 || batches[0].length !== batches[1].length) {
+    throw new Error('Expected two inputs with the same number of records');
+  }
+  return batches[0].map((record, index) => [record, batches[1][index]]);
+}
+
+module.exports = {
+  run
+};
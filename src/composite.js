@@ -0,0 +1,126 @@
+/**
+ * Composite - Fan-out (one API field -> many form fields) and fan-in
+ * (many API fields -> one form field) mappings with split/join functions
+ */
+
+const { isPlainObject, getNestedValue, setNestedValue } = require('./utils');
+const { runTransform } = require('./transforms');
+const { parsePath } = require('./path');
+
+/**
+ * Read composite fields from an API record into form data
+ * @param {Object} apiData - API record
+ * @param {Object} formData - Form data to fill (mutated)
+ * @param {Object} options - Composite definitions
+ * @param {Object} options.fanOut - { [apiPath]: { fields: [formKey], split(apiValue, apiRecord) => { [formKey]: value }, join } }
+ * @param {Object} options.fanIn - { [formKey]: { fields: [apiPath], join({ [apiPath]: value }, apiRecord) => formValue, split } }
+ */
+function readComposites(apiData, formData, options = {}) {
+  const { fanOut = {}, fanIn = {} } = options;
+
+  for (const apiPath in fanOut) {
+    if (!fanOut.hasOwnProperty(apiPath)) continue;
+
+    const { fields = [], split } = fanOut[apiPath];
+    const value = getNestedValue(apiData, apiPath);
+    if (value === undefined || typeof split !== 'function') continue;
+
+    const parts = runTransform(split, [value, apiData], { apiPath, formPath: fields.join(',') });
+    if (!isPlainObject(parts)) continue;
+
+    for (const formKey of fields) {
+      if (parts[formKey] !== undefined) {
+        setNestedValue(formData, formKey, parts[formKey]);
+      }
+    }
+  }
+
+  for (const formKey in fanIn) {
+    if (!fanIn.hasOwnProperty(formKey)) continue;
+
+    const { fields = [], join } = fanIn[formKey];
+    const parts = pick(apiData, fields);
+    if (!parts || typeof join !== 'function') continue;
+
+    const value = runTransform(join, [parts, apiData], { formPath: formKey, apiPath: fields.join(',') });
+    if (value !== undefined) {
+      setNestedValue(formData, formKey, value);
+    }
+  }
+}
+
+/**
+ * Write composite fields from form data into an API payload
+ * A fan-out field is written (joined from every part in `record`) when any
+ * of its parts is present in `formData`, so a PATCH that changes one part
+ * sends the whole combined API value
+ * @param {Object} formData - Form data being written (full form or changes)
+ * @param {Object} payload - API payload to fill (mutated)
+ * @param {Object} record - Full form record
+ * @param {Object} options - { fanOut, fanIn, omitNull }
+ */
+function writeComposites(formData, payload, record, options = {}) {
+  const { fanOut = {}, fanIn = {}, omitNull = false } = options;
+
+  for (const apiPath in fanOut) {
+    if (!fanOut.hasOwnProperty(apiPath)) continue;
+
+    const { fields = [], join } = fanOut[apiPath];
+    if (typeof join !== 'function' || !fields.some(formKey => hasPath(formData, formKey))) continue;
+
+    const value = runTransform(join, [pick(record, fields) || {}, record], { apiPath, formPath: fields.join(',') });
+    if (value !== undefined && !(omitNull && value === null)) {
+      setNestedValue(payload, apiPath, value);
+    }
+  }
+
+  for (const formKey in fanIn) {
+    if (!fanIn.hasOwnProperty(formKey)) continue;
+
+    const { fields = [], split } = fanIn[formKey];
+    const value = getNestedValue(formData, formKey);
+    if (value === undefined || (omitNull && value === null) || typeof split !== 'function') continue;
+
+    const parts = runTransform(split, [value, record], { formPath: formKey, apiPath: fields.join(',') });
+    if (!isPlainObject(parts)) continue;
+
+    for (const apiPath of fields) {
+      if (parts[apiPath] !== undefined) {
+        setNestedValue(payload, apiPath, parts[apiPath]);
+      }
+    }
+  }
+}
+
+/**
+ * Whether a path is present, even with an undefined value (a cleared field
+ * in a diff)
+ */
+function hasPath(source, path) {
+  const segments = parsePath(path);
+  const parent = segments.length > 1 ? getNestedValue(source, segments.slice(0, -1)) : source;
+  return parent !== null && typeof parent === 'object' && segments[segments.length - 1] in parent;
+}
+
+/**
+ * Values at the given paths, or null when none is present
+ */
+function pick(source, paths) {
+  const parts = {};
+  let found = false;
+
+  for (const path of paths) {
+    const value = getNestedValue(source, path);
+    if (value !== undefined) {
+      parts[path] = value;
+      found = true;
+    }
+  }
+
+  return found ? parts : null;
+}
+
+module.exports = {
+  readComposites,
+  writeComposites
+};
@@ -0,0 +1,49 @@
+/**
+ * Concurrency - Optimistic locking tokens (a version number or ETag) that
+ * the server checks on every write
+ */
+
+const { findFormKey } = require('./utils');
+const { MapperConfigError } = require('./errors');
+
+/**
+ * Resolve the concurrency config against the read mapping
+ * @param {string|Object|null} concurrency - API path of the token, or
+ *   { field, ifMatch } where `ifMatch: true` sends it only as If-Match
+ * @param {Object} apiToForm - API to form mapping
+ * @returns {Object|null} { field, formKey, ifMatch }, or null without a config
+ */
+function resolveConcurrency(concurrency, apiToForm) {
+  if (!concurrency) {
+    return null;
+  }
+
+  const { field, ifMatch = false } = typeof concurrency === 'string' ? { field: concurrency } : concurrency;
+  const formKey = field ? findFormKey(apiToForm, field) : null;
+
+  if (!formKey) {
+    throw new MapperConfigError(`Concurrency field "${field}" must be mapped in apiToForm`, { apiPath: field });
+  }
+
+  return { field, formKey, ifMatch };
+}
+
+/**
+ * Format a token as an If-Match header value
+ * ETags pass through; other values are quoted as strong ETags
+ * @param {*} token - Token value from the record
+ * @returns {string|null} Header value, or null without a token
+ */
+function formatIfMatch(token) {
+  if (token === undefined || token === null) {
+    return null;
+  }
+
+  const value = String(token);
+  return /^(W\/)?".*"$/.test(value) ? value : `"${value}"`;
+}
+
+module.exports = {
+  resolveConcurrency,
+  formatIfMatch
+};
@@ -2,55 +2,61 @@
  * Denormalizer - Transform form schema to API payload
  */
 
-const { isPlainObject, getNestedValue, setNestedValue, invertMapping } = require('./utils');
+const { isPlainObject, getNestedValue, setNestedValue, invertMapping, deepMerge } = require('./utils');
+const { resolveTransform, runTransform } = require('./transforms');
+const { serializeValue, itemTypes } = require('./types');
+const { writeComposites } = require('./composite');
 
 /**
  * Denormalize form data to API payload using mapping
  * @param {Object} formData - Form state data
  * @param {Object} mapping - API to form field mapping (will be inverted)
  * @param {Object} options - Transformation options
+ * @param {Object} options.formToApi - Explicit form->api mapping used instead
+ *   of inverting `mapping` (for write APIs with their own field names)
+ * @param {Object} options.record - Full form record passed to transforms when
+ *   `formData` holds only part of it (e.g. PATCH changes)
+ * @param {Object} options.types - Field type declarations used to serialize values;
+ *   array item fields use item paths, e.g. 'lineItems[*].sku'
+ * @param {Object} options.computed - Computed form fields:
+ *   { [formKey]: { set(formValue, formRecord) => partial API record } }
+ * @param {Object} options.fanOut - One API field joined from several form fields
+ * @param {Object} options.fanIn - One form field split into several API fields
  * @returns {Object} API payload
  */
 function denormalize(formData, mapping, options = {}) {
   const {
     omitUndefined = true,
     omitNull = false,
-    transform = {}
+    transform = {},
+    formToApi = null,
+    record = formData,
+    types = {},
+    computed = {},
+    fanOut = {},
+    fanIn = {}
   } = options;
 
-  // Invert the mapping: form -> api
-  const formToApi = invertMapping(mapping);
-  const apiPayload = {};
-
-  function processFormData(source, invertedMapping) {
-    for (const formKey in invertedMapping) {
-      if (!invertedMapping.hasOwnProperty(formKey)) continue;
+  // Invert the mapping (form -> api) unless an explicit one is given
+  const writeMapping = formToApi || invertMapping(mapping);
 
-      const apiPath = invertedMapping[formKey];
-      let value = getNestedValue(source, formKey);
+  let payload = mapToApi(formData, writeMapping, { omitUndefined, omitNull, transform, record, types });
+  writeComposites(formData, payload, record, { fanOut, fanIn, omitNull });
 
-      // Skip undefined/null based on options
-      if (omitUndefined && value === undefined) continue;
-      if (omitNull && value === null) continue;
+  // Computed fields write every API field they are derived from
+  for (const formKey in computed) {
+    if (!computed.hasOwnProperty(formKey) || typeof computed[formKey].set !== 'function') continue;
 
-      // Apply custom transform if provided
-      const transformKey = formKey;
-      if (transform[transformKey]) {
-        value = transform[transformKey](value, source);
-      }
+    const value = getNestedValue(formData, formKey);
+    if (value === undefined || (omitNull && value === null)) continue;
 
-      // Handle nested paths in API (e.g., 'contact.email_address')
-      if (apiPath.includes('.')) {
-        setNestedValue(apiPayload, apiPath, value);
-      } else {
-        apiPayload[apiPath] = value;
-      }
+    const partial = runTransform(computed[formKey].set, [value, record], { formPath: formKey });
+    if (isPlainObject(partial)) {
+      payload = deepMerge(payload, partial);
     }
   }
 
-  processFormData(formData, formToApi);
-
-  return apiPayload;
+  return payload;
 }
 
 /**
@@ -65,22 +71,64 @@ function denormalizeFlat(formData, formToApiMapping, options = {}) {
     omitNull = false
   } = options;
 
+  return mapToApi(formData, formToApiMapping, { omitUndefined, omitNull });
+}
+
+/**
+ * Write form values into a new API payload following a form->api mapping.
+ * Array entries (`[itemMapping, apiPath]`) map each object item recursively;
+ * types apply to items through item paths, transforms to top-level fields only.
+ */
+function mapToApi(source, formToApi, options) {
+  const {
+    omitUndefined,
+    omitNull,
+    transform = {},
+    record = source,
+    types = {}
+  } = options;
+
   const apiPayload = {};
 
-  for (const formPath in formToApiMapping) {
-    if (!formToApiMapping.hasOwnProperty(formPath)) continue;
+  for (const formKey in formToApi) {
+    if (!formToApi.hasOwnProperty(formKey)) continue;
 
-    const apiPath = formToApiMapping[formPath];
-    const value = getNestedValue(formData, formPath);
+    const target = formToApi[formKey];
+    let value = getNestedValue(source, formKey);
 
+    // Skip undefined/null based on options
     if (omitUndefined && value === undefined) continue;
     if (omitNull && value === null) continue;
 
-    if (apiPath.includes('.')) {
+    if (Array.isArray(target)) {
+      const [itemMapping, apiPath] = target;
+
+      if (Array.isArray(value) && isPlainObject(itemMapping)) {
+        const itemOptions = { omitUndefined, omitNull, types: itemTypes(types, formKey) };
+        value = value.map(item =>
+          isPlainObject(item) ? mapToApi(item, itemMapping, itemOptions) : item
+        );
+      }
+
       setNestedValue(apiPayload, apiPath, value);
-    } else {
-      apiPayload[apiPath] = value;
+      continue;
     }
+
+    const details = { formPath: formKey, apiPath: target };
+
+    // Serialize declared field types back to the API representation
+    if (types[formKey]) {
+      value = runTransform(serializeValue, [value, types[formKey]], details);
+    }
+
+    // Apply custom serialize transform if provided
+    const serialize = resolveTransform(transform[formKey], 'out');
+    if (serialize) {
+      value = runTransform(serialize, [value, record], details);
+    }
+
+    // Targets use the path grammar (e.g. 'contact.email_address', 'tags[0]')
+    setNestedValue(apiPayload, target, value);
   }
 
   return apiPayload;
@@ -2,32 +2,49 @@
  * Differ - Compute minimal differences between objects
  */
 
-const { isPlainObject, deepClone } = require('./utils');
+const { isPlainObject, deepClone, setNestedValue } = require('./utils');
+const { WILDCARD, parsePath, formatPath, joinPath, matchPath } = require('./path');
+const { deepEqual, findComparator, isRecord } = require('./equality');
 
 /**
  * Compute diff between two objects
  * @param {Object} original - Original state
  * @param {Object} current - Current state
  * @param {Object} options - Diff options
+ * @param {Array<string>} options.ignoreFields - Paths to skip; wildcards match
+ *   any key or index (e.g. 'items[*].updatedAt')
+ * @param {Object} options.comparators - (a, b, path) => boolean keyed by path
+ *   (wildcards allowed); a matching field is compared whole with it
  * @returns {Object} Object containing only changed fields
  */
 function diff(original, current, options = {}) {
   const {
     compareArrays = true,
     deep = true,
-    ignoreFields = []
+    ignoreFields = [],
+    arrayKey = null,
+    comparators = null
   } = options;
 
   const changes = {};
 
   function computeDiff(oldVal, newVal, path = '') {
     // Skip ignored fields
-    if (ignoreFields.includes(path)) {
+    if (path && ignoreFields.some(field => matchPath(field, path))) {
       return;
     }
 
-    // Both undefined/null - no change
-    if (oldVal === newVal) {
+    // Both undefined/null (or both NaN) - no change
+    if (oldVal === newVal || (Number.isNaN(oldVal) && Number.isNaN(newVal))) {
+      return;
+    }
+
+    // Custom comparator decides for the whole field
+    const comparator = path && oldVal != null && newVal != null && findComparator(comparators, path);
+    if (comparator) {
+      if (!comparator(oldVal, newVal, path)) {
+        setChangePath(changes, path, newVal);
+      }
       return;
     }
 
@@ -37,6 +54,14 @@ function diff(original, current, options = {}) {
       return;
     }
 
+    // Dates compare by time, not by their (empty) own keys
+    if (oldVal instanceof Date || newVal instanceof Date) {
+      if (!(oldVal instanceof Date && newVal instanceof Date) || oldVal.getTime() !== newVal.getTime()) {
+        setChangePath(changes, path, newVal);
+      }
+      return;
+    }
+
     // Primitive value changed
     if (typeof newVal !== 'object' || newVal === null) {
       if (oldVal !== newVal) {
@@ -47,13 +72,26 @@ function diff(original, current, options = {}) {
 
     // Array comparison
     if (Array.isArray(newVal)) {
-      if (!compareArrays) {
-        if (JSON.stringify(oldVal) !== JSON.stringify(newVal)) {
-          setChangePath(changes, path, newVal);
+      // Rebuilt but unchanged arrays are no change, keyed or not
+      if (deepEqual(oldVal, newVal, { comparators, path })) {
+        return;
+      }
+
+      // Identity-keyed comparison reports item-level changes (arrays of objects only)
+      const itemKey = resolveArrayKey(arrayKey, path);
+      if (itemKey && Array.isArray(oldVal) && oldVal.every(isRecord) && newVal.every(isRecord)) {
+        const arrayChanges = diffArray(oldVal, newVal, itemKey, itemOptions(options, path));
+        if (arrayChanges) {
+          setChangePath(changes, path, arrayChanges);
         }
         return;
       }
 
+      if (!compareArrays) {
+        setChangePath(changes, path, newVal);
+        return;
+      }
+
       // Detailed array diff
       if (!Array.isArray(oldVal) || oldVal.length !== newVal.length) {
         setChangePath(changes, path, newVal);
@@ -61,8 +99,15 @@ function diff(original, current, options = {}) {
       }
 
       for (let i = 0; i < newVal.length; i++) {
-        const itemPath = path ? `${path}[${i}]` : `[${i}]`;
-        computeDiff(oldVal[i], newVal[i], itemPath);
+        computeDiff(oldVal[i], newVal[i], joinPath(path, i));
+      }
+      return;
+    }
+
+    // Maps, Sets, typed arrays and class instances are compared whole
+    if (isOpaque(newVal) || isOpaque(oldVal)) {
+      if (!deepEqual(oldVal, newVal, { comparators, path })) {
+        setChangePath(changes, path, newVal);
       }
       return;
     }
@@ -77,16 +122,14 @@ function diff(original, current, options = {}) {
       // Check all keys in new object
       for (const key in newVal) {
         if (!newVal.hasOwnProperty(key)) continue;
-        const newPath = path ? `${path}.${key}` : key;
-        computeDiff(oldVal?.[key], newVal[key], newPath);
+        computeDiff(oldVal?.[key], newVal[key], joinPath(path, key));
       }
 
       // Check for deleted keys (present in old but not in new)
       for (const key in oldVal) {
         if (!oldVal.hasOwnProperty(key)) continue;
         if (!(key in newVal)) {
-          const newPath = path ? `${path}.${key}` : key;
-          setChangePath(changes, newPath, undefined);
+          setChangePath(changes, joinPath(path, key), undefined);
         }
       }
     }
@@ -98,53 +141,191 @@ function diff(original, current, options = {}) {
 }
 
 /**
- * Set value at path in changes object
+ * Diff two arrays by item identity instead of by index
+ * @param {Array} original - Original items
+ * @param {Array} current - Current items
+ * @param {string} key - Item field that identifies an item (e.g. 'id')
+ * @param {Object} options - Diff options used for item comparison
+ * @returns {Object|null} { added, removed, moved, updated } or null if unchanged
  */
-function setChangePath(obj, path, value) {
-  if (!path) {
-    return Object.assign(obj, value);
+function diffArray(original, current, key, options = {}) {
+  const oldIndexByKey = new Map();
+  original.forEach((item, index) => {
+    const id = item?.[key];
+    if (id !== undefined) {
+      oldIndexByKey.set(id, index);
+    }
+  });
+
+  const added = [];
+  const updated = [];
+  const retained = [];
+  const seen = new Set();
+
+  current.forEach((item, index) => {
+    const id = item?.[key];
+    if (id === undefined || !oldIndexByKey.has(id) || seen.has(id)) {
+      added.push(item);
+      return;
+    }
+
+    seen.add(id);
+    const from = oldIndexByKey.get(id);
+    retained.push({ key: id, from, to: index });
+
+    const changes = diff(original[from], item, options);
+    if (Object.keys(changes).length > 0) {
+      updated.push({ key: id, index, changes });
+    }
+  });
+
+  const removed = original.filter(item => {
+    const id = item?.[key];
+    return id === undefined || !seen.has(id);
+  });
+
+  // Items outside the longest run that kept its relative order have moved
+  const stable = longestIncreasingRun(retained.map(entry => entry.from));
+  const moved = retained
+    .filter((entry, index) => !stable.has(index))
+    .map(({ key: id, from, to }) => ({ key: id, from, to }));
+
+  if (!added.length && !removed.length && !moved.length && !updated.length) {
+    return null;
   }
 
-  const keys = path.split('.');
-  let current = obj;
+  return { added, removed, moved, updated };
+}
 
-  for (let i = 0; i < keys.length - 1; i++) {
-    const key = keys[i];
-    
-    // Handle array indices
-    const arrayMatch = key.match(/^(.+)\[(\d+)\]$/);
-    if (arrayMatch) {
-      const arrayKey = arrayMatch[1];
-      const index = parseInt(arrayMatch[2]);
-      
-      if (!current[arrayKey]) {
-        current[arrayKey] = [];
-      }
-      if (!current[arrayKey][index]) {
-        current[arrayKey][index] = {};
+/**
+ * Indexes of a longest strictly increasing subsequence of numbers
+ */
+function longestIncreasingRun(values) {
+  const tails = [];
+  const previous = new Array(values.length);
+
+  values.forEach((value, index) => {
+    let low = 0;
+    let high = tails.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (values[tails[mid]] < value) {
+        low = mid + 1;
+      } else {
+        high = mid;
       }
-      current = current[arrayKey][index];
-    } else {
-      if (!current[key]) {
-        current[key] = {};
+    }
+    previous[index] = low > 0 ? tails[low - 1] : -1;
+    tails[low] = index;
+  });
+
+  const result = new Set();
+  let index = tails.length ? tails[tails.length - 1] : -1;
+  while (index !== -1) {
+    result.add(index);
+    index = previous[index];
+  }
+  return result;
+}
+
+/**
+ * Resolve the identity key for an array at path
+ * @param {string|Object|null} arrayKey - Key for every array, or a map of
+ *   path -> key (paths may use wildcards, e.g. 'orders[*].lines')
+ */
+function resolveArrayKey(arrayKey, path) {
+  if (!arrayKey) return null;
+  if (typeof arrayKey === 'string') return arrayKey;
+  if (arrayKey[path]) return arrayKey[path];
+
+  const pattern = Object.keys(arrayKey).find(key => matchPath(key, path));
+  return pattern ? arrayKey[pattern] : null;
+}
+
+/**
+ * Re-root path-keyed options at the items of the array at `path`, so that
+ * 'lines[*].email' applies to 'email' when diffArray compares two items
+ */
+function itemOptions(options, path) {
+  const base = parsePath(joinPath(path, WILDCARD));
+  const within = pattern => {
+    const segments = parsePath(pattern);
+    return segments.length > base.length && matchPath(segments.slice(0, base.length), base)
+      ? formatPath(segments.slice(base.length))
+      : null;
+  };
+  const rekey = map => {
+    if (!map) return null;
+
+    const result = {};
+    for (const key in map) {
+      const rest = map.hasOwnProperty(key) && within(key);
+      if (rest) {
+        result[rest] = map[key];
       }
-      current = current[key];
     }
+    return result;
+  };
+
+  const { ignoreFields = [], comparators = null, arrayKey = null } = options;
+  return {
+    ...options,
+    ignoreFields: ignoreFields.map(within).filter(Boolean),
+    comparators: rekey(comparators),
+    arrayKey: typeof arrayKey === 'string' ? arrayKey : rekey(arrayKey)
+  };
+}
+
+/**
+ * Check for objects without a key-by-key diff (Maps, Sets, typed arrays,
+ * class instances)
+ */
+function isOpaque(value) {
+  return isPlainObject(value) && !isRecord(value);
+}
+
+/**
+ * Set value at path in changes object
+ * Index segments create arrays, so item changes keep their position
+ */
+function setChangePath(obj, path, value) {
+  if (!path) {
+    return Object.assign(obj, value);
   }
 
-  const lastKey = keys[keys.length - 1];
-  current[lastKey] = value;
+  setNestedValue(obj, path, value);
 }
 
 /**
  * Get list of changed paths
- * @returns {Array<string>} Array of dot-notation paths
+ * @param {Object} original - Original state
+ * @param {Object} current - Current state
+ * @param {Object} options - Options
+ * @param {Object} options.comparators - Custom comparators keyed by path
+ * @returns {Array<string>} Paths in the shared path grammar (keys with dots
+ *   or brackets are quoted, e.g. 'meta["a.b"]')
  */
-function getChangedPaths(original, current) {
+function getChangedPaths(original, current, options = {}) {
+  const { comparators = null } = options;
   const paths = [];
 
   function traverse(oldVal, newVal, path = '') {
-    if (oldVal === newVal) return;
+    if (oldVal === newVal || (Number.isNaN(oldVal) && Number.isNaN(newVal))) return;
+
+    const comparator = path && oldVal != null && newVal != null && findComparator(comparators, path);
+    if (comparator) {
+      if (!comparator(oldVal, newVal, path)) {
+        paths.push(path);
+      }
+      return;
+    }
+
+    if (oldVal instanceof Date || newVal instanceof Date) {
+      if (!(oldVal instanceof Date && newVal instanceof Date) || oldVal.getTime() !== newVal.getTime()) {
+        paths.push(path);
+      }
+      return;
+    }
 
     if (typeof newVal !== 'object' || newVal === null) {
       if (oldVal !== newVal) {
@@ -153,8 +334,8 @@ function getChangedPaths(original, current) {
       return;
     }
 
-    if (Array.isArray(newVal)) {
-      if (!Array.isArray(oldVal) || JSON.stringify(oldVal) !== JSON.stringify(newVal)) {
+    if (Array.isArray(newVal) || isOpaque(newVal) || isOpaque(oldVal)) {
+      if (!deepEqual(oldVal, newVal, { comparators, path })) {
         paths.push(path);
       }
       return;
@@ -163,8 +344,7 @@ function getChangedPaths(original, current) {
     if (isPlainObject(newVal)) {
       for (const key in newVal) {
         if (!newVal.hasOwnProperty(key)) continue;
-        const newPath = path ? `${path}.${key}` : key;
-        traverse(oldVal?.[key], newVal[key], newPath);
+        traverse(oldVal?.[key], newVal[key], joinPath(path, key));
       }
 
       // Check for deleted keys
@@ -172,8 +352,7 @@ function getChangedPaths(original, current) {
         for (const key in oldVal) {
           if (!oldVal.hasOwnProperty(key)) continue;
           if (!(key in newVal)) {
-            const newPath = path ? `${path}.${key}` : key;
-            paths.push(newPath);
+            paths.push(joinPath(path, key));
           }
         }
       }
@@ -185,21 +364,25 @@ function getChangedPaths(original, current) {
 }
 
 /**
- * Check if two objects are deeply equal
+ * Check if two objects are deeply equal (see deepEqual for the rules)
+ * @param {Object} options - { comparators, path }
  */
-function isEqual(obj1, obj2) {
-  return JSON.stringify(obj1) === JSON.stringify(obj2);
+function isEqual(obj1, obj2, options = {}) {
+  return deepEqual(obj1, obj2, options);
 }
 
 /**
  * Check if object has any changes from original
+ * @param {Object} options - { comparators }
  */
-function hasChanges(original, current) {
-  return !isEqual(original, current);
+function hasChanges(original, current, options = {}) {
+  return !isEqual(original, current, options);
 }
 
 module.exports = {
   diff,
+  diffArray,
+  resolveArrayKey,
   getChangedPaths,
   isEqual,
   hasChanges
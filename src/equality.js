@@ -0,0 +1,223 @@
+/**
+ * Equality - Structural deep equality for form and API values
+ */
+
+const { joinPath, matchPath, expandPath } = require('./path');
+const { getNestedValue, assocPath } = require('./utils');
+
+/**
+ * Check whether two values are structurally equal
+ * - key order does not matter; a key holding undefined counts as missing, as
+ *   it does in a JSON payload
+ * - NaN equals NaN; Dates compare by time, RegExps by source and flags
+ * - Maps and Sets compare by entries (object members are matched structurally)
+ * - typed arrays, ArrayBuffers and DataViews compare element by element
+ * - other objects must share a prototype and compare by own enumerable keys
+ * - cycles are safe: a pair of objects already being compared counts as equal
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @param {Object} options - Equality options
+ * @param {Object} options.comparators - (a, b, path) => boolean keyed by path
+ *   (wildcards allowed); called only when both values are present
+ * @param {string} options.path - Path of `a` and `b` in their record, so
+ *   comparators match when comparing a nested value
+ * @returns {boolean}
+ */
+function deepEqual(a, b, options = {}) {
+  const { comparators = null, path = '' } = options;
+  const usePaths = Boolean(comparators && Object.keys(comparators).length > 0);
+  const active = new Map();
+
+  const childPath = (parent, key) => (usePaths ? joinPath(parent, key) : '');
+
+  function equal(x, y, currentPath) {
+    if (usePaths && currentPath && x != null && y != null) {
+      const comparator = findComparator(comparators, currentPath);
+      if (comparator) {
+        return Boolean(comparator(x, y, currentPath));
+      }
+    }
+
+    if (x === y) return true;
+    if (typeof x !== typeof y) return false;
+    if (typeof x === 'number') return Number.isNaN(x) && Number.isNaN(y);
+    if (typeof x !== 'object' || x === null || y === null) return false;
+    if (Object.getPrototypeOf(x) !== Object.getPrototypeOf(y)) return false;
+
+    // A pair met again further down a cycle is assumed equal
+    let partners = active.get(x);
+    if (partners && partners.has(y)) return true;
+    if (!partners) {
+      partners = new Set();
+      active.set(x, partners);
+    }
+
+    partners.add(y);
+    try {
+      return equalObjects(x, y, currentPath);
+    } finally {
+      partners.delete(y);
+    }
+  }
+
+  function equalObjects(x, y, currentPath) {
+    if (x instanceof Date) {
+      return x.getTime() === y.getTime() || (Number.isNaN(x.getTime()) && Number.isNaN(y.getTime()));
+    }
+    if (x instanceof RegExp) {
+      return String(x) === String(y);
+    }
+    if (Array.isArray(x)) {
+      return x.length === y.length && x.every((item, index) => equal(item, y[index], childPath(currentPath, index)));
+    }
+    if (ArrayBuffer.isView(x) || x instanceof ArrayBuffer) {
+      return equalBinary(x, y);
+    }
+    if (x instanceof Map) {
+      return equalMaps(x, y, currentPath);
+    }
+    if (x instanceof Set) {
+      return equalSets(x, y, currentPath);
+    }
+
+    const keys = definedKeys(x);
+    if (keys.length !== definedKeys(y).length) return false;
+
+    return keys.every(key =>
+      Object.prototype.hasOwnProperty.call(y, key) && equal(x[key], y[key], childPath(currentPath, key))
+    );
+  }
+
+  function equalMaps(x, y, currentPath) {
+    if (x.size !== y.size) return false;
+
+    const unmatched = [...y.keys()].filter(key => isObject(key) && !x.has(key));
+    for (const [key, value] of x) {
+      if (y.has(key)) {
+        if (!equal(value, y.get(key), isObject(key) ? currentPath : childPath(currentPath, String(key)))) {
+          return false;
+        }
+        continue;
+      }
+
+      // Object keys missing by identity may still match structurally
+      const index = isObject(key)
+        ? unmatched.findIndex(other => equal(key, other, currentPath) && equal(value, y.get(other), currentPath))
+        : -1;
+      if (index === -1) return false;
+      unmatched.splice(index, 1);
+    }
+
+    return true;
+  }
+
+  function equalSets(x, y, currentPath) {
+    if (x.size !== y.size) return false;
+
+    const unmatched = [...y].filter(member => isObject(member) && !x.has(member));
+    for (const member of x) {
+      if (y.has(member)) continue;
+
+      const index = isObject(member) ? unmatched.findIndex(other => equal(member, other, currentPath)) : -1;
+      if (index === -1) return false;
+      unmatched.splice(index, 1);
+    }
+
+    return true;
+  }
+
+  return equal(a, b, path);
+}
+
+/**
+ * Compare typed arrays (element-wise, NaN equal), DataViews and ArrayBuffers
+ */
+function equalBinary(x, y) {
+  const [left, right] = x instanceof ArrayBuffer || x instanceof DataView
+    ? [bytesOf(x), bytesOf(y)]
+    : [x, y];
+
+  if (left.length !== right.length) return false;
+
+  for (let i = 0; i < left.length; i++) {
+    if (left[i] !== right[i] && !(Number.isNaN(left[i]) && Number.isNaN(right[i]))) {
+      return false;
+    }
+  }
+  return true;
+}
+
+function bytesOf(value) {
+  return value instanceof ArrayBuffer
+    ? new Uint8Array(value)
+    : new Uint8Array(value.buffer, value.byteOffset, value.byteLength);
+}
+
+function definedKeys(obj) {
+  return Object.keys(obj).filter(key => obj[key] !== undefined);
+}
+
+function isObject(value) {
+  return value !== null && (typeof value === 'object' || typeof value === 'function');
+}
+
+/**
+ * Find the comparator whose path pattern matches a path
+ * @param {Object|null} comparators - Comparators keyed by path pattern
+ * @param {string} path - Concrete path
+ * @returns {Function|null}
+ */
+function findComparator(comparators, path) {
+  if (!comparators) return null;
+  if (comparators.hasOwnProperty(path)) return comparators[path];
+
+  const pattern = Object.keys(comparators).find(key => matchPath(key, path));
+  return pattern ? comparators[pattern] : null;
+}
+
+/**
+ * Reset every field a comparator finds equal to its initial value, so payload
+ * builders comparing whole states (or API documents) see no change there
+ * @param {Object} initial - Original state
+ * @param {Object} current - Current state (not modified)
+ * @param {Object|null} comparators - Comparators keyed by path pattern
+ * @returns {Object} `current`, or a copy with the equal fields reset
+ */
+function keepEqualValues(initial, current, comparators) {
+  let result = current;
+
+  for (const pattern in comparators || {}) {
+    if (!comparators.hasOwnProperty(pattern)) continue;
+
+    for (const path of expandPath(current, pattern)) {
+      const before = getNestedValue(initial, path);
+      const after = getNestedValue(current, path);
+
+      if (before != null && after != null && before !== after &&
+          findComparator(comparators, path) === comparators[pattern] &&
+          comparators[pattern](before, after, path)) {
+        result = assocPath(result, path, before);
+      }
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a value is an object literal (not a Map, Set, Date, typed
+ * array or class instance), so it can be compared key by key
+ */
+function isRecord(value) {
+  if (value === null || typeof value !== 'object') return false;
+
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+module.exports = {
+  deepEqual,
+  findComparator,
+  keepEqualValues,
+  isRecord
+};
@@ -0,0 +1,74 @@
+/**
+ * Errors - Typed errors carrying the field that failed
+ */
+
+/**
+ * Base class for every error thrown by the library
+ */
+class MapperError extends Error {
+  /**
+   * @param {string} message - Error message
+   * @param {Object} details - Failure details
+   * @param {string} details.formPath - Form field path involved
+   * @param {string} details.apiPath - API field path involved
+   * @param {*} details.value - Value being processed
+   * @param {Error} details.cause - Underlying error
+   */
+  constructor(message, details = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.formPath = details.formPath;
+    this.apiPath = details.apiPath;
+    this.value = details.value;
+    this.cause = details.cause;
+  }
+}
+
+/**
+ * Invalid Mapper configuration (missing mapping, unknown type or format)
+ */
+class MapperConfigError extends MapperError {}
+
+/**
+ * Form data failed validation
+ * `errors` holds the validator's errors (keyed by form path for
+ * declarative rules); `formPath` is the first failing path
+ */
+class ValidationError extends MapperError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.errors = details.errors;
+  }
+}
+
+/**
+ * A transform or type coercer threw while converting a field
+ */
+class TransformError extends MapperError {}
+
+/**
+ * Data could not be mapped onto the target shape (e.g. a JSON Patch path
+ * that does not exist)
+ */
+class MappingError extends MapperError {}
+
+/**
+ * Local edits clash with changes made on the server since the form loaded
+ * `conflicts` lists each clashing field as { path, base, mine, theirs };
+ * `formPath` is the first one
+ */
+class ConflictError extends MapperError {
+  constructor(message, details = {}) {
+    super(message, details);
+    this.conflicts = details.conflicts;
+  }
+}
+
+module.exports = {
+  MapperError,
+  MapperConfigError,
+  ValidationError,
+  TransformError,
+  MappingError,
+  ConflictError
+};
@@ -0,0 +1,660 @@
+/**
+ * Type declarations for api-schema-mapper
+ *
+ * `Mapper<ApiShape, FormShape>` checks mapping keys against both shapes;
+ * without type arguments every shape is `any`. Use `generateTypes` (or
+ * `mapper.generateTypes()`) to emit the two interfaces from a config.
+ */
+
+type AnyRecord = Record<string, any>;
+type IsAny<T> = 0 extends 1 & T ? true : false;
+type StringKey<T> = Extract<keyof T, string>;
+// Keeps shapes from being inferred out of the mapping (they default to `any`)
+type NoInferShape<T> = [T][T extends any ? 0 : never];
+
+declare class Mapper<ApiShape = any, FormShape = any> {
+  constructor(config: Mapper.MapperConfig<NoInferShape<ApiShape>, NoInferShape<FormShape>>);
+
+  apiToFormMapping: Mapper.ApiToFormMapping<ApiShape, FormShape>;
+  formToApiMapping: Mapper.FormToApiMapping<FormShape>;
+  options: Required<Omit<Mapper.MapperOptions, 'arrayFormat'>> & Pick<Mapper.MapperOptions, 'arrayFormat'>;
+
+  static fromOpenApi<A = any, F = any>(
+    document: AnyRecord | string,
+    selector?: Mapper.OpenApiSelector | string | null,
+    options?: Mapper.OpenApiOptions & { config?: Partial<Mapper.MapperConfig<A, F>> }
+  ): Mapper<A, F>;
+
+  static analyze(config: Partial<Mapper.MapperConfig>): Mapper.AnalysisResult;
+
+  normalize(apiData: ApiShape): FormShape;
+  denormalize(formData: Partial<FormShape>): Partial<ApiShape>;
+  diff(original: FormShape, current: FormShape): Mapper.DeepPartial<FormShape>;
+  hasChanges(original: FormShape, current: FormShape): boolean;
+  getChangedPaths(original: FormShape, current: FormShape): string[];
+  validate(formData: Partial<FormShape>, options?: { mode?: 'post' | 'patch'; initial?: FormShape }): Mapper.ValidationResult;
+
+  buildPatch(initialForm: FormShape, currentForm: FormShape, options: Mapper.PatchOptions & { format: 'json-patch' }): Mapper.JsonPatchOperation[] | null;
+  buildPatch(initialForm: FormShape, currentForm: FormShape, options?: Mapper.PatchOptions): Partial<ApiShape> | null;
+  merge(base: FormShape, mine: FormShape, theirs: ApiShape, options?: Mapper.MergeOptions): Mapper.MergeResult<FormShape>;
+  createSession(apiData: ApiShape, options?: Mapper.SessionOptions): Mapper.FormSession<ApiShape, FormShape>;
+  createTracker(apiData: ApiShape): Mapper.FieldTracker<ApiShape, FormShape>;
+  getPatchContentType(format?: Mapper.PatchFormat): string;
+  applyJsonPatch(formData: FormShape, patch: Mapper.JsonPatchOperation[]): FormShape;
+
+  buildPost(formData: Partial<FormShape>, options?: Mapper.PayloadOptions): Partial<ApiShape>;
+  buildPut(formData: Partial<FormShape>, options?: Mapper.PayloadOptions): Partial<ApiShape>;
+  buildPartial(formData: Partial<FormShape>, fields: Array<Mapper.FormKey<FormShape>>, options?: Mapper.PayloadOptions): Partial<ApiShape>;
+
+  getVariant(record: AnyRecord, source?: 'form' | 'api'): Mapper<ApiShape, FormShape> | null;
+  getConcurrencyToken(formData: Partial<FormShape>): any;
+  getIfMatch(formData: Partial<FormShape>): string | null;
+  isStale(formData: Partial<FormShape>, latest: ApiShape): boolean;
+  getFormToApi(kind: Mapper.PayloadKind): Mapper.FormToApiMapping<FormShape>;
+  getProfileOptions(kind: Mapper.PayloadKind): Mapper.PayloadOptions;
+  verifyTransforms(samplesByField: Mapper.FieldMap<FormShape, any[]>): Mapper.TransformCheck;
+  createPatchFromApi(apiData: ApiShape, editedForm: FormShape): Partial<ApiShape> | Mapper.JsonPatchOperation[] | null;
+  generateTypes(options?: Mapper.TypegenOptions): string;
+  analyze(): Mapper.AnalysisResult;
+  verifyRoundTrip(samples: ApiShape[] | number, options?: Mapper.GenerateOptions): Mapper.RoundTripResult<ApiShape>;
+
+  clone<A = ApiShape, F = FormShape>(config?: Partial<Mapper.MapperConfig<A, F>>): Mapper<A, F>;
+  getConfig(): Mapper.MapperConfig<ApiShape, FormShape>;
+}
+
+type MapperInstance<ApiShape, FormShape> = Mapper<ApiShape, FormShape>;
+type MapperStatic = typeof Mapper;
+
+declare namespace Mapper {
+  // ---------------------------------------------------------------------------
+  // Mapping configuration
+  // ---------------------------------------------------------------------------
+
+  /** API -> form mapping without shape checks */
+  interface LooseMapping {
+    [apiKey: string]: string | LooseMapping | [LooseMapping, string?];
+  }
+
+  /** Form key allowed as a mapping target (any string when the form is untyped) */
+  type FormKey<Form> = IsAny<Form> extends true ? string : StringKey<Form> | `${StringKey<Form>}.${string}`;
+
+  type MappingEntry<Value, Form> =
+    IsAny<Value> extends true ? string | LooseMapping | [LooseMapping, string?] :
+    Value extends ReadonlyArray<infer Item> ? FormKey<Form> | [ApiToFormMapping<Item, any>, FormKey<Form>?] :
+    Value extends Date ? FormKey<Form> :
+    Value extends object ? FormKey<Form> | ApiToFormMapping<Value, Form> :
+    FormKey<Form>;
+
+  /** API -> form mapping; keys are checked against ApiShape, targets against FormShape */
+  type ApiToFormMapping<Api = any, Form = any> = IsAny<Api> extends true
+    ? LooseMapping
+    : { [K in keyof Api]?: MappingEntry<Api[K], Form> };
+
+  /** Flat form path -> API path mapping; arrays map to [itemMapping, apiPath] */
+  type FormToApiMapping<Form = any> = IsAny<Form> extends true
+    ? { [formPath: string]: string | [{ [formPath: string]: string }, string] }
+    : { [K in StringKey<Form>]?: string | [{ [formPath: string]: string }, string] };
+
+  type PayloadKind = 'post' | 'put' | 'patch';
+
+  type FormToApiByKind<Form = any> = {
+    default?: FormToApiMapping<Form>;
+  } & { [K in PayloadKind]?: FormToApiMapping<Form> };
+
+  /** Form path: a top-level field, or a nested/item path under one ('address.city', 'lines[*].sku') */
+  type FormPath<Form> = IsAny<Form> extends true
+    ? string
+    : StringKey<Form> | `${StringKey<Form>}.${string}` | `${StringKey<Form>}[${string}`;
+
+  type FieldMap<Form, T> = IsAny<Form> extends true
+    ? { [formPath: string]: T }
+    : { [K in FormPath<Form>]?: T };
+
+  // ---------------------------------------------------------------------------
+  // Transforms, types and validation
+  // ---------------------------------------------------------------------------
+
+  type TransformFunction = (value: any, record: AnyRecord) => any;
+
+  type Transform = TransformFunction | {
+    in?: TransformFunction;
+    out?: TransformFunction;
+  };
+
+  interface TypeDefinition {
+    parse(apiValue: any, options: AnyRecord): any;
+    serialize(formValue: any, options: AnyRecord): any;
+  }
+
+  type BuiltInType = 'string' | 'integer' | 'decimal' | 'boolean' | 'date' | 'datetime';
+
+  type TypeDeclaration =
+    | BuiltInType
+    | string
+    | { type: 'enum'; values: any[] }
+    | { type: string; [option: string]: any }
+    | TypeDefinition;
+
+  type RuleResult = boolean | string | null | undefined;
+
+  interface FieldRules {
+    required?: boolean | string;
+    min?: number | Date;
+    max?: number | Date;
+    minLength?: number;
+    maxLength?: number;
+    /** Strings are compiled with `new RegExp` */
+    pattern?: RegExp | string;
+    enum?: any[];
+    custom?: ((value: any, form: AnyRecord) => RuleResult) | Array<(value: any, form: AnyRecord) => RuleResult>;
+  }
+
+  interface CrossFieldRule<Form = any> {
+    fields?: string[];
+    path?: string;
+    check(form: Form): RuleResult;
+  }
+
+  type ValidationRules<Form = any> = FieldMap<Form, FieldRules> & {
+    $cross?: Array<CrossFieldRule<Form>>;
+  };
+
+  type ValidationErrors = { [formPath: string]: string[] };
+
+  interface ValidationResult {
+    valid: boolean;
+    errors: ValidationErrors | string[] | AnyRecord;
+  }
+
+  interface ValidationContext<Form = any> {
+    mode?: 'post' | 'patch';
+    initial?: Form;
+    current?: Form;
+  }
+
+  type ValidatorFunction<Form = any> = (data: any, context: ValidationContext<Form>) => ValidationResult;
+
+  interface Validator<Form = any> extends ValidatorFunction<Form> {
+    rules: ValidationRules<Form>;
+  }
+
+  interface TransformFailure {
+    field?: string;
+    input: any;
+    parsed?: any;
+    output?: any;
+    /** Set when the transform threw on this sample */
+    error?: Error;
+  }
+
+  interface TransformCheck {
+    valid: boolean;
+    failures: TransformFailure[];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Mapper options
+  // ---------------------------------------------------------------------------
+
+  type PatchFormat = 'merge' | 'merge-patch' | 'json-patch';
+
+  interface ArrayFormat {
+    added?: string;
+    removed?: string;
+    moved?: string;
+    updated?: string;
+  }
+
+  interface MapperOptions {
+    typeCoercion?: boolean;
+    omitUndefined?: boolean;
+    omitNull?: boolean;
+    compareArrays?: boolean;
+    arrayKey?: string | { [path: string]: string } | null;
+    arrayFormat?: ArrayFormat | ((changes: AnyRecord) => any);
+    patchFormat?: PatchFormat;
+    /** Throw when a PATCH changes an immutable field instead of dropping it */
+    strictAccess?: boolean;
+  }
+
+  interface Profile<Form = any> {
+    formToApi?: FormToApiMapping<Form>;
+    allowedFields?: string[];
+    forbiddenFields?: string[];
+    transforms?: FieldMap<Form, Transform>;
+  }
+
+  interface ComputedField<Api = any, Form = any> {
+    get?: (apiRecord: Api) => any;
+    set?: (formValue: any, formRecord: Form) => DeepPartial<Api> | AnyRecord;
+  }
+
+  /** One API field shown as several form fields; parts are keyed by form path */
+  interface FanOutMapping<Api = any, Form = any> {
+    fields: string[];
+    split?: (apiValue: any, apiRecord: Api) => AnyRecord;
+    join?: (parts: AnyRecord, formRecord: Form) => any;
+  }
+
+  /** Several API fields shown as one form field; parts are keyed by API path */
+  interface FanInMapping<Api = any, Form = any> {
+    fields: string[];
+    join?: (parts: AnyRecord, apiRecord: Api) => any;
+    split?: (formValue: any, formRecord: Form) => AnyRecord;
+  }
+
+  /**
+   * Config merged over the base for one discriminator value; mappings are not
+   * shape-checked since variant fields usually exist on one union member only
+   */
+  interface VariantConfig {
+    apiToForm?: LooseMapping;
+    formToApi?: FormToApiMapping;
+    transforms?: { [formPath: string]: Transform };
+    defaults?: AnyRecord;
+    types?: { [formPath: string]: TypeDeclaration };
+    validator?: ValidatorFunction | ValidationRules | null;
+    computed?: { [formPath: string]: ComputedField };
+    fanOut?: { [apiPath: string]: FanOutMapping };
+    fanIn?: { [formPath: string]: FanInMapping };
+  }
+
+  interface ConcurrencyConfig {
+    /** API path of the version or ETag field (must be mapped in apiToForm) */
+    field: string;
+    /** Send the token only as an If-Match header, never in the body */
+    ifMatch?: boolean;
+  }
+
+  /** readOnly: never sent; writeOnly: never read, POST only; immutable: POST only */
+  type AccessFlag = 'readOnly' | 'writeOnly' | 'immutable';
+
+  /** Custom equality for one field; called only when both values are present */
+  type Comparator<T = any> = (a: T, b: T, path: string) => boolean;
+
+  interface EqualityOptions {
+    /** Comparators keyed by path (wildcards allowed) */
+    comparators?: { [path: string]: Comparator } | null;
+    /** Path of the compared values, so comparators match nested values */
+    path?: string;
+  }
+
+  interface MapperConfig<Api = any, Form = any> {
+    apiToForm: ApiToFormMapping<Api, Form>;
+    formToApi?: FormToApiMapping<Form> | FormToApiByKind<Form> | null;
+    transforms?: FieldMap<Form, Transform>;
+    defaults?: Partial<Form>;
+    types?: FieldMap<Form, TypeDeclaration>;
+    validator?: ValidatorFunction<Form> | ValidationRules<Form> | null;
+    profiles?: { [K in PayloadKind]?: Profile<Form> };
+    computed?: FieldMap<Form, ComputedField<Api, Form>>;
+    fanOut?: { [apiPath: string]: FanOutMapping<Api, Form> };
+    fanIn?: FieldMap<Form, FanInMapping<Api, Form>>;
+    discriminator?: string | null;
+    variants?: { [value: string]: VariantConfig };
+    concurrency?: string | ConcurrencyConfig | null;
+    access?: FieldMap<Form, AccessFlag>;
+    comparators?: FieldMap<Form, Comparator>;
+    options?: MapperOptions;
+  }
+
+  interface PayloadOptions {
+    validation?: ValidatorFunction | null;
+    defaults?: AnyRecord;
+    allowedFields?: string[] | null;
+    forbiddenFields?: string[] | null;
+    omitUndefined?: boolean;
+    omitNull?: boolean;
+    [option: string]: any;
+  }
+
+  interface PatchOptions extends PayloadOptions {
+    format?: PatchFormat;
+    arrayKey?: MapperOptions['arrayKey'];
+    arrayFormat?: MapperOptions['arrayFormat'];
+    /** Fresh API response; fields the user and the server both changed are conflicts */
+    latest?: AnyRecord;
+    onConflict?: 'throw' | 'skip';
+    strictAccess?: boolean;
+    /** Form paths known to hold every change; the 'merge' format compares only these */
+    changedPaths?: string[];
+    /** Fields a comparator finds equal are not sent */
+    comparators?: { [formPath: string]: Comparator } | null;
+  }
+
+  interface JsonPatchOperation {
+    op: 'add' | 'remove' | 'replace' | 'move' | 'copy' | 'test';
+    path: string;
+    value?: any;
+    from?: string;
+  }
+
+  type DeepPartial<T> = IsAny<T> extends true ? any : {
+    [K in keyof T]?: T[K] extends Date ? T[K] : T[K] extends object ? DeepPartial<T[K]> : T[K];
+  };
+
+  interface ArrayChanges<Item = any> {
+    added: Item[];
+    removed: Item[];
+    moved: Array<{ key: any; from: number; to: number }>;
+    updated: Array<{ key: any; index: number; changes: AnyRecord }>;
+  }
+
+  // Named export of the default class
+  const Mapper: MapperStatic;
+  type Mapper<ApiShape = any, FormShape = any> = MapperInstance<ApiShape, FormShape>;
+
+  // ---------------------------------------------------------------------------
+  // Standalone functions
+  // ---------------------------------------------------------------------------
+
+  interface NormalizeOptions {
+    typeCoercion?: boolean;
+    defaultValues?: AnyRecord;
+    transform?: { [formPath: string]: Transform };
+    types?: { [formPath: string]: TypeDeclaration };
+    computed?: { [formPath: string]: ComputedField };
+    fanOut?: { [apiPath: string]: FanOutMapping };
+    fanIn?: { [formPath: string]: FanInMapping };
+    /** Top-level form fields kept exactly as the API sent them */
+    rawFields?: string[];
+  }
+
+  interface DenormalizeOptions {
+    omitUndefined?: boolean;
+    omitNull?: boolean;
+    transform?: { [formPath: string]: Transform };
+    formToApi?: FormToApiMapping | null;
+    record?: AnyRecord;
+    types?: { [formPath: string]: TypeDeclaration };
+    computed?: { [formPath: string]: ComputedField };
+    fanOut?: { [apiPath: string]: FanOutMapping };
+    fanIn?: { [formPath: string]: FanInMapping };
+  }
+
+  interface DiffOptions {
+    compareArrays?: boolean;
+    ignoreFields?: string[];
+    arrayKey?: MapperOptions['arrayKey'];
+    comparators?: { [path: string]: Comparator } | null;
+  }
+
+  function normalize<Form = AnyRecord>(apiData: AnyRecord, mapping: ApiToFormMapping, options?: NormalizeOptions): Form;
+  function normalizeFlat<Form = AnyRecord>(apiData: AnyRecord, flatMapping: { [apiPath: string]: string }): Form;
+
+  function denormalize<Api = AnyRecord>(formData: AnyRecord, mapping: ApiToFormMapping, options?: DenormalizeOptions): Api;
+  function denormalizeFlat<Api = AnyRecord>(formData: AnyRecord, formToApiMapping: FormToApiMapping, options?: DenormalizeOptions): Api;
+  function denormalizeForPost<Api = AnyRecord>(formData: AnyRecord, mapping: ApiToFormMapping, options?: DenormalizeOptions): Api;
+  function denormalizeForPatch<Api = AnyRecord>(formData: AnyRecord, mapping: ApiToFormMapping, options?: DenormalizeOptions): Api;
+
+  function diff<T = AnyRecord>(original: T, current: T, options?: DiffOptions): DeepPartial<T>;
+  function diffArray<Item = any>(original: Item[], current: Item[], key: string, options?: DiffOptions): ArrayChanges<Item> | null;
+  function getChangedPaths(original: any, current: any, options?: EqualityOptions): string[];
+  function hasChanges(original: any, current: any, options?: EqualityOptions): boolean;
+  /** Structural equality: Dates, RegExps, Maps, Sets, typed arrays, NaN and cycles */
+  function isEqual(a: any, b: any, options?: EqualityOptions): boolean;
+
+  interface MergeConflict {
+    path: string;
+    base: any;
+    mine: any;
+    theirs: any;
+  }
+
+  type MergeStrategy = 'mine' | 'theirs' | ((conflict: MergeConflict) => any);
+
+  interface MergeOptions {
+    strategy?: MergeStrategy;
+    resolvers?: { [formPath: string]: MergeStrategy };
+    comparators?: { [formPath: string]: Comparator } | null;
+  }
+
+  interface MergeResult<T = AnyRecord> {
+    merged: T;
+    conflicts: MergeConflict[];
+  }
+
+  function mergeForms<T = AnyRecord>(base: T, mine: T, theirs: T, options?: MergeOptions): MergeResult<T>;
+
+  interface SessionOptions {
+    /** Undo entries kept (default 100) */
+    limit?: number;
+  }
+
+  interface HistoryEntry {
+    label?: string;
+    changes: AnyRecord;
+    inverse: AnyRecord;
+  }
+
+  interface FormSession<Api = any, Form = any> {
+    readonly initial: Form;
+    readonly current: Form;
+    readonly history: HistoryEntry[];
+    get(): Form;
+    get(path: string): any;
+    set(path: string, value: any, label?: string): Form;
+    update(formData: Form, label?: string): Form;
+    transaction<R>(fn: (session: FormSession<Api, Form>) => R, label?: string): R;
+    undo(): Form;
+    redo(): Form;
+    canUndo(): boolean;
+    canRedo(): boolean;
+    diff(): DeepPartial<Form>;
+    getChangedPaths(): string[];
+    hasChanges(): boolean;
+    buildPatch(options: PatchOptions & { format: 'json-patch' }): JsonPatchOperation[] | null;
+    buildPatch(options?: PatchOptions): Partial<Api> | null;
+    reset(latest?: Api): Form;
+  }
+
+  interface FieldState {
+    value: any;
+    initialValue: any;
+    dirty: boolean;
+    pristine: boolean;
+    touched: boolean;
+  }
+
+  interface FieldTracker<Api = any, Form = any> {
+    readonly initial: Form;
+    readonly current: Form;
+    get(): Form;
+    get(path: string): any;
+    set(path: string, value: any): Form;
+    touch(path: string): void;
+    isDirty(path?: string): boolean;
+    isPristine(path?: string): boolean;
+    isTouched(path?: string): boolean;
+    getFieldState(path: string): FieldState;
+    getDirtyPaths(): string[];
+    getTouchedPaths(): string[];
+    buildPatch(options: PatchOptions & { format: 'json-patch' }): JsonPatchOperation[] | null;
+    buildPatch(options?: PatchOptions): Partial<Api> | null;
+    reset(latest?: Api): Form;
+  }
+
+  function createFieldTracker<Api = any, Form = any>(mapper: Mapper<Api, Form>, apiData: Api): FieldTracker<Api, Form>;
+
+  function createFormSession<Api = any, Form = any>(mapper: Mapper<Api, Form>, apiData: Api, options?: SessionOptions): FormSession<Api, Form>;
+
+  function resolveTransform(transform: Transform | undefined, direction: 'in' | 'out'): TransformFunction | null;
+  function verifyTransform(transform: Transform, samples: any[], options?: { compare?: (a: any, b: any) => boolean }): TransformCheck;
+
+  function validate<Form = AnyRecord>(formData: Form, rules: ValidationRules<Form>, options?: { mode?: 'post' | 'patch'; initial?: Form }): {
+    valid: boolean;
+    errors: ValidationErrors;
+  };
+  function createValidator<Form = AnyRecord>(rules: ValidationRules<Form>): Validator<Form>;
+
+  function registerType(name: string, definition: TypeDefinition): void;
+  function parseValue(value: any, declaration: TypeDeclaration | null | undefined): any;
+  function serializeValue(value: any, declaration: TypeDeclaration | null | undefined): any;
+
+  interface OpenApiSelector {
+    operationId?: string;
+    path?: string;
+  }
+
+  interface OpenApiOptions {
+    naming?: 'camelCase' | 'preserve' | ((apiKey: string, apiPath: string) => string);
+  }
+
+  function generateMapperConfig(
+    document: AnyRecord | string,
+    selector?: OpenApiSelector | string | null,
+    options?: OpenApiOptions
+  ): MapperConfig;
+
+  interface TypegenOptions {
+    name?: string;
+    apiName?: string;
+    formName?: string;
+  }
+
+  function generateTypes(config: Partial<MapperConfig>, options?: TypegenOptions): string;
+
+  type AnalysisCode =
+    | 'invalid-mapping'
+    | 'collision'
+    | 'shadowed-path'
+    | 'unreachable'
+    | 'unknown-transform'
+    | 'unknown-type'
+    | 'unknown-rule'
+    | 'unknown-profile-field'
+    | 'unmapped-default';
+
+  interface AnalysisIssue {
+    severity: 'error' | 'warning';
+    code: AnalysisCode;
+    path: string;
+    message: string;
+  }
+
+  interface AnalysisResult {
+    valid: boolean;
+    issues: AnalysisIssue[];
+  }
+
+  function analyzeConfig(config: Partial<MapperConfig>): AnalysisResult;
+
+  interface RoundTripChange {
+    path: string;
+    kind: 'changed' | 'type' | 'dropped';
+    input: any;
+    output: any;
+  }
+
+  interface RoundTripFailure {
+    sample: number;
+    stage: 'normalize' | 'denormalize' | 'post';
+    path?: string;
+    kind: RoundTripChange['kind'] | 'error';
+    input?: any;
+    output?: any;
+    error?: Error;
+  }
+
+  interface RoundTripResult<Api = any> {
+    valid: boolean;
+    failures: RoundTripFailure[];
+    samples: Api[];
+  }
+
+  interface GenerateOptions {
+    seed?: number;
+    types?: { [formPath: string]: TypeDeclaration };
+    missingRate?: number;
+    nullRate?: number;
+  }
+
+  function compareRoundTrip(input: any, output: any, mapping: ApiToFormMapping, isWritten?: (apiPath: string) => boolean): RoundTripChange[];
+  function generateRecords<Api = AnyRecord>(mapping: ApiToFormMapping, count: number, options?: GenerateOptions): Api[];
+
+  /** Key, array index, or WILDCARD (every item or key) */
+  type PathSegment = string | number | typeof WILDCARD;
+  type PathInput = string | number | readonly PathSegment[];
+
+  const WILDCARD: unique symbol;
+  function parsePath(path: PathInput): readonly PathSegment[];
+  function formatPath(segments: readonly PathSegment[]): string;
+  function joinPath(path: string, ...segments: Array<string | number>): string;
+  function matchPath(pattern: PathInput, path: PathInput, options?: { prefix?: boolean }): boolean;
+  function expandPath(obj: any, path: PathInput): string[];
+
+  function createJsonPatch(original: any, current: any, options?: { arrayKeys?: { [pointer: string]: string } }): JsonPatchOperation[];
+  function applyJsonPatch<T = any>(document: T, patch: JsonPatchOperation[]): T;
+  function createMergePatch(original: any, current: any): any;
+  function applyMergePatch<T = any>(document: T, patch: any): T;
+
+  function buildPatchPayload(initialForm: AnyRecord, currentForm: AnyRecord, mapping: ApiToFormMapping, options: PatchOptions & { format: 'json-patch' }): JsonPatchOperation[] | null;
+  function buildPatchPayload<Api = AnyRecord>(initialForm: AnyRecord, currentForm: AnyRecord, mapping: ApiToFormMapping, options?: PatchOptions): Partial<Api> | null;
+  function buildJsonPatchPayload(initialForm: AnyRecord, currentForm: AnyRecord, mapping: ApiToFormMapping, options?: PatchOptions): JsonPatchOperation[] | null;
+  function buildMergePatchPayload<Api = AnyRecord>(initialForm: AnyRecord, currentForm: AnyRecord, mapping: ApiToFormMapping, options?: PatchOptions): Partial<Api> | null;
+  function getPatchContentType(format?: PatchFormat): string;
+  function buildPostPayload<Api = AnyRecord>(formData: AnyRecord, mapping: ApiToFormMapping, options?: PayloadOptions): Partial<Api>;
+  function buildPutPayload<Api = AnyRecord>(formData: AnyRecord, mapping: ApiToFormMapping, options?: PayloadOptions): Partial<Api>;
+  function buildPartialPayload<Api = AnyRecord>(formData: AnyRecord, fields: string[], mapping: ApiToFormMapping, options?: PayloadOptions): Partial<Api>;
+  function createPayloadBuilder(mapping: ApiToFormMapping, defaultOptions?: PatchOptions): {
+    buildPatch(initial: AnyRecord, current: AnyRecord, options?: PatchOptions): AnyRecord | JsonPatchOperation[] | null;
+    buildPost(formData: AnyRecord, options?: PayloadOptions): AnyRecord;
+    buildPut(formData: AnyRecord, options?: PayloadOptions): AnyRecord;
+    buildPartial(formData: AnyRecord, fields: string[], options?: PayloadOptions): AnyRecord;
+  };
+
+  // ---------------------------------------------------------------------------
+  // Errors
+  // ---------------------------------------------------------------------------
+
+  interface ErrorDetails {
+    formPath?: string;
+    apiPath?: string;
+    value?: any;
+    cause?: unknown;
+  }
+
+  class MapperError extends Error {
+    constructor(message: string, details?: ErrorDetails);
+    formPath?: string;
+    apiPath?: string;
+    value?: any;
+    cause?: unknown;
+  }
+
+  class MapperConfigError extends MapperError {}
+
+  class ValidationError extends MapperError {
+    constructor(message: string, details?: ErrorDetails & { errors?: any });
+    errors: any;
+  }
+
+  class TransformError extends MapperError {}
+
+  class MappingError extends MapperError {}
+
+  class ConflictError extends MapperError {
+    constructor(message: string, details?: ErrorDetails & { conflicts?: MergeConflict[] });
+    conflicts: MergeConflict[];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Utilities
+  // ---------------------------------------------------------------------------
+
+  const utils: {
+    isPlainObject(value: any): value is AnyRecord;
+    deepClone<T>(obj: T): T;
+    getNestedValue(obj: any, path: PathInput): any;
+    setNestedValue(obj: AnyRecord, path: PathInput, value: any): void;
+    unsetNestedValue(obj: AnyRecord, path: PathInput): void;
+    invertMapping(mapping: ApiToFormMapping): FormToApiMapping;
+    deepMerge<T extends AnyRecord, S extends AnyRecord>(target: T, source: S): T & S;
+    flattenObject(obj: AnyRecord, prefix?: string): AnyRecord;
+    unflattenObject(obj: AnyRecord): AnyRecord;
+  };
+
+  const version: string;
+}
+
+export = Mapper;
@@ -8,9 +8,32 @@
 const Mapper = require('./Mapper');
 const { normalize, normalizeFlat } = require('./normalizer');
 const { denormalize, denormalizeFlat, denormalizeForPost, denormalizeForPatch } = require('./denormalizer');
-const { diff, getChangedPaths, hasChanges, isEqual } = require('./differ');
+const { diff, diffArray, getChangedPaths, hasChanges, isEqual } = require('./differ');
+const { resolveTransform, verifyTransform } = require('./transforms');
+const { registerType, parseValue, serializeValue } = require('./types');
+const { validate, createValidator } = require('./validator');
+const { generateMapperConfig } = require('./openapi');
+const { generateTypes } = require('./typegen');
+const { analyzeConfig } = require('./analyzer');
+const { compareRoundTrip, generateRecords } = require('./roundTrip');
+const { mergeForms } = require('./merge');
+const { createFormSession } = require('./session');
+const { createFieldTracker } = require('./tracker');
+const { WILDCARD, parsePath, formatPath, joinPath, matchPath, expandPath } = require('./path');
+const {
+  MapperError,
+  MapperConfigError,
+  ValidationError,
+  TransformError,
+  MappingError,
+  ConflictError
+} = require('./errors');
+const { createJsonPatch, applyJsonPatch, createMergePatch, applyMergePatch } = require('./jsonPatch');
 const { 
   buildPatchPayload, 
+  buildJsonPatchPayload,
+  buildMergePatchPayload,
+  getPatchContentType,
   buildPostPayload, 
   buildPutPayload,
   buildPartialPayload,
@@ -21,6 +44,7 @@ const {
   deepClone,
   getNestedValue,
   setNestedValue,
+  unsetNestedValue,
   invertMapping,
   deepMerge,
   flattenObject,
@@ -45,12 +69,69 @@ module.exports.denormalizeForPatch = denormalizeForPatch;
 
 // Differ
 module.exports.diff = diff;
+module.exports.diffArray = diffArray;
 module.exports.getChangedPaths = getChangedPaths;
 module.exports.hasChanges = hasChanges;
 module.exports.isEqual = isEqual;
 
+// Merge
+module.exports.mergeForms = mergeForms;
+
+// Sessions
+module.exports.createFormSession = createFormSession;
+module.exports.createFieldTracker = createFieldTracker;
+
+// Transforms
+module.exports.resolveTransform = resolveTransform;
+module.exports.verifyTransform = verifyTransform;
+
+// Errors
+module.exports.MapperError = MapperError;
+module.exports.MapperConfigError = MapperConfigError;
+module.exports.ValidationError = ValidationError;
+module.exports.TransformError = TransformError;
+module.exports.MappingError = MappingError;
+module.exports.ConflictError = ConflictError;
+
+// Validation
+module.exports.validate = validate;
+module.exports.createValidator = createValidator;
+
+// Types
+module.exports.registerType = registerType;
+module.exports.parseValue = parseValue;
+module.exports.serializeValue = serializeValue;
+
+// OpenAPI
+module.exports.generateMapperConfig = generateMapperConfig;
+
+// TypeScript
+module.exports.generateTypes = generateTypes;
+
+// Analysis
+module.exports.analyzeConfig = analyzeConfig;
+module.exports.compareRoundTrip = compareRoundTrip;
+module.exports.generateRecords = generateRecords;
+
+// Paths
+module.exports.WILDCARD = WILDCARD;
+module.exports.parsePath = parsePath;
+module.exports.formatPath = formatPath;
+module.exports.joinPath = joinPath;
+module.exports.matchPath = matchPath;
+module.exports.expandPath = expandPath;
+
+// JSON Patch
+module.exports.createJsonPatch = createJsonPatch;
+module.exports.applyJsonPatch = applyJsonPatch;
+module.exports.createMergePatch = createMergePatch;
+module.exports.applyMergePatch = applyMergePatch;
+
 // Payload builders
 module.exports.buildPatchPayload = buildPatchPayload;
+module.exports.buildJsonPatchPayload = buildJsonPatchPayload;
+module.exports.buildMergePatchPayload = buildMergePatchPayload;
+module.exports.getPatchContentType = getPatchContentType;
 module.exports.buildPostPayload = buildPostPayload;
 module.exports.buildPutPayload = buildPutPayload;
 module.exports.buildPartialPayload = buildPartialPayload;
@@ -62,6 +143,7 @@ module.exports.utils = {
   deepClone,
   getNestedValue,
   setNestedValue,
+  unsetNestedValue,
   invertMapping,
   deepMerge,
   flattenObject,
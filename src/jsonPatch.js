@@ -0,0 +1,301 @@
+/**
+ * JSON Patch - Create and apply RFC 6902 operations and RFC 7396 merge
+ * patches on API documents
+ */
+
+const { deepClone } = require('./utils');
+const { deepEqual, isRecord } = require('./equality');
+const { MappingError } = require('./errors');
+
+/**
+ * Create JSON Patch operations that turn one document into another
+ * @param {Object} original - Original document
+ * @param {Object} current - Target document
+ * @param {Object} options - Patch options
+ * @param {Object} options.arrayKeys - Map of array pointer -> identity field
+ *   (e.g. { '/line_items': 'item_id' }); keyed arrays emit add/remove/move
+ *   per item instead of index-based replacements
+ * @returns {Array<Object>} JSON Patch operations
+ */
+function createJsonPatch(original, current, options = {}) {
+  const { arrayKeys = {} } = options;
+  const operations = [];
+
+  function compare(oldVal, newVal, tokens) {
+    if (deepEqual(oldVal, newVal)) return;
+
+    const path = formatPointer(tokens);
+
+    if (isRecord(oldVal) && isRecord(newVal)) {
+      // Removed keys first, so later indexes stay valid
+      for (const key in oldVal) {
+        if (!oldVal.hasOwnProperty(key) || oldVal[key] === undefined) continue;
+        if (newVal[key] === undefined) {
+          operations.push({ op: 'remove', path: formatPointer([...tokens, key]) });
+        }
+      }
+
+      for (const key in newVal) {
+        if (!newVal.hasOwnProperty(key) || newVal[key] === undefined) continue;
+        if (oldVal[key] === undefined) {
+          operations.push({ op: 'add', path: formatPointer([...tokens, key]), value: deepClone(newVal[key]) });
+        } else {
+          compare(oldVal[key], newVal[key], [...tokens, key]);
+        }
+      }
+      return;
+    }
+
+    if (Array.isArray(oldVal) && Array.isArray(newVal)) {
+      if (arrayKeys[path]) {
+        compareKeyedArrays(oldVal, newVal, tokens, arrayKeys[path]);
+      } else if (oldVal.length === newVal.length) {
+        newVal.forEach((item, index) => compare(oldVal[index], item, [...tokens, String(index)]));
+      } else {
+        operations.push({ op: 'replace', path, value: deepClone(newVal) });
+      }
+      return;
+    }
+
+    operations.push({ op: 'replace', path, value: deepClone(newVal) });
+  }
+
+  function compareKeyedArrays(oldItems, newItems, tokens, key) {
+    const newKeys = new Set(newItems.map(item => item?.[key]).filter(id => id !== undefined));
+    const working = oldItems.slice();
+
+    // Remove from the end so earlier indexes are unaffected
+    for (let i = working.length - 1; i >= 0; i--) {
+      const id = working[i]?.[key];
+      if (id === undefined || !newKeys.has(id)) {
+        operations.push({ op: 'remove', path: formatPointer([...tokens, String(i)]) });
+        working.splice(i, 1);
+      }
+    }
+
+    // Settle each target position left to right
+    newItems.forEach((item, index) => {
+      const id = item?.[key];
+      const from = id === undefined
+        ? -1
+        : working.findIndex((candidate, i) => i >= index && candidate?.[key] === id);
+
+      if (from === -1) {
+        operations.push({ op: 'add', path: formatPointer([...tokens, String(index)]), value: deepClone(item) });
+        working.splice(index, 0, item);
+        return;
+      }
+
+      if (from !== index) {
+        operations.push({
+          op: 'move',
+          from: formatPointer([...tokens, String(from)]),
+          path: formatPointer([...tokens, String(index)])
+        });
+        const [moved] = working.splice(from, 1);
+        working.splice(index, 0, moved);
+      }
+
+      compare(working[index], item, [...tokens, String(index)]);
+    });
+  }
+
+  compare(original, current, []);
+  return operations;
+}
+
+/**
+ * Apply JSON Patch operations to a copy of a document
+ * @param {Object} document - Source document (not mutated)
+ * @param {Array<Object>} patch - JSON Patch operations
+ * @returns {Object} Patched document
+ */
+function applyJsonPatch(document, patch) {
+  let result = deepClone(document);
+
+  for (const operation of patch) {
+    const { op, path, from, value } = operation;
+
+    switch (op) {
+      case 'add':
+        result = addValue(result, parsePointer(path), deepClone(value), op);
+        break;
+      case 'remove':
+        result = removeValue(result, parsePointer(path), op);
+        break;
+      case 'replace':
+        result = removeValue(result, parsePointer(path), op);
+        result = addValue(result, parsePointer(path), deepClone(value), op);
+        break;
+      case 'move': {
+        const moved = getValue(result, parsePointer(from), op);
+        result = removeValue(result, parsePointer(from), op);
+        result = addValue(result, parsePointer(path), moved, op);
+        break;
+      }
+      case 'copy':
+        result = addValue(result, parsePointer(path), deepClone(getValue(result, parsePointer(from), op)), op);
+        break;
+      case 'test':
+        if (!deepEqual(getValue(result, parsePointer(path), op), value)) {
+          throw new MappingError(`JSON Patch test failed at ${path}`, { apiPath: path, value });
+        }
+        break;
+      default:
+        throw new MappingError(`Unsupported JSON Patch operation: ${op}`, { apiPath: path });
+    }
+  }
+
+  return result;
+}
+
+function getValue(document, tokens, op) {
+  let current = document;
+  for (const token of tokens) {
+    if (current === null || typeof current !== 'object' || !(token in current)) {
+      throw new MappingError(`JSON Patch ${op} failed: path ${formatPointer(tokens)} does not exist`, {
+        apiPath: formatPointer(tokens)
+      });
+    }
+    current = current[token];
+  }
+  return current;
+}
+
+function addValue(document, tokens, value, op) {
+  if (tokens.length === 0) return value;
+
+  const parent = getValue(document, tokens.slice(0, -1), op);
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    const index = key === '-' ? parent.length : Number(key);
+    if (!Number.isInteger(index) || index < 0 || index > parent.length) {
+      throw new MappingError(`JSON Patch ${op} failed: invalid array index at ${formatPointer(tokens)}`, {
+        apiPath: formatPointer(tokens)
+      });
+    }
+    parent.splice(index, 0, value);
+  } else if (parent !== null && typeof parent === 'object') {
+    parent[key] = value;
+  } else {
+    throw new MappingError(`JSON Patch ${op} failed: path ${formatPointer(tokens)} does not exist`, {
+      apiPath: formatPointer(tokens)
+    });
+  }
+
+  return document;
+}
+
+function removeValue(document, tokens, op) {
+  if (tokens.length === 0) return undefined;
+
+  getValue(document, tokens, op);
+  const parent = getValue(document, tokens.slice(0, -1), op);
+  const key = tokens[tokens.length - 1];
+
+  if (Array.isArray(parent)) {
+    parent.splice(Number(key), 1);
+  } else {
+    delete parent[key];
+  }
+
+  return document;
+}
+
+/**
+ * Create an RFC 7396 JSON Merge Patch between two documents
+ * Removed keys become null, objects merge recursively, arrays are replaced whole
+ * @param {Object} original - Original document
+ * @param {Object} current - Target document
+ * @returns {*} Merge patch ({} when nothing changed)
+ */
+function createMergePatch(original, current) {
+  if (!isRecord(original) || !isRecord(current)) {
+    return deepClone(current);
+  }
+
+  const patch = {};
+
+  for (const key in original) {
+    if (!original.hasOwnProperty(key) || original[key] === undefined) continue;
+    if (current[key] === undefined) {
+      patch[key] = null;
+    }
+  }
+
+  for (const key in current) {
+    if (!current.hasOwnProperty(key) || current[key] === undefined) continue;
+
+    if (original[key] === undefined) {
+      patch[key] = deepClone(current[key]);
+    } else if (isRecord(original[key]) && isRecord(current[key])) {
+      const nested = createMergePatch(original[key], current[key]);
+      if (Object.keys(nested).length > 0) {
+        patch[key] = nested;
+      }
+    } else if (!deepEqual(original[key], current[key])) {
+      patch[key] = deepClone(current[key]);
+    }
+  }
+
+  return patch;
+}
+
+/**
+ * Apply an RFC 7396 JSON Merge Patch to a copy of a document
+ * @param {Object} document - Source document (not mutated)
+ * @param {*} patch - Merge patch
+ * @returns {*} Patched document
+ */
+function applyMergePatch(document, patch) {
+  if (!isRecord(patch)) {
+    return deepClone(patch);
+  }
+
+  const result = isRecord(document) ? deepClone(document) : {};
+
+  for (const key in patch) {
+    if (!patch.hasOwnProperty(key)) continue;
+
+    if (patch[key] === null) {
+      delete result[key];
+    } else {
+      result[key] = applyMergePatch(result[key], patch[key]);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Parse a JSON Pointer into unescaped reference tokens
+ */
+function parsePointer(pointer) {
+  if (pointer === '') return [];
+  if (typeof pointer !== 'string' || pointer[0] !== '/') {
+    throw new MappingError(`Invalid JSON Pointer: ${pointer}`, { apiPath: pointer });
+  }
+  return pointer
+    .slice(1)
+    .split('/')
+    .map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+/**
+ * Format reference tokens as a JSON Pointer
+ */
+function formatPointer(tokens) {
+  return tokens
+    .map(token => `/${String(token).replace(/~/g, '~0').replace(/\//g, '~1')}`)
+    .join('');
+}
+
+module.exports = {
+  createJsonPatch,
+  applyJsonPatch,
+  createMergePatch,
+  applyMergePatch,
+  parsePointer,
+  formatPointer
+};
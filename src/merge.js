@@ -0,0 +1,83 @@
+/**
+ * Merge - Three-way merge of form states edited concurrently
+ */
+
+const { deepClone } = require('./utils');
+const { isEqual } = require('./differ');
+const { isRecord } = require('./equality');
+const { joinPath, matchPath } = require('./path');
+const { MapperConfigError } = require('./errors');
+
+/**
+ * Merge two edits made from the same base state
+ * A field changed on one side only takes that side's value; a field changed
+ * on both sides to different values is a conflict, settled by a strategy.
+ * Objects merge key by key, arrays and other values as a whole
+ * @param {Object} base - State both sides started from
+ * @param {Object} mine - Local edits
+ * @param {Object} theirs - Remote state
+ * @param {Object} options - Merge options
+ * @param {string|Function} options.strategy - 'mine' (default), 'theirs', or
+ *   (conflict) => value
+ * @param {Object} options.resolvers - Strategies for conflicts at specific
+ *   paths (wildcards allowed), used before `strategy`
+ * @param {Object} options.comparators - Custom equality per path (see deepEqual)
+ * @returns {Object} { merged, conflicts: [{ path, base, mine, theirs }] }
+ */
+function mergeForms(base, mine, theirs, options = {}) {
+  const { strategy = 'mine', resolvers = {}, comparators = null } = options;
+  const conflicts = [];
+
+  function resolve(conflict) {
+    const pattern = Object.keys(resolvers).find(key => matchPath(key, conflict.path));
+    const resolver = pattern ? resolvers[pattern] : strategy;
+
+    if (typeof resolver === 'function') {
+      return resolver(conflict);
+    }
+    if (resolver === 'mine' || resolver === 'theirs') {
+      return conflict[resolver];
+    }
+
+    throw new MapperConfigError(`Unknown merge strategy "${resolver}"`, { formPath: conflict.path });
+  }
+
+  function merge(baseVal, mineVal, theirsVal, path) {
+    const equal = (a, b) => isEqual(a, b, { comparators, path });
+
+    if (equal(mineVal, theirsVal) || equal(theirsVal, baseVal)) {
+      return mineVal;
+    }
+    if (equal(mineVal, baseVal)) {
+      return theirsVal;
+    }
+
+    // Both sides changed an object: only keys changed on both sides can clash
+    if (isRecord(mineVal) && isRecord(theirsVal)) {
+      const baseObj = isRecord(baseVal) ? baseVal : {};
+      const result = {};
+      const keys = new Set([...Object.keys(mineVal), ...Object.keys(theirsVal)]);
+
+      for (const key of keys) {
+        const value = merge(baseObj[key], mineVal[key], theirsVal[key], joinPath(path, key));
+        if (value !== undefined) {
+          result[key] = value;
+        }
+      }
+      return result;
+    }
+
+    const conflict = { path, base: baseVal, mine: mineVal, theirs: theirsVal };
+    conflicts.push(conflict);
+    return resolve(conflict);
+  }
+
+  return {
+    merged: deepClone(merge(base, mine, theirs, '')),
+    conflicts
+  };
+}
+
+module.exports = {
+  mergeForms
+};
@@ -3,73 +3,108 @@
  */
 
 const { isPlainObject, getNestedValue, setNestedValue } = require('./utils');
+const { resolveTransform, runTransform } = require('./transforms');
+const { parseValue, itemTypes } = require('./types');
+const { readComposites } = require('./composite');
+const { parsePath, joinPath } = require('./path');
 
 /**
  * Normalize API data to form schema using mapping
  * @param {Object} apiData - Raw API response data
  * @param {Object} mapping - API to form field mapping
  * @param {Object} options - Transformation options
+ * @param {Object} options.types - Field type declarations keyed by form field;
+ *   array item fields use item paths, e.g. 'lineItems[*].sku'
+ * @param {Object} options.computed - Computed form fields: { [formKey]: { get(apiRecord) } }
+ * @param {Object} options.fanOut - One API field split into several form fields
+ * @param {Object} options.fanIn - Several API fields joined into one form field
+ * @param {Array<string>} options.rawFields - Top-level form fields kept exactly as
+ *   the API sent them (no heuristic coercion), e.g. a concurrency token
  * @returns {Object} Normalized form data
  */
 function normalize(apiData, mapping, options = {}) {
   const {
     typeCoercion = true,
     defaultValues = {},
-    transform = {}
+    transform = {},
+    types = {},
+    computed = {},
+    fanOut = {},
+    fanIn = {},
+    rawFields = []
   } = options;
 
   const formData = { ...defaultValues };
 
-  function processMapping(source, mappingSchema, targetPath = '') {
+  function processMapping(source, mappingSchema, target, isRoot, fieldTypes, apiPrefix = '') {
     for (const apiKey in mappingSchema) {
       if (!mappingSchema.hasOwnProperty(apiKey)) continue;
 
       const mappingValue = mappingSchema[apiKey];
-      const sourceValue = source?.[apiKey];
+      // Mapping keys are paths, so 'contact.email' reads a nested field
+      const sourceValue = getNestedValue(source, apiKey);
+      const apiPath = joinPath(apiPrefix, ...parsePath(apiKey));
 
       if (typeof mappingValue === 'string') {
         // Simple mapping: api_field -> formField
         const formKey = mappingValue;
+        const details = { formPath: formKey, apiPath };
         let value = sourceValue;
 
-        // Apply custom transform if provided
-        if (transform[formKey]) {
-          value = transform[formKey](value, source);
+        // Apply custom parse transform if provided (top-level fields only)
+        const parse = isRoot ? resolveTransform(transform[formKey], 'in') : null;
+        if (parse) {
+          value = runTransform(parse, [value, source], details);
         }
 
-        // Type coercion
-        if (typeCoercion && value !== null && value !== undefined) {
+        // Declared field types take precedence over heuristic coercion
+        if (fieldTypes[formKey]) {
+          value = runTransform(parseValue, [value, fieldTypes[formKey]], details);
+        } else if (typeCoercion && !(isRoot && rawFields.includes(formKey)) && value !== null && value !== undefined) {
           value = coerceType(value);
         }
 
         // Only set if value is not undefined, to preserve defaults
         if (value !== undefined) {
-          setNestedValue(formData, formKey, value);
+          setNestedValue(target, formKey, value);
         }
 
       } else if (isPlainObject(mappingValue)) {
         // Nested mapping: { contact: { email_address: 'email' } }
         if (isPlainObject(sourceValue)) {
-          processMapping(sourceValue, mappingValue, apiKey);
+          processMapping(sourceValue, mappingValue, target, isRoot, fieldTypes, apiPath);
         }
       } else if (Array.isArray(mappingValue) && Array.isArray(sourceValue)) {
-        // Array mapping
-        const [itemMapping] = mappingValue;
-        const formKey = apiKey;
-        
-        formData[formKey] = sourceValue.map(item => {
-          if (isPlainObject(itemMapping)) {
+        // Array mapping: { line_items: [{ sku_code: 'sku' }, 'lineItems'] }
+        const [itemMapping, formKey = apiKey] = mappingValue;
+        const types = itemTypes(fieldTypes, formKey);
+
+        const items = sourceValue.map((item, index) => {
+          if (isPlainObject(itemMapping) && isPlainObject(item)) {
             const normalized = {};
-            processMapping(item, itemMapping);
+            processMapping(item, itemMapping, normalized, false, types, joinPath(apiPath, index));
             return normalized;
           }
           return item;
         });
+
+        setNestedValue(target, formKey, items);
       }
     }
   }
 
-  processMapping(apiData, mapping);
+  processMapping(apiData, mapping, formData, true, types);
+  readComposites(apiData, formData, { fanOut, fanIn });
+
+  // Computed fields read the whole API record
+  for (const formKey in computed) {
+    if (!computed.hasOwnProperty(formKey) || typeof computed[formKey].get !== 'function') continue;
+
+    const value = runTransform(computed[formKey].get, [apiData], { formPath: formKey });
+    if (value !== undefined) {
+      setNestedValue(formData, formKey, value);
+    }
+  }
 
   return formData;
 }
@@ -0,0 +1,369 @@
+/**
+ * OpenAPI - Generate Mapper configurations from OpenAPI 3 / JSON Schema documents
+ */
+
+const fs = require('fs');
+const { isPlainObject, invertMapping } = require('./utils');
+const { MapperConfigError } = require('./errors');
+const { WILDCARD, parsePath, formatPath, joinPath } = require('./path');
+
+const WRITE_METHODS = ['post', 'put', 'patch'];
+
+/**
+ * Generate a Mapper config from an OpenAPI 3 or JSON Schema document
+ * @param {Object|string} document - Parsed document, or path to a local JSON file
+ * @param {Object|string} selector - { operationId } or { path }, or a string
+ *   (a path if it starts with '/', else an operationId). Ignored for plain
+ *   JSON Schema documents
+ * @param {Object} options - Generator options
+ * @param {string|Function} options.naming - 'camelCase' (default), 'preserve',
+ *   or (apiKey, apiPath) => formKey
+ * @returns {Object} { apiToForm, formToApi, types, defaults, validator }
+ */
+function generateMapperConfig(document, selector, options = {}) {
+  const { naming = 'camelCase' } = options;
+  const doc = typeof document === 'string' ? JSON.parse(fs.readFileSync(document, 'utf8')) : document;
+
+  if (!isPlainObject(doc)) {
+    throw new MapperConfigError('OpenAPI document must be an object or a path to a JSON file');
+  }
+
+  const shapes = doc.paths ? selectOperationShapes(doc, selector) : { read: doc, write: {} };
+  const readSchema = resolveSchema(doc, shapes.read);
+  const readFields = collectFields(doc, readSchema, 'read');
+
+  if (readFields.length === 0) {
+    throw new MapperConfigError('No mappable fields found in the response schema');
+  }
+
+  // Form keys come from the read (GET) shape; write-only fields get their own
+  const formKeys = assignFormKeys(readFields, naming);
+  const config = {
+    apiToForm: buildApiToForm(readFields, formKeys, naming),
+    types: {},
+    defaults: {}
+  };
+
+  const formToApi = {};
+  let validationFields = readFields;
+
+  for (const method of WRITE_METHODS) {
+    if (!shapes.write[method]) continue;
+
+    const writeFields = collectFields(doc, resolveSchema(doc, shapes.write[method]), 'write');
+    const writeKeys = assignFormKeys(writeFields, naming, formKeys);
+    formToApi[method] = invertMapping(buildApiToForm(writeFields, writeKeys, naming));
+
+    for (const field of writeFields) {
+      formKeys.set(field.apiPath, writeKeys.get(field.apiPath));
+    }
+    if (validationFields === readFields) {
+      validationFields = writeFields;
+    }
+  }
+
+  // Types and defaults cover every field (array items by item path, without
+  // defaults); required rules follow the first write shape
+  const rules = {};
+  const validationLeaves = leafFields(validationFields, formKeys, naming);
+
+  for (const { formKey, field, inItem } of [...leafFields(readFields, formKeys, naming), ...validationLeaves]) {
+    const type = inferType(field.schema);
+    if (type) {
+      config.types[formKey] = type;
+    }
+    if (!inItem && field.schema.default !== undefined) {
+      config.defaults[formKey] = field.schema.default;
+    }
+  }
+
+  for (const { formKey, field } of validationLeaves) {
+    const fieldRules = inferRules(field);
+    if (Object.keys(fieldRules).length > 0) {
+      rules[formKey] = fieldRules;
+    }
+  }
+
+  if (Object.keys(formToApi).length > 0) {
+    config.formToApi = formToApi;
+  }
+  if (Object.keys(rules).length > 0) {
+    config.validator = rules;
+  }
+
+  return config;
+}
+
+/**
+ * Find the response schema and write request schemas for an operation
+ */
+function selectOperationShapes(doc, selector) {
+  const target = typeof selector === 'string'
+    ? (selector.startsWith('/') ? { path: selector } : { operationId: selector })
+    : (selector || {});
+
+  let pathKey = target.path;
+
+  if (!pathKey && target.operationId) {
+    for (const candidate in doc.paths) {
+      const pathItem = doc.paths[candidate];
+      if (Object.keys(pathItem).some(method => pathItem[method]?.operationId === target.operationId)) {
+        pathKey = candidate;
+        break;
+      }
+    }
+  }
+
+  const pathItem = pathKey && doc.paths[pathKey];
+  if (!pathItem) {
+    throw new MapperConfigError(`Operation not found: ${target.operationId || target.path}`);
+  }
+
+  const readOperation = pathItem.get
+    || (target.operationId && Object.values(pathItem).find(op => op?.operationId === target.operationId));
+  const read = readOperation && responseSchema(doc, readOperation);
+
+  const write = {};
+  for (const method of WRITE_METHODS) {
+    const schema = pathItem[method] && requestSchema(doc, pathItem[method]);
+    if (schema) {
+      write[method] = schema;
+    }
+  }
+
+  if (!read) {
+    throw new MapperConfigError(`No JSON response schema for ${pathKey}`);
+  }
+
+  return { read, write };
+}
+
+function responseSchema(doc, operation) {
+  const responses = operation.responses || {};
+  const status = ['200', '201'].find(code => responses[code])
+    || Object.keys(responses).find(code => /^2\d\d$/.test(code));
+  return status ? jsonSchemaOf(dereference(doc, responses[status]).content) : null;
+}
+
+function requestSchema(doc, operation) {
+  return operation.requestBody ? jsonSchemaOf(dereference(doc, operation.requestBody).content) : null;
+}
+
+/**
+ * Follow local $refs on responses and request bodies
+ */
+function dereference(doc, value, seen = new Set()) {
+  if (!isPlainObject(value) || !value.$ref || seen.has(value.$ref)) {
+    return value || {};
+  }
+  return dereference(doc, resolveRef(doc, value.$ref), new Set([...seen, value.$ref]));
+}
+
+function jsonSchemaOf(content = {}) {
+  const type = Object.keys(content).find(name => /json/.test(name)) || Object.keys(content)[0];
+  return type ? content[type].schema : null;
+}
+
+/**
+ * Follow local $refs and merge allOf members
+ */
+function resolveSchema(doc, schema, seen = new Set()) {
+  if (!isPlainObject(schema)) return {};
+
+  if (schema.$ref) {
+    if (seen.has(schema.$ref)) return {};
+    return resolveSchema(doc, resolveRef(doc, schema.$ref), new Set([...seen, schema.$ref]));
+  }
+
+  if (schema.allOf) {
+    const merged = { ...schema, type: schema.type || 'object', properties: {}, required: [...(schema.required || [])] };
+    delete merged.allOf;
+
+    for (const part of [schema, ...schema.allOf]) {
+      const resolved = part === schema ? { properties: schema.properties } : resolveSchema(doc, part, seen);
+      Object.assign(merged.properties, resolved.properties);
+      merged.required.push(...(resolved.required || []));
+    }
+    return merged;
+  }
+
+  return schema;
+}
+
+function resolveRef(doc, ref) {
+  if (!ref.startsWith('#/')) {
+    throw new MapperConfigError(`Only local $ref values are supported: ${ref}`);
+  }
+
+  let current = doc;
+  for (const token of ref.slice(2).split('/')) {
+    current = current?.[token.replace(/~1/g, '/').replace(/~0/g, '~')];
+  }
+  if (current === undefined) {
+    throw new MapperConfigError(`Unresolved $ref: ${ref}`);
+  }
+  return current;
+}
+
+/**
+ * Flatten an object schema into leaf fields with their API paths
+ * @param {string} direction - 'read' skips writeOnly, 'write' skips readOnly
+ */
+function collectFields(doc, schema, direction, prefix = '', seen = new Set()) {
+  const fields = [];
+  const properties = schema.properties || {};
+  const required = schema.required || [];
+
+  for (const key in properties) {
+    if (!properties.hasOwnProperty(key)) continue;
+
+    const ref = properties[key].$ref;
+    const property = resolveSchema(doc, properties[key]);
+    const apiPath = joinPath(prefix, key);
+
+    if (direction === 'read' && property.writeOnly) continue;
+    if (direction === 'write' && property.readOnly) continue;
+
+    if (isObjectSchema(property)) {
+      if (ref && seen.has(ref)) continue;
+      const nextSeen = ref ? new Set([...seen, ref]) : seen;
+      fields.push(...collectFields(doc, property, direction, apiPath, nextSeen));
+    } else if (property.type === 'array' && isObjectSchema(resolveSchema(doc, property.items))) {
+      const items = collectFields(doc, resolveSchema(doc, property.items), direction);
+      fields.push({ apiPath, key, schema: property, required: required.includes(key), isArray: true, items });
+    } else {
+      fields.push({ apiPath, key, schema: property, required: required.includes(key) });
+    }
+  }
+
+  return fields;
+}
+
+function isObjectSchema(schema) {
+  return isPlainObject(schema) && (schema.type === 'object' || (!schema.type && isPlainObject(schema.properties)));
+}
+
+/**
+ * Pick a unique form key per API path; reuses keys from `known` first
+ */
+function assignFormKeys(fields, naming, known = new Map()) {
+  const keys = new Map();
+  const taken = new Set(known.values());
+  const nameOf = (key, apiPath) => {
+    if (typeof naming === 'function') return naming(key, apiPath);
+    return naming === 'preserve' ? key : toCamelCase(key);
+  };
+
+  const counts = {};
+  for (const field of fields) {
+    const name = nameOf(field.key, field.apiPath);
+    counts[name] = (counts[name] || 0) + 1;
+  }
+
+  for (const field of fields) {
+    if (known.has(field.apiPath)) {
+      keys.set(field.apiPath, known.get(field.apiPath));
+      continue;
+    }
+
+    let name = nameOf(field.key, field.apiPath);
+    if (counts[name] > 1 || taken.has(name)) {
+      // Leaf names that clash use the whole API path instead
+      const joined = parsePath(field.apiPath).join('_');
+      name = naming === 'preserve' ? joined : toCamelCase(joined);
+    }
+
+    keys.set(field.apiPath, name);
+    taken.add(name);
+  }
+
+  return keys;
+}
+
+function buildApiToForm(fields, formKeys, naming) {
+  const apiToForm = {};
+
+  for (const field of fields) {
+    // Mapping keys are paths, so keys with dots or brackets stay quoted
+    const keys = parsePath(field.apiPath).map(key => formatPath([key]));
+    const leaf = keys.pop();
+    let node = apiToForm;
+    for (const key of keys) {
+      node = node[key] = node[key] || {};
+    }
+
+    if (field.isArray) {
+      const itemKeys = assignFormKeys(field.items, naming);
+      node[leaf] = [buildApiToForm(field.items, itemKeys, naming), formKeys.get(field.apiPath)];
+    } else {
+      node[leaf] = formKeys.get(field.apiPath);
+    }
+  }
+
+  return apiToForm;
+}
+
+/**
+ * List scalar fields with their form paths; array item fields get item
+ * paths such as 'lineItems[*].unitPrice'
+ */
+function leafFields(fields, formKeys, naming, prefix = '') {
+  const leaves = [];
+
+  for (const field of fields) {
+    const formKey = joinPath(prefix, ...parsePath(formKeys.get(field.apiPath)));
+
+    if (field.isArray) {
+      const itemKeys = assignFormKeys(field.items, naming);
+      leaves.push(...leafFields(field.items, itemKeys, naming, joinPath(formKey, WILDCARD)));
+    } else {
+      leaves.push({ formKey, field, inItem: prefix !== '' });
+    }
+  }
+
+  return leaves;
+}
+
+function inferType(schema) {
+  if (schema.enum) return { type: 'enum', values: schema.enum };
+
+  switch (schema.type) {
+    case 'integer':
+      return 'integer';
+    case 'number':
+      return 'decimal';
+    case 'boolean':
+      return 'boolean';
+    case 'string':
+      if (schema.format === 'date') return 'date';
+      if (schema.format === 'date-time') return 'datetime';
+      return 'string';
+    default:
+      return null;
+  }
+}
+
+function inferRules(field) {
+  const { schema } = field;
+  const rules = {};
+
+  if (field.required) rules.required = true;
+  if (schema.minimum !== undefined) rules.min = schema.minimum;
+  if (schema.maximum !== undefined) rules.max = schema.maximum;
+  if (schema.minLength !== undefined) rules.minLength = schema.minLength;
+  if (schema.maxLength !== undefined) rules.maxLength = schema.maxLength;
+  if (schema.pattern) rules.pattern = new RegExp(schema.pattern);
+  if (schema.enum) rules.enum = schema.enum;
+
+  return rules;
+}
+
+function toCamelCase(name) {
+  return name
+    .replace(/[-_\s]+(.)?/g, (match, char) => (char ? char.toUpperCase() : ''))
+    .replace(/^[A-Z]/, char => char.toLowerCase());
+}
+
+module.exports = {
+  generateMapperConfig
+};
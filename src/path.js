@@ -0,0 +1,269 @@
+/**
+ * Path - The path grammar shared by mappings, field lists and change paths
+ *
+ *   user.name        dot-separated keys
+ *   items[0].name    bracket indices
+ *   items[*].price   wildcards ([*] or a bare * key) match every item or key
+ *   meta["a.b"]      quoted keys (single or double quotes) hold any characters;
+ *                    \ escapes the quote and itself
+ *   a\.b             \ escapes ., [, ], * and \ in bare keys
+ */
+
+const { MapperConfigError } = require('./errors');
+
+/**
+ * Segment standing for every item or key at its level
+ */
+const WILDCARD = Symbol('wildcard');
+
+// Parsed paths by source string; cleared when it grows past the limit
+const cache = new Map();
+const CACHE_LIMIT = 1000;
+
+/**
+ * Parse a path into segments: strings (keys), numbers (indices) and WILDCARD
+ * @param {string|number|Array} path - Path string, index, or segments (returned as is)
+ * @returns {Array<string|number|symbol>} Segments ('' parses to [])
+ */
+function parsePath(path) {
+  if (Array.isArray(path)) {
+    return path;
+  }
+  if (typeof path === 'number') {
+    return [path];
+  }
+
+  const source = String(path);
+  if (cache.has(source)) {
+    return cache.get(source);
+  }
+
+  const segments = [];
+  const fail = reason => {
+    throw new MapperConfigError(`Invalid path "${source}": ${reason}`);
+  };
+
+  let key = null;
+  let raw = '';
+  let afterBracket = false;
+  let afterDot = false;
+
+  const endKey = () => {
+    if (key !== null) {
+      segments.push(raw === '*' ? WILDCARD : key);
+      key = null;
+      raw = '';
+    }
+  };
+
+  let i = 0;
+  while (i < source.length) {
+    const char = source[i];
+
+    if (char === '.') {
+      if (key === null && !afterBracket) fail(`empty key at ${i}`);
+      endKey();
+      afterBracket = false;
+      afterDot = true;
+      i++;
+    } else if (char === '[') {
+      if (afterDot && key === null) fail(`empty key at ${i}`);
+      endKey();
+      i = parseBracket(source, i + 1, segments, fail);
+      afterBracket = true;
+      afterDot = false;
+    } else if (char === ']') {
+      fail(`unexpected ] at ${i}`);
+    } else if (afterBracket) {
+      fail(`expected . or [ after ] at ${i}`);
+    } else if (char === '\\') {
+      if (i + 1 >= source.length) fail('trailing \\');
+      key = (key || '') + source[i + 1];
+      raw += source.slice(i, i + 2);
+      i += 2;
+    } else {
+      key = (key || '') + char;
+      raw += char;
+      i++;
+    }
+  }
+
+  if (afterDot && key === null) fail('empty key at end');
+  endKey();
+
+  // Cached arrays are shared, so they must never be mutated
+  Object.freeze(segments);
+  if (cache.size >= CACHE_LIMIT) {
+    cache.clear();
+  }
+  cache.set(source, segments);
+
+  return segments;
+}
+
+/**
+ * Parse the inside of a bracket starting at `start`; returns the index after `]`
+ */
+function parseBracket(source, start, segments, fail) {
+  const quote = source[start];
+
+  if (quote === '"' || quote === "'") {
+    let value = '';
+    let i = start + 1;
+
+    while (i < source.length && source[i] !== quote) {
+      if (source[i] === '\\' && i + 1 < source.length) {
+        value += source[i + 1];
+        i += 2;
+      } else {
+        value += source[i++];
+      }
+    }
+
+    if (i >= source.length) fail('unterminated quoted key');
+    if (source[i + 1] !== ']') fail(`expected ] at ${i + 1}`);
+
+    segments.push(value);
+    return i + 2;
+  }
+
+  const end = source.indexOf(']', start);
+  if (end === -1) fail('unterminated [');
+
+  const content = source.slice(start, end).trim();
+  if (content === '*') {
+    segments.push(WILDCARD);
+  } else if (/^\d+$/.test(content)) {
+    segments.push(Number(content));
+  } else {
+    fail(`[${content}] must hold an index, * or a quoted key`);
+  }
+
+  return end + 1;
+}
+
+/**
+ * Format segments as a canonical path string
+ * Keys that need it are quoted, indices and wildcards use brackets
+ * @param {Array<string|number|symbol>} segments - Path segments
+ * @returns {string} Path string
+ */
+function formatPath(segments) {
+  return segments.map((segment, index) => formatSegment(segment, index === 0)).join('');
+}
+
+function formatSegment(segment, first) {
+  if (segment === WILDCARD) {
+    return '[*]';
+  }
+  if (typeof segment === 'number') {
+    return `[${segment}]`;
+  }
+
+  const key = String(segment);
+  if (key !== '' && key !== '*' && !/[.[\]\\]/.test(key)) {
+    return first ? key : `.${key}`;
+  }
+
+  return `["${key.replace(/["\\]/g, '\\$&')}"]`;
+}
+
+/**
+ * Append segments (keys or indices) to a path
+ * @param {string} path - Base path ('' for the root)
+ * @param {...(string|number)} segments - Segments to append
+ * @returns {string} Path string
+ */
+function joinPath(path, ...segments) {
+  let result = path || '';
+
+  for (const segment of segments) {
+    result += formatSegment(segment, result === '');
+  }
+
+  return result;
+}
+
+/**
+ * Check whether a path matches a pattern segment by segment
+ * Wildcards in either side match any one segment; indices match numeric keys
+ * @param {string|Array} pattern - Path pattern
+ * @param {string|Array} path - Path to test
+ * @param {Object} options - { prefix: true } also matches paths nested under the pattern
+ * @returns {boolean}
+ */
+function matchPath(pattern, path, options = {}) {
+  const expected = parsePath(pattern);
+  const actual = parsePath(path);
+
+  if (options.prefix ? actual.length < expected.length : actual.length !== expected.length) {
+    return false;
+  }
+
+  return expected.every((segment, index) => segmentsMatch(segment, actual[index]));
+}
+
+/**
+ * Check whether one path contains the other (or both are the same path)
+ * @returns {boolean}
+ */
+function overlapsPath(a, b) {
+  return matchPath(a, b, { prefix: true }) || matchPath(b, a, { prefix: true });
+}
+
+function segmentsMatch(a, b) {
+  return a === WILDCARD || b === WILDCARD || String(a) === String(b);
+}
+
+/**
+ * Check whether a path has a wildcard segment
+ */
+function hasWildcard(path) {
+  return parsePath(path).includes(WILDCARD);
+}
+
+/**
+ * List the concrete paths in an object that a path (with wildcards) refers to
+ * Only paths whose last segment is present are returned
+ * @param {Object} obj - Source object
+ * @param {string|Array} path - Path, possibly with wildcards
+ * @returns {Array<string>} Concrete path strings
+ */
+function expandPath(obj, path) {
+  const segments = parsePath(path);
+  const results = [];
+
+  function walk(value, index, prefix) {
+    if (index === segments.length) {
+      results.push(formatPath(prefix));
+      return;
+    }
+    if (value === null || typeof value !== 'object') {
+      return;
+    }
+
+    const segment = segments[index];
+    if (segment === WILDCARD) {
+      const keys = Array.isArray(value) ? value.map((item, i) => i) : Object.keys(value);
+      for (const key of keys) {
+        walk(value[key], index + 1, [...prefix, key]);
+      }
+    } else if (segment in value) {
+      walk(value[segment], index + 1, [...prefix, segment]);
+    }
+  }
+
+  walk(obj, 0, []);
+  return results;
+}
+
+module.exports = {
+  WILDCARD,
+  parsePath,
+  formatPath,
+  joinPath,
+  matchPath,
+  overlapsPath,
+  hasWildcard,
+  expandPath
+};
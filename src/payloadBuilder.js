@@ -2,9 +2,27 @@
  * Payload Builder - Generate API payloads for POST/PATCH
  */
 
-const { diff, hasChanges } = require('./differ');
-const { denormalize, denormalizeForPost, denormalizeForPatch } = require('./denormalizer');
-const { deepClone } = require('./utils');
+const { diff, hasChanges, resolveArrayKey } = require('./differ');
+const { denormalize, denormalizeFlat, denormalizeForPost, denormalizeForPatch } = require('./denormalizer');
+const { formatErrors } = require('./validator');
+const { MapperConfigError, ValidationError } = require('./errors');
+const { createJsonPatch, createMergePatch, formatPointer } = require('./jsonPatch');
+const { keepEqualValues } = require('./equality');
+const { isPlainObject, deepClone, getNestedValue, setNestedValue, unsetNestedValue, invertMapping } = require('./utils');
+const { WILDCARD, parsePath, formatPath, matchPath, overlapsPath, expandPath } = require('./path');
+
+const PATCH_CONTENT_TYPES = {
+  merge: 'application/json',
+  'merge-patch': 'application/merge-patch+json',
+  'json-patch': 'application/json-patch+json'
+};
+
+const DEFAULT_ARRAY_FORMAT = {
+  added: 'added',
+  removed: 'removed',
+  moved: 'moved',
+  updated: 'updated'
+};
 
 /**
  * Build PATCH payload with only changed fields
@@ -12,40 +30,263 @@ const { deepClone } = require('./utils');
  * @param {Object} currentForm - Current form state
  * @param {Object} mapping - API to form mapping
  * @param {Object} options - Builder options
+ * @param {Array<string>} options.changedPaths - Form paths known to hold every
+ *   change (e.g. from a field tracker); only these are compared, widened to
+ *   the mapped field or array holding them
+ * @param {Object} options.comparators - Custom equality per form path; fields
+ *   a comparator finds equal are not sent
  * @returns {Object|null} PATCH payload or null if no changes
  */
 function buildPatchPayload(initialForm, currentForm, mapping, options = {}) {
+  if (options.format === 'json-patch') {
+    return buildJsonPatchPayload(initialForm, currentForm, mapping, options);
+  }
+  if (options.format === 'merge-patch') {
+    return buildMergePatchPayload(initialForm, currentForm, mapping, options);
+  }
+
   const {
     includeUnchanged = false,
     transform = {},
-    validation = null
+    validation = null,
+    arrayKey = null,
+    arrayFormat = DEFAULT_ARRAY_FORMAT,
+    formToApi = null,
+    types = {},
+    computed = {},
+    fanOut = {},
+    fanIn = {},
+    allowedFields = null,
+    forbiddenFields = null,
+    changedPaths = null,
+    comparators = null
   } = options;
 
+  // Restrict both states to the fields this request may send; fields a
+  // comparator finds equal keep their initial value
+  const initial = filterFields(initialForm, allowedFields, forbiddenFields);
+  const current = keepEqualValues(initial, filterFields(currentForm, allowedFields, forbiddenFields), comparators);
+
   // Check if there are any changes
-  if (!hasChanges(initialForm, currentForm)) {
+  if (!changedPaths && !hasChanges(initial, current)) {
     return null;
   }
 
-  // Get only changed fields
-  const changes = diff(initialForm, currentForm);
+  // Identity keys apply to array mappings only; other arrays are sent whole
+  const writeMapping = formToApi || invertMapping(mapping);
+  const keyedArrays = {};
+
+  for (const formKey in writeMapping) {
+    if (!writeMapping.hasOwnProperty(formKey)) continue;
+
+    const itemKey = resolveArrayKey(arrayKey, formKey);
+    if (Array.isArray(writeMapping[formKey]) && itemKey) {
+      keyedArrays[formatPath(parsePath(formKey))] = itemKey;
+    }
+  }
+
+  // Get only changed fields; changed paths widen to the fields sent whole
+  const diffOptions = { compareArrays: false, arrayKey: keyedArrays, comparators };
+  const roots = changedPaths && patchRoots(changedPaths, writeMapping);
+  const changes = roots
+    ? diff(pickPaths(initial, roots), pickPaths(current, roots), diffOptions)
+    : diff(initial, current, diffOptions);
+
+  if (Object.keys(changes).length === 0) {
+    return null;
+  }
 
   // Validate if validator provided
   if (validation) {
-    const validationResult = validation(changes);
-    if (!validationResult.valid) {
-      throw new Error(`Validation failed: ${validationResult.errors.join(', ')}`);
+    assertValid(validation, changes, { mode: 'patch', initial, current });
+  }
+
+  // Pull identity-keyed array changes out before denormalizing the rest
+  const itemChanges = [];
+
+  for (const formKey in writeMapping) {
+    if (!writeMapping.hasOwnProperty(formKey)) continue;
+
+    const itemKey = keyedArrays[formatPath(parsePath(formKey))];
+    const arrayChanges = getNestedValue(changes, formKey);
+
+    if (itemKey && arrayChanges && !Array.isArray(arrayChanges)) {
+      itemChanges.push({ target: writeMapping[formKey], itemKey, arrayChanges });
+      setNestedValue(changes, formKey, undefined);
     }
   }
 
   // Denormalize only the changes to API format
   const payload = denormalizeForPatch(changes, mapping, {
     transform,
+    formToApi,
+    types,
+    computed,
+    fanOut,
+    fanIn,
+    record: current,
     omitUndefined: true
   });
 
+  for (const { target, itemKey, arrayChanges } of itemChanges) {
+    const [itemMapping, apiPath] = target;
+    setNestedValue(payload, apiPath, formatArrayChanges(arrayChanges, itemKey, itemMapping, arrayFormat));
+  }
+
   return Object.keys(payload).length > 0 ? payload : null;
 }
 
+/**
+ * Build RFC 6902 JSON Patch operations targeting API field names
+ * @param {Object} initialForm - Original form state (after normalization)
+ * @param {Object} currentForm - Current form state
+ * @param {Object} mapping - API to form mapping
+ * @param {Object} options - Builder options
+ * @returns {Array<Object>|null} JSON Patch operations or null if no changes
+ */
+function buildJsonPatchPayload(initialForm, currentForm, mapping, options = {}) {
+  const {
+    transform = {},
+    validation = null,
+    arrayKey = null,
+    formToApi = null,
+    types = {},
+    computed = {},
+    fanOut = {},
+    fanIn = {},
+    allowedFields = null,
+    forbiddenFields = null,
+    comparators = null
+  } = options;
+
+  const initial = filterFields(initialForm, allowedFields, forbiddenFields);
+  const current = keepEqualValues(initial, filterFields(currentForm, allowedFields, forbiddenFields), comparators);
+
+  if (!hasChanges(initial, current)) {
+    return null;
+  }
+
+  // Validate if validator provided
+  if (validation) {
+    assertValid(validation, diff(initial, current, { compareArrays: false }), { mode: 'patch', initial, current });
+  }
+
+  // Compare both states in API shape so pointers use API field names
+  const before = denormalizeForPatch(initial, mapping, { transform, formToApi, types, computed, fanOut, fanIn });
+  const after = denormalizeForPatch(current, mapping, { transform, formToApi, types, computed, fanOut, fanIn });
+
+  // Translate form-side identity keys to API pointers and fields
+  const writeMapping = formToApi || invertMapping(mapping);
+  const arrayKeys = {};
+
+  for (const formKey in writeMapping) {
+    if (!writeMapping.hasOwnProperty(formKey)) continue;
+
+    const target = writeMapping[formKey];
+    const itemKey = resolveArrayKey(arrayKey, formKey);
+
+    if (Array.isArray(target) && itemKey) {
+      const [itemMapping, apiPath] = target;
+      const apiKey = typeof itemMapping?.[itemKey] === 'string' ? itemMapping[itemKey] : itemKey;
+      arrayKeys[formatPointer(parsePath(apiPath))] = apiKey;
+    }
+  }
+
+  const operations = createJsonPatch(before, after, { arrayKeys });
+
+  return operations.length > 0 ? operations : null;
+}
+
+/**
+ * Build RFC 7396 JSON Merge Patch targeting API field names
+ * Cleared fields are sent as null so the server deletes them
+ * @param {Object} initialForm - Original form state (after normalization)
+ * @param {Object} currentForm - Current form state
+ * @param {Object} mapping - API to form mapping
+ * @param {Object} options - Builder options
+ * @returns {Object|null} Merge patch or null if no changes
+ */
+function buildMergePatchPayload(initialForm, currentForm, mapping, options = {}) {
+  const {
+    transform = {},
+    validation = null,
+    formToApi = null,
+    types = {},
+    computed = {},
+    fanOut = {},
+    fanIn = {},
+    allowedFields = null,
+    forbiddenFields = null,
+    comparators = null
+  } = options;
+
+  const initial = filterFields(initialForm, allowedFields, forbiddenFields);
+  const current = keepEqualValues(initial, filterFields(currentForm, allowedFields, forbiddenFields), comparators);
+
+  if (!hasChanges(initial, current)) {
+    return null;
+  }
+
+  // Validate if validator provided
+  if (validation) {
+    assertValid(validation, diff(initial, current, { compareArrays: false }), { mode: 'patch', initial, current });
+  }
+
+  const before = denormalizeForPatch(initial, mapping, { transform, formToApi, types, computed, fanOut, fanIn });
+  const after = denormalizeForPatch(current, mapping, { transform, formToApi, types, computed, fanOut, fanIn });
+  const patch = createMergePatch(before, after);
+
+  return Object.keys(patch).length > 0 ? patch : null;
+}
+
+/**
+ * Get the Content-Type header value for a PATCH format
+ * @param {string} format - 'merge' (default), 'merge-patch' or 'json-patch'
+ * @returns {string} Content-Type value
+ */
+function getPatchContentType(format = 'merge') {
+  if (!PATCH_CONTENT_TYPES[format]) {
+    throw new MapperConfigError(`Unknown PATCH format: ${format}`);
+  }
+  return PATCH_CONTENT_TYPES[format];
+}
+
+/**
+ * Convert an item-level array diff into API-shaped PATCH operations
+ * @param {Object} arrayChanges - Result of diffArray() on form items
+ * @param {string} itemKey - Form field identifying an item
+ * @param {Object} itemMapping - Inverted (form -> api) item mapping
+ * @param {Object|Function} format - Key names per operation (falsy to omit one),
+ *   or a function receiving the API-shaped operations
+ * @returns {*} Value written at the array's API path
+ */
+function formatArrayChanges(arrayChanges, itemKey, itemMapping, format) {
+  const toApi = item => (itemMapping && typeof itemMapping === 'object')
+    ? denormalizeFlat(item, itemMapping)
+    : item;
+  const apiKey = itemMapping?.[itemKey] || itemKey;
+
+  const operations = {
+    added: arrayChanges.added.map(toApi),
+    removed: arrayChanges.removed.map(item => item?.[itemKey]),
+    moved: arrayChanges.moved.map(({ key, from, to }) => ({ [apiKey]: key, from, to })),
+    updated: arrayChanges.updated.map(({ key, changes }) => toApi({ ...changes, [itemKey]: key }))
+  };
+
+  if (typeof format === 'function') {
+    return format(operations);
+  }
+
+  const result = {};
+  for (const operation in operations) {
+    const name = format[operation];
+    if (name && operations[operation].length > 0) {
+      result[name] = operations[operation];
+    }
+  }
+  return result;
+}
+
 /**
  * Build POST payload with all fields
  * @param {Object} formData - Complete form data
@@ -54,10 +295,37 @@ function buildPatchPayload(initialForm, currentForm, mapping, options = {}) {
  * @returns {Object} POST payload
  */
 function buildPostPayload(formData, mapping, options = {}) {
+  return buildFullPayload(formData, mapping, options);
+}
+
+/**
+ * Build PUT payload (complete replacement)
+ * Shares POST semantics; callers such as Mapper pass a PUT-specific
+ * mapping, field restrictions and transforms
+ * @param {Object} formData - Complete form data
+ * @param {Object} mapping - API to form mapping
+ * @param {Object} options - Builder options
+ * @returns {Object} PUT payload
+ */
+function buildPutPayload(formData, mapping, options = {}) {
+  return buildFullPayload(formData, mapping, options);
+}
+
+/**
+ * Build a payload carrying every (allowed) field, as POST and PUT need
+ */
+function buildFullPayload(formData, mapping, options) {
   const {
     transform = {},
     validation = null,
-    defaults = {}
+    defaults = {},
+    formToApi = null,
+    types = {},
+    computed = {},
+    fanOut = {},
+    fanIn = {},
+    allowedFields = null,
+    forbiddenFields = null
   } = options;
 
   // Merge with defaults
@@ -65,15 +333,24 @@ function buildPostPayload(formData, mapping, options = {}) {
 
   // Validate if validator provided
   if (validation) {
-    const validationResult = validation(completeData);
-    if (!validationResult.valid) {
-      throw new Error(`Validation failed: ${validationResult.errors.join(', ')}`);
-    }
+    assertValid(validation, completeData, { mode: 'post' });
   }
 
+  // Restricted fields leave the write mapping too, or their API keys would be
+  // written as undefined
+  const restricted = allowedFields || (forbiddenFields && forbiddenFields.length);
+  const writeMapping = restricted
+    ? restrictWriteMapping(formToApi || invertMapping(mapping), allowedFields, forbiddenFields || [])
+    : formToApi;
+
   // Denormalize to API format
-  const payload = denormalizeForPost(completeData, mapping, {
+  const payload = denormalizeForPost(filterFields(completeData, allowedFields, forbiddenFields), mapping, {
     transform,
+    formToApi: writeMapping,
+    types,
+    computed,
+    fanOut,
+    fanIn,
     omitUndefined: false,
     omitNull: false
   });
@@ -82,31 +359,173 @@ function buildPostPayload(formData, mapping, options = {}) {
 }
 
 /**
- * Build PUT payload (complete replacement)
- * Similar to POST but may have different validation rules
+ * Drop the entries of a flat write mapping that field restrictions exclude
+ * Restrictions on every array item ('items[*].cost') narrow the item mapping
+ * @param {Object} writeMapping - Form to API mapping
+ * @param {Array<string>|null} allowedFields - Form paths that may be sent
+ * @param {Array<string>} forbiddenFields - Form paths that must not be sent
+ * @returns {Object} Restricted mapping
  */
-function buildPutPayload(formData, mapping, options = {}) {
-  return buildPostPayload(formData, mapping, options);
+function restrictWriteMapping(writeMapping, allowedFields, forbiddenFields) {
+  const restricted = {};
+
+  for (const formKey in writeMapping) {
+    if (!writeMapping.hasOwnProperty(formKey)) continue;
+
+    if (forbiddenFields.some(field => matchPath(field, formKey, { prefix: true }))) continue;
+
+    const related = allowedFields && allowedFields.filter(field => overlapsPath(field, formKey));
+    if (related && related.length === 0) continue;
+
+    const target = writeMapping[formKey];
+    if (!Array.isArray(target) || !isPlainObject(target[0])) {
+      restricted[formKey] = target;
+      continue;
+    }
+
+    // Only paths into every item can narrow the item mapping
+    const allowedItems = related && related.map(field => itemPath(field, formKey));
+    const forbiddenItems = forbiddenFields.map(field => itemPath(field, formKey)).filter(Boolean);
+
+    restricted[formKey] = [
+      restrictWriteMapping(target[0], allowedItems && !allowedItems.includes(null) ? allowedItems : null, forbiddenItems),
+      target[1]
+    ];
+  }
+
+  return restricted;
+}
+
+/**
+ * Path within each item for a field path of the form `${formKey}[*].rest`,
+ * or null for any other path
+ */
+function itemPath(field, formKey) {
+  const segments = parsePath(field);
+  const prefix = parsePath(formKey);
+
+  if (segments.length <= prefix.length + 1 || segments[prefix.length] !== WILDCARD ||
+      !matchPath(prefix, segments.slice(0, prefix.length))) {
+    return null;
+  }
+
+  return segments.slice(prefix.length + 1);
 }
 
 /**
  * Build partial update payload (only specified fields)
  * @param {Object} formData - Form data
- * @param {Array<string>} fields - Fields to include
+ * @param {Array<string>} fields - Form paths to include (wildcards allowed)
  * @param {Object} mapping - API to form mapping
  * @returns {Object} Partial payload
  */
 function buildPartialPayload(formData, fields, mapping, options = {}) {
-  const partialData = {};
-  
-  // Extract only specified fields
-  for (const field of fields) {
-    if (field in formData) {
-      partialData[field] = formData[field];
+  const {
+    allowedFields = null,
+    forbiddenFields = null,
+    ...denormalizeOptions
+  } = options;
+
+  // Extract only specified fields (paths, e.g. 'contact.email' or 'items[*].qty')
+  const partialData = pickPaths(formData, fields);
+
+  return denormalize(filterFields(partialData, allowedFields, forbiddenFields), mapping, {
+    ...denormalizeOptions,
+    record: formData
+  });
+}
+
+/**
+ * Cut changed paths back to the form fields a PATCH sends whole: the mapped
+ * field holding the path, or the array it points into (merge patches
+ * replace arrays, so one edited item still sends every item)
+ * @param {Array<string>} paths - Changed form paths
+ * @param {Object} writeMapping - Flat form to API mapping
+ * @returns {Array<string>} Form paths to compare
+ */
+function patchRoots(paths, writeMapping) {
+  const mappedKeys = Object.keys(writeMapping);
+
+  return paths.map(path => {
+    const mapped = mappedKeys.find(formKey => matchPath(formKey, path, { prefix: true }));
+    if (mapped) return mapped;
+
+    const segments = parsePath(path);
+    const index = segments.findIndex(segment => typeof segment === 'number' || segment === WILDCARD);
+    return index > 0 ? formatPath(segments.slice(0, index)) : path;
+  });
+}
+
+/**
+ * Copy only the given paths (wildcards allowed) out of form data
+ */
+function pickPaths(formData, paths) {
+  const picked = {};
+
+  for (const field of paths) {
+    for (const path of expandPath(formData, field)) {
+      setNestedValue(picked, path, getNestedValue(formData, path));
+    }
+  }
+
+  return picked;
+}
+
+/**
+ * Run a validator and throw if it reports errors
+ * @param {Function} validation - (data, context) => { valid, errors }
+ * @param {Object} data - Data to validate (changes for PATCH)
+ * @param {Object} context - { mode, initial, current }
+ */
+function assertValid(validation, data, context) {
+  const validationResult = validation(data, context);
+  if (!validationResult.valid) {
+    const { errors } = validationResult;
+    const paths = Array.isArray(errors) ? [] : Object.keys(errors || {});
+
+    throw new ValidationError(`Validation failed: ${formatErrors(errors)}`, {
+      errors,
+      formPath: paths[0],
+      value: data
+    });
+  }
+}
+
+/**
+ * Restrict form data to allowed fields and drop forbidden ones
+ * @param {Object} formData - Form data
+ * @param {Array<string>|null} allowedFields - Form paths to keep (null keeps all);
+ *   wildcards match every item or key
+ * @param {Array<string>|null} forbiddenFields - Form paths to drop
+ * @returns {Object} Filtered form data (input is not mutated)
+ */
+function filterFields(formData, allowedFields, forbiddenFields) {
+  if (!allowedFields && !(forbiddenFields && forbiddenFields.length)) {
+    return formData;
+  }
+
+  let result = formData;
+
+  if (allowedFields) {
+    result = {};
+    for (const field of allowedFields) {
+      for (const path of expandPath(formData, field)) {
+        const value = getNestedValue(formData, path);
+        if (value !== undefined) {
+          setNestedValue(result, path, deepClone(value));
+        }
+      }
+    }
+  }
+
+  if (forbiddenFields && forbiddenFields.length) {
+    result = deepClone(result);
+    for (const field of forbiddenFields) {
+      unsetNestedValue(result, field);
     }
   }
 
-  return denormalize(partialData, mapping, options);
+  return result;
 }
 
 /**
@@ -130,8 +549,12 @@ function createPayloadBuilder(mapping, defaultOptions = {}) {
 
 module.exports = {
   buildPatchPayload,
+  buildJsonPatchPayload,
+  buildMergePatchPayload,
+  getPatchContentType,
   buildPostPayload,
   buildPutPayload,
   buildPartialPayload,
-  createPayloadBuilder
+  createPayloadBuilder,
+  filterFields
 };
@@ -0,0 +1,248 @@
+/**
+ * Round trip - Compare API records before and after normalize -> denormalize,
+ * and generate random API records for fuzzing mappings
+ */
+
+const { isPlainObject, getNestedValue, setNestedValue } = require('./utils');
+const { isEqual } = require('./differ');
+const { resolveType, itemTypes } = require('./types');
+const { WILDCARD, parsePath, joinPath, matchPath } = require('./path');
+
+// Strings that trip up type coercion
+const TRICKY_STRINGS = ['', ' ', '0', '007', '12.50', '-1', '1e3', ' 42 ', 'true', 'false', 'null', '2024-02-29', '2024-02-29T10:30:00Z', 'NaN'];
+const WORDS = ['alpha', 'bravo', 'charlie', 'delta', 'echo', 'foxtrot'];
+
+/**
+ * Find every mapped API path whose value changed, changed type, or was
+ * dropped between an input record and its round-tripped output
+ * @param {Object} input - Original API record
+ * @param {Object} output - Round-tripped API payload
+ * @param {Object} mapping - API to form mapping
+ * @param {Function} isWritten - (apiPath) => whether the payload should carry
+ *   the path (lets write mappings leave fields out on purpose)
+ * @returns {Array<Object>} [{ path, kind: 'changed'|'type'|'dropped', input, output }]
+ */
+function compareRoundTrip(input, output, mapping, isWritten = () => true) {
+  const changes = [];
+
+  function compareLeaf(path, before, after) {
+    if (after === undefined) {
+      changes.push({ path, kind: 'dropped', input: before, output: after });
+    } else if (valueType(before) !== valueType(after)) {
+      changes.push({ path, kind: 'type', input: before, output: after });
+    } else if (!isEqual(before, after)) {
+      changes.push({ path, kind: 'changed', input: before, output: after });
+    }
+  }
+
+  function walk(before, after, schema, prefix, checkWritten) {
+    for (const apiKey in schema) {
+      if (!schema.hasOwnProperty(apiKey)) continue;
+
+      const mappingValue = schema[apiKey];
+      const path = joinPath(prefix, ...parsePath(apiKey));
+      const beforeValue = getNestedValue(before, apiKey);
+      const afterValue = isPlainObject(after) ? getNestedValue(after, apiKey) : undefined;
+
+      if (beforeValue === undefined) continue;
+
+      if (isPlainObject(mappingValue) && isPlainObject(beforeValue)) {
+        walk(beforeValue, afterValue, mappingValue, path, checkWritten);
+        continue;
+      }
+
+      if (checkWritten && !isWritten(path)) continue;
+
+      const itemMapping = Array.isArray(mappingValue) ? mappingValue[0] : null;
+      if (isPlainObject(itemMapping) && Array.isArray(beforeValue) && Array.isArray(afterValue)) {
+        beforeValue.forEach((item, index) => {
+          const itemPath = joinPath(path, index);
+          if (isPlainObject(item) && isPlainObject(afterValue[index])) {
+            walk(item, afterValue[index], itemMapping, itemPath, checkWritten);
+          } else {
+            compareLeaf(itemPath, item, afterValue[index]);
+          }
+        });
+        continue;
+      }
+
+      compareLeaf(path, beforeValue, afterValue);
+    }
+  }
+
+  if (isPlainObject(input)) {
+    walk(input, output, mapping, '', true);
+  }
+
+  return changes;
+}
+
+/**
+ * Generate random API records shaped like a mapping
+ * @param {Object} mapping - API to form mapping
+ * @param {number} count - Number of records
+ * @param {Object} options - Generator options
+ * @param {number} options.seed - PRNG seed (same seed, same records)
+ * @param {Object} options.types - Field types keyed by form field; typed
+ *   fields get values the type parses, untyped ones get tricky scalars
+ * @param {number} options.missingRate - Chance a field is left out (default 0.1)
+ * @param {number} options.nullRate - Chance a field is null (default 0.1)
+ * @returns {Array<Object>} API records
+ */
+function generateRecords(mapping, count, options = {}) {
+  const {
+    seed = 1,
+    types = {},
+    missingRate = 0.1,
+    nullRate = 0.1
+  } = options;
+
+  const random = createRandom(seed);
+  const pick = values => values[Math.floor(random() * values.length)];
+
+  function scalar() {
+    switch (Math.floor(random() * 5)) {
+      case 0:
+        return pick(TRICKY_STRINGS);
+      case 1:
+        return `${pick(WORDS)}-${Math.floor(random() * 1000)}`;
+      case 2:
+        return Math.floor(random() * 2000) - 1000;
+      case 3:
+        return Math.round(random() * 100000) / 100;
+      default:
+        return random() < 0.5;
+    }
+  }
+
+  function typedValue(declaration) {
+    const resolved = resolveType(declaration);
+    const typeName = typeof declaration === 'string' ? declaration : declaration.type;
+    const date = new Date(Date.UTC(2000 + Math.floor(random() * 30), Math.floor(random() * 12),
+      1 + Math.floor(random() * 28), Math.floor(random() * 24), Math.floor(random() * 60), Math.floor(random() * 60)));
+
+    switch (typeName) {
+      case 'string':
+        return `${pick(WORDS)}-${Math.floor(random() * 1000)}`;
+      case 'integer':
+        return Math.floor(random() * 2000) - 1000;
+      case 'decimal':
+        return Math.round(random() * 100000) / 100;
+      case 'boolean':
+        return random() < 0.5;
+      case 'date':
+        return date.toISOString().slice(0, 10);
+      case 'datetime':
+        return date.toISOString().replace('.000Z', 'Z');
+      case 'enum':
+        return pick(resolved.options.values || [null]);
+      default:
+        return scalar();
+    }
+  }
+
+  function record(schema, fieldTypes) {
+    const result = {};
+
+    for (const apiKey in schema) {
+      if (!schema.hasOwnProperty(apiKey)) continue;
+
+      const mappingValue = schema[apiKey];
+      const roll = random();
+
+      if (roll < missingRate) continue;
+      if (roll < missingRate + nullRate && !isPlainObject(mappingValue)) {
+        setNestedValue(result, apiKey, null);
+        continue;
+      }
+
+      // Mapping keys are paths, so 'contact.email' generates a nested field
+      if (typeof mappingValue === 'string') {
+        setNestedValue(result, apiKey, fieldTypes[mappingValue] ? typedValue(fieldTypes[mappingValue]) : scalar());
+      } else if (isPlainObject(mappingValue)) {
+        setNestedValue(result, apiKey, record(mappingValue, fieldTypes));
+      } else if (Array.isArray(mappingValue)) {
+        const [itemMapping, formKey = apiKey] = mappingValue;
+        const length = Math.floor(random() * 4);
+        setNestedValue(result, apiKey, Array.from({ length }, () =>
+          isPlainObject(itemMapping) ? record(itemMapping, itemTypes(fieldTypes, formKey)) : scalar()
+        ));
+      }
+    }
+
+    return result;
+  }
+
+  return Array.from({ length: count }, () => record(mapping, types));
+}
+
+/**
+ * Build the `isWritten` check for compareRoundTrip from a write mapping
+ * Filters match like the payload builders' field filters: paths cover
+ * everything under them and wildcards match any item
+ * @param {Object} formToApi - Flat form to API mapping
+ * @param {Object} filters - { allowedFields, forbiddenFields } form field filters
+ * @returns {Function} (apiPath) => boolean
+ */
+function writtenPathFilter(formToApi, filters = {}) {
+  const { allowedFields = null, forbiddenFields = null } = filters;
+  const covers = (fields, formPath) => fields.some(field => matchPath(field, formPath, { prefix: true }));
+  const isKept = formPath => (!allowedFields || covers(allowedFields, formPath)) &&
+    !(forbiddenFields && covers(forbiddenFields, formPath));
+  // An array is still sent when only some of its item fields are allowed
+  const isPartlyKept = formPath => Boolean(allowedFields) &&
+    allowedFields.some(field => matchPath(formPath, field, { prefix: true })) &&
+    !(forbiddenFields && covers(forbiddenFields, formPath));
+
+  const written = [];
+
+  function collect(mapping, formPrefix, apiPrefix) {
+    for (const formKey in mapping) {
+      if (!mapping.hasOwnProperty(formKey)) continue;
+
+      const target = mapping[formKey];
+      const formPath = joinPath(formPrefix, ...parsePath(formKey));
+      const apiPath = joinPath(apiPrefix, ...parsePath(Array.isArray(target) ? target[1] : target));
+
+      if (!isKept(formPath) && !(Array.isArray(target) && isPartlyKept(formPath))) continue;
+
+      written.push(apiPath);
+      if (Array.isArray(target) && isPlainObject(target[0])) {
+        collect(target[0], joinPath(formPath, WILDCARD), joinPath(apiPath, WILDCARD));
+      }
+    }
+  }
+
+  collect(formToApi || {}, '', '');
+  return apiPath => written.some(pattern => matchPath(pattern, apiPath));
+}
+
+/**
+ * Type name used to detect type changes (distinguishes null, arrays and Dates)
+ */
+function valueType(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (value instanceof Date) return 'date';
+  return typeof value;
+}
+
+/**
+ * Small seeded PRNG (mulberry32) so fuzz runs are reproducible
+ */
+function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  compareRoundTrip,
+  generateRecords,
+  writtenPathFilter
+};
@@ -0,0 +1,263 @@
+/**
+ * Session - Form state with undo/redo history for one record
+ *
+ * Each edit is recorded as a pair of diffs (forward and inverse) rather than a
+ * full snapshot, and every new state copies only the branches an edit touches,
+ * so states and history entries share the rest of the form.
+ */
+
+const { diff } = require('./differ');
+const { deepClone, getNestedValue, assocPath } = require('./utils');
+const { hasWildcard, expandPath } = require('./path');
+const { isRecord } = require('./equality');
+
+const DEFAULT_HISTORY_LIMIT = 100;
+
+/**
+ * Create an editing session for an API record
+ * @param {Mapper} mapper - Mapper used to normalize the record and build payloads
+ * @param {Object} apiData - API record being edited
+ * @param {Object} options - Session options
+ * @param {number} options.limit - Undo entries kept (default 100)
+ * @returns {Object} Session with get/set/update/transaction, undo/redo,
+ *   diff/getChangedPaths/hasChanges and buildPatch
+ */
+function createFormSession(mapper, apiData, options = {}) {
+  const { limit = DEFAULT_HISTORY_LIMIT } = options;
+
+  let initial = mapper.normalize(apiData);
+  let current = initial;
+  let past = [];
+  let future = [];
+  let transactionDepth = 0;
+
+  function record(before, after, label) {
+    if (transactionDepth > 0 || before === after) {
+      return;
+    }
+
+    const changes = diff(before, after, { compareArrays: false });
+    if (Object.keys(changes).length === 0) {
+      return;
+    }
+
+    past.push({ label, changes, inverse: diff(after, before, { compareArrays: false }) });
+    if (past.length > limit) {
+      past = past.slice(past.length - limit);
+    }
+    future = [];
+  }
+
+  function commit(next, label) {
+    const before = current;
+    current = next;
+    record(before, next, label);
+    return current;
+  }
+
+  const session = {
+    /**
+     * Form state the session started from
+     */
+    get initial() {
+      return initial;
+    },
+
+    /**
+     * Current form state; treat it as immutable (edits return a new object)
+     */
+    get current() {
+      return current;
+    },
+
+    /**
+     * Recorded edits, oldest first: [{ label, changes, inverse }]
+     */
+    get history() {
+      return past.slice();
+    },
+
+    /**
+     * Read a value from the current state
+     * @param {string} path - Form path (omit for the whole state)
+     * @returns {*} Value
+     */
+    get(path) {
+      return path === undefined ? current : getNestedValue(current, path);
+    },
+
+    /**
+     * Set one form path (wildcards set every existing match)
+     * @param {string} path - Form path
+     * @param {*} value - New value
+     * @param {string} label - Optional history label
+     * @returns {Object} New current state
+     */
+    set(path, value, label) {
+      const paths = hasWildcard(path) ? expandPath(current, path) : [path];
+      let next = current;
+
+      for (const concrete of paths) {
+        next = assocPath(next, concrete, deepClone(value));
+      }
+
+      return commit(next, label);
+    },
+
+    /**
+     * Replace the whole form state (e.g. from a form library's change event)
+     * Unchanged branches keep the previous state's objects
+     * @param {Object} formData - New form state
+     * @param {string} label - Optional history label
+     * @returns {Object} New current state
+     */
+    update(formData, label) {
+      const changes = diff(current, formData, { compareArrays: false });
+      return commit(applyChanges(current, deepClone(changes)), label);
+    },
+
+    /**
+     * Run several edits as one history entry
+     * If `fn` throws, its edits are rolled back. Nested transactions join the
+     * outer one. `fn` must be synchronous
+     * @param {Function} fn - (session) => result
+     * @param {string} label - Optional history label
+     * @returns {*} Whatever `fn` returns
+     */
+    transaction(fn, label) {
+      const before = current;
+      let result;
+
+      transactionDepth++;
+      try {
+        result = fn(session);
+      } catch (error) {
+        current = before;
+        throw error;
+      } finally {
+        transactionDepth--;
+      }
+
+      record(before, current, label);
+      return result;
+    },
+
+    /**
+     * Revert the last edit
+     * @returns {Object} New current state (unchanged without history)
+     */
+    undo() {
+      const entry = past.pop();
+      if (entry) {
+        current = applyChanges(current, entry.inverse);
+        future.push(entry);
+      }
+      return current;
+    },
+
+    /**
+     * Re-apply the last undone edit
+     * @returns {Object} New current state (unchanged without undone edits)
+     */
+    redo() {
+      const entry = future.pop();
+      if (entry) {
+        current = applyChanges(current, entry.changes);
+        past.push(entry);
+      }
+      return current;
+    },
+
+    /**
+     * Check whether there is an edit to undo
+     */
+    canUndo() {
+      return past.length > 0;
+    },
+
+    /**
+     * Check whether there is an undone edit to redo
+     */
+    canRedo() {
+      return future.length > 0;
+    },
+
+    /**
+     * Changes since the session started
+     * @returns {Object} Changed fields only
+     */
+    diff() {
+      return mapper.diff(initial, current);
+    },
+
+    /**
+     * Paths changed since the session started
+     * @returns {Array<string>}
+     */
+    getChangedPaths() {
+      return mapper.getChangedPaths(initial, current);
+    },
+
+    /**
+     * Check whether anything changed since the session started
+     * @returns {boolean}
+     */
+    hasChanges() {
+      return mapper.hasChanges(initial, current);
+    },
+
+    /**
+     * PATCH payload for everything changed since the session started
+     * @param {Object} patchOptions - Options for mapper.buildPatch
+     * @returns {Object|Array|null} PATCH payload or null if no changes
+     */
+    buildPatch(patchOptions = {}) {
+      return mapper.buildPatch(initial, current, patchOptions);
+    },
+
+    /**
+     * Start over from a fresh API record (e.g. the save response), or drop
+     * every edit when called without one. Clears the history
+     * @param {Object} latest - API record
+     * @returns {Object} New current state
+     */
+    reset(latest) {
+      if (latest !== undefined) {
+        initial = mapper.normalize(latest);
+      }
+      current = initial;
+      past = [];
+      future = [];
+      return current;
+    }
+  };
+
+  return session;
+}
+
+/**
+ * Apply a diff (arrays, Dates and other non-literal objects replaced whole,
+ * undefined deletes) without touching `state`; unchanged branches are shared
+ */
+function applyChanges(state, changes) {
+  const next = isRecord(state) ? { ...state } : {};
+
+  for (const key in changes) {
+    if (!changes.hasOwnProperty(key)) continue;
+
+    const change = changes[key];
+    if (change === undefined) {
+      delete next[key];
+    } else if (isRecord(change) && isRecord(next[key])) {
+      next[key] = applyChanges(next[key], change);
+    } else {
+      next[key] = change;
+    }
+  }
+
+  return next;
+}
+
+module.exports = {
+  createFormSession
+};
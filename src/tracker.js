@@ -0,0 +1,219 @@
+/**
+ * Tracker - Per-field dirty/touched state kept up to date on every update
+ *
+ * Each set() compares only the updated path (and dirty paths around it) with
+ * the initial state, so form libraries can read field flags and build the
+ * PATCH on every keystroke without diffing the whole form.
+ */
+
+const { isEqual } = require('./differ');
+const { getNestedValue, deepClone, assocPath } = require('./utils');
+const { parsePath, formatPath, matchPath, overlapsPath, hasWildcard, expandPath } = require('./path');
+
+/**
+ * Create a field tracker for an API record
+ * @param {Mapper} mapper - Mapper used to normalize the record and build payloads
+ * @param {Object} apiData - API record being edited
+ * @returns {Object} Tracker with get/set/touch, isDirty/isPristine/isTouched,
+ *   getFieldState, getDirtyPaths/getTouchedPaths and buildPatch
+ */
+function createFieldTracker(mapper, apiData) {
+  let initial = mapper.normalize(apiData);
+  let current = initial;
+  let dirty = new Set();
+  let touched = new Set();
+
+  const isWithin = (path, parent) => path !== parent && matchPath(parent, path, { prefix: true });
+  const changedAt = path =>
+    !isEqual(getNestedValue(initial, path), getNestedValue(current, path), { comparators: mapper.comparators, path });
+
+  function update(path, value) {
+    current = assocPath(current, path, deepClone(value));
+    touched.add(path);
+
+    // The new value covers anything recorded below it
+    for (const entry of [...dirty]) {
+      if (isWithin(entry, path)) {
+        dirty.delete(entry);
+      }
+    }
+
+    // A parent set earlier may be back to its initial value now
+    for (const entry of [...dirty]) {
+      if (isWithin(path, entry) && !changedAt(entry)) {
+        dirty.delete(entry);
+      }
+    }
+
+    if (changedAt(path)) {
+      dirty.add(path);
+    } else {
+      dirty.delete(path);
+    }
+  }
+
+  const tracker = {
+    /**
+     * Form state the tracker started from
+     */
+    get initial() {
+      return initial;
+    },
+
+    /**
+     * Current form state; treat it as immutable (updates return a new object)
+     */
+    get current() {
+      return current;
+    },
+
+    /**
+     * Read a value from the current state
+     * @param {string} path - Form path (omit for the whole state)
+     * @returns {*} Value
+     */
+    get(path) {
+      return path === undefined ? current : getNestedValue(current, path);
+    },
+
+    /**
+     * Update one form path (wildcards update every existing match) and mark it
+     * touched; it is dirty while it differs from the initial value
+     * @param {string} path - Form path
+     * @param {*} value - New value
+     * @returns {Object} New current state
+     */
+    set(path, value) {
+      const paths = hasWildcard(path) ? expandPath(current, path) : [formatPath(parsePath(path))];
+
+      for (const concrete of paths) {
+        update(concrete, value);
+      }
+
+      return current;
+    },
+
+    /**
+     * Mark a path touched without changing it (e.g. on blur)
+     * @param {string} path - Form path
+     */
+    touch(path) {
+      touched.add(formatPath(parsePath(path)));
+    },
+
+    /**
+     * Check whether a path (or anything under it) differs from its initial value
+     * @param {string} path - Form path (omit for the whole form)
+     * @returns {boolean}
+     */
+    isDirty(path) {
+      if (path === undefined) {
+        return dirty.size > 0;
+      }
+
+      for (const entry of dirty) {
+        if (matchPath(path, entry, { prefix: true })) {
+          return true;
+        }
+        // Under a dirty parent, only a value comparison can tell
+        if (matchPath(entry, path, { prefix: true })) {
+          return changedAt(path);
+        }
+      }
+
+      return false;
+    },
+
+    /**
+     * Check whether a path still has its initial value
+     * @param {string} path - Form path (omit for the whole form)
+     * @returns {boolean}
+     */
+    isPristine(path) {
+      return !tracker.isDirty(path);
+    },
+
+    /**
+     * Check whether a path (or a path above or below it) was set or touched
+     * @param {string} path - Form path (omit for the whole form)
+     * @returns {boolean}
+     */
+    isTouched(path) {
+      if (path === undefined) {
+        return touched.size > 0;
+      }
+
+      return [...touched].some(entry => overlapsPath(entry, path));
+    },
+
+    /**
+     * All flags for one field
+     * @param {string} path - Form path
+     * @returns {Object} { value, initialValue, dirty, pristine, touched }
+     */
+    getFieldState(path) {
+      const isDirty = tracker.isDirty(path);
+
+      return {
+        value: getNestedValue(current, path),
+        initialValue: getNestedValue(initial, path),
+        dirty: isDirty,
+        pristine: !isDirty,
+        touched: tracker.isTouched(path)
+      };
+    },
+
+    /**
+     * Paths that differ from their initial value, in the order they changed
+     * @returns {Array<string>}
+     */
+    getDirtyPaths() {
+      return [...dirty];
+    },
+
+    /**
+     * Paths that were set or touched
+     * @returns {Array<string>}
+     */
+    getTouchedPaths() {
+      return [...touched];
+    },
+
+    /**
+     * PATCH payload for the dirty paths
+     * The default 'merge' format compares only the dirty paths; 'json-patch'
+     * and 'merge-patch' compare the full states like mapper.buildPatch
+     * @param {Object} options - Options for mapper.buildPatch
+     * @returns {Object|Array|null} PATCH payload or null if nothing is dirty
+     */
+    buildPatch(options = {}) {
+      if (dirty.size === 0) {
+        return null;
+      }
+
+      return mapper.buildPatch(initial, current, { ...options, changedPaths: [...dirty] });
+    },
+
+    /**
+     * Start over from a fresh API record (e.g. the save response), or drop
+     * every update when called without one. Clears all flags
+     * @param {Object} latest - API record
+     * @returns {Object} New current state
+     */
+    reset(latest) {
+      if (latest !== undefined) {
+        initial = mapper.normalize(latest);
+      }
+      current = initial;
+      dirty = new Set();
+      touched = new Set();
+      return current;
+    }
+  };
+
+  return tracker;
+}
+
+module.exports = {
+  createFieldTracker
+};
@@ -0,0 +1,90 @@
+/**
+ * Transforms - Resolve and verify field transformation functions
+ */
+
+const { isPlainObject } = require('./utils');
+const { isEqual } = require('./differ');
+const { MapperError, TransformError } = require('./errors');
+
+/**
+ * Resolve the function a transform runs in one direction
+ * A plain function runs both ways; `{ in, out }` objects split parse
+ * (API -> form) from serialize (form -> API)
+ * @param {Function|Object} transform - Transform definition
+ * @param {string} direction - 'in' or 'out'
+ * @returns {Function|null} Transform function, or null if none applies
+ */
+function resolveTransform(transform, direction) {
+  if (typeof transform === 'function') {
+    return transform;
+  }
+  if (isPlainObject(transform) && typeof transform[direction] === 'function') {
+    return transform[direction];
+  }
+  return null;
+}
+
+/**
+ * Run a transform or coercer, wrapping failures in a TransformError
+ * @param {Function} fn - Function to run
+ * @param {Array} args - Arguments (the value being converted comes first)
+ * @param {Object} details - { formPath, apiPath } of the field being converted
+ * @returns {*} Function result
+ */
+function runTransform(fn, args, details) {
+  try {
+    return fn(...args);
+  } catch (error) {
+    if (error instanceof MapperError) {
+      throw error;
+    }
+    throw new TransformError(`Transform failed for field "${details.formPath}": ${error.message}`, {
+      ...details,
+      value: args[0],
+      cause: error
+    });
+  }
+}
+
+/**
+ * Check that a transform pair round-trips API values: out(in(x)) equals x
+ * @param {Function|Object} transform - Transform definition
+ * @param {Array} samples - API values to try
+ * @param {Object} options - Options
+ * @param {Function} options.compare - Equality check (defaults to isEqual)
+ * @returns {Object} { valid, failures: [{ input, parsed, output }] }; a sample
+ *   the transform throws on is reported as { input, error }
+ */
+function verifyTransform(transform, samples, options = {}) {
+  const { compare = isEqual } = options;
+  const parse = resolveTransform(transform, 'in') || (value => value);
+  const serialize = resolveTransform(transform, 'out') || (value => value);
+  const failures = [];
+
+  for (const input of samples) {
+    let parsed;
+    let output;
+    try {
+      parsed = parse(input, {});
+      output = serialize(parsed, {});
+    } catch (error) {
+      failures.push({ input, error });
+      continue;
+    }
+
+    if (!compare(input, output)) {
+      failures.push({ input, parsed, output });
+    }
+  }
+
+  return {
+    valid: failures.length === 0,
+    failures
+  };
+}
+
+module.exports = {
+  resolveTransform,
+  runTransform,
+  verifyTransform
+};
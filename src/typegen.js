@@ -0,0 +1,212 @@
+/**
+ * Typegen - Emit TypeScript interfaces for the API and form shapes of a mapping
+ */
+
+const { isPlainObject } = require('./utils');
+const { MapperConfigError } = require('./errors');
+const { itemTypes } = require('./types');
+const { parsePath, joinPath } = require('./path');
+
+// Form-side TypeScript types for the built-in field types
+const FORM_TYPES = {
+  string: 'string',
+  integer: 'number',
+  decimal: 'number',
+  boolean: 'boolean',
+  date: 'Date',
+  datetime: 'Date'
+};
+
+// API-side types differ where the type parses a wire string
+const API_TYPES = {
+  ...FORM_TYPES,
+  date: 'string',
+  datetime: 'string'
+};
+
+/**
+ * Generate TypeScript interfaces for a Mapper config
+ * @param {Object} config - Mapper config ({ apiToForm, types, defaults, validator,
+ *   computed, fanOut, fanIn })
+ * @param {Object} options - Generator options
+ * @param {string} options.name - Base name (default 'Record')
+ * @param {string} options.apiName - API interface name (default `${name}Api`)
+ * @param {string} options.formName - Form interface name (default `${name}Form`)
+ * @returns {string} TypeScript source with both interfaces
+ */
+function generateTypes(config, options = {}) {
+  const {
+    apiToForm,
+    types = {},
+    defaults = {},
+    validator,
+    computed = {},
+    fanOut = {},
+    fanIn = {}
+  } = config || {};
+  const {
+    name = 'Record',
+    apiName = `${name}Api`,
+    formName = `${name}Form`
+  } = options;
+
+  if (!isPlainObject(apiToForm) || Object.keys(apiToForm).length === 0) {
+    throw new MapperConfigError('generateTypes requires an apiToForm mapping');
+  }
+
+  // Fields with a default or a required rule are always present on the form
+  const rules = typeof validator === 'function' ? validator.rules : validator;
+  const present = new Set(Object.keys(defaults));
+  for (const path in rules || {}) {
+    if (rules[path] && rules[path].required) {
+      present.add(path);
+    }
+  }
+
+  const apiTree = {};
+  const formTree = {};
+  collect(apiToForm, types, defaults, apiTree, formTree);
+
+  // Computed fields exist on the form only
+  for (const formKey in computed) {
+    if (computed.hasOwnProperty(formKey)) {
+      setLeaf(formTree, formKey, { type: tsType(types[formKey], FORM_TYPES, defaults[formKey]) });
+    }
+  }
+
+  // Split/join functions can change the value type, so composite API fields are unknown
+  const formLeaf = formKey => setLeaf(formTree, formKey, { type: tsType(types[formKey], FORM_TYPES, defaults[formKey]) });
+  for (const apiPath in fanOut) {
+    if (fanOut.hasOwnProperty(apiPath)) {
+      setLeaf(apiTree, apiPath, { type: 'unknown' });
+      (fanOut[apiPath].fields || []).forEach(formLeaf);
+    }
+  }
+  for (const formKey in fanIn) {
+    if (fanIn.hasOwnProperty(formKey)) {
+      (fanIn[formKey].fields || []).forEach(apiPath => setLeaf(apiTree, apiPath, { type: 'unknown' }));
+      formLeaf(formKey);
+    }
+  }
+
+  return [
+    `export interface ${apiName} ${printTree(apiTree, '', () => true)}`,
+    '',
+    `export interface ${formName} ${printTree(formTree, '', path => !present.has(path))}`,
+    ''
+  ].join('\n');
+}
+
+/**
+ * Walk the mapping, filling API and form trees of `{ type }` leaves
+ * Array mappings produce `{ items }` leaves holding item trees; mapping keys
+ * are paths, so 'contact.email' nests under `contact`
+ */
+function collect(mapping, types, defaults, apiTree, formTree) {
+  for (const apiKey in mapping) {
+    if (!mapping.hasOwnProperty(apiKey)) continue;
+
+    const mappingValue = mapping[apiKey];
+
+    if (typeof mappingValue === 'string') {
+      const declaration = types[mappingValue];
+      setLeaf(apiTree, apiKey, { type: tsType(declaration, API_TYPES, defaults[mappingValue]) });
+      setLeaf(formTree, mappingValue, { type: tsType(declaration, FORM_TYPES, defaults[mappingValue]) });
+    } else if (isPlainObject(mappingValue)) {
+      collect(mappingValue, types, defaults, groupAt(apiTree, apiKey), formTree);
+    } else if (Array.isArray(mappingValue)) {
+      const [itemMapping, formKey = apiKey] = mappingValue;
+
+      if (isPlainObject(itemMapping)) {
+        const apiItems = {};
+        const formItems = {};
+        // Item types are keyed by item path; defaults do not apply inside items
+        collect(itemMapping, itemTypes(types, formKey), {}, apiItems, formItems);
+        setLeaf(apiTree, apiKey, { items: apiItems });
+        setLeaf(formTree, formKey, { items: formItems });
+      } else {
+        setLeaf(apiTree, apiKey, { type: 'unknown[]' });
+        setLeaf(formTree, formKey, { type: 'unknown[]' });
+      }
+    }
+  }
+}
+
+/**
+ * Place a leaf at a path, creating nested groups
+ */
+function setLeaf(tree, path, leaf) {
+  const keys = parsePath(path);
+  groupAt(tree, keys.slice(0, -1))[keys[keys.length - 1]] = leaf;
+}
+
+/**
+ * Fields of the group at a path, creating missing groups
+ */
+function groupAt(tree, path) {
+  let node = tree;
+
+  for (const key of parsePath(path).map(String)) {
+    if (!node[key] || !node[key].fields) {
+      node[key] = { fields: {} };
+    }
+    node = node[key].fields;
+  }
+
+  return node;
+}
+
+/**
+ * TypeScript type for a field type declaration, falling back to the
+ * default value's type and finally `unknown`
+ */
+function tsType(declaration, table, defaultValue) {
+  if (declaration) {
+    const typeName = typeof declaration === 'string' ? declaration : declaration.type;
+    if (typeName === 'enum' && Array.isArray(declaration.values) && declaration.values.length > 0) {
+      return declaration.values.map(value => JSON.stringify(value)).join(' | ');
+    }
+    if (table[typeName]) {
+      return table[typeName];
+    }
+  }
+
+  if (defaultValue instanceof Date) return 'Date';
+  if (['string', 'number', 'boolean'].includes(typeof defaultValue)) return typeof defaultValue;
+
+  return 'unknown';
+}
+
+/**
+ * Print a tree as a TypeScript object type
+ * @param {Function} isOptional - (path) => whether the property gets `?`
+ */
+function printTree(tree, indent, isOptional, prefix = '') {
+  const lines = ['{'];
+  const inner = `${indent}  `;
+
+  for (const key in tree) {
+    const node = tree[key];
+    const path = joinPath(prefix, key);
+    const property = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+    const optional = isOptional(path) ? '?' : '';
+
+    let type;
+    if (node.fields) {
+      type = printTree(node.fields, inner, isOptional, path);
+    } else if (node.items) {
+      type = `Array<${printTree(node.items, inner, () => true)}>`;
+    } else {
+      type = node.type;
+    }
+
+    lines.push(`${inner}${property}${optional}: ${type};`);
+  }
+
+  lines.push(`${indent}}`);
+  return lines.join('\n');
+}
+
+module.exports = {
+  generateTypes
+};
@@ -0,0 +1,218 @@
+/**
+ * Types - Per-field type coercion rules and a registry for custom types
+ */
+
+const { MapperConfigError } = require('./errors');
+const { parsePath, formatPath, WILDCARD } = require('./path');
+
+// Hidden marker recording how the API formatted a datetime string
+const SOURCE_FORMAT = Symbol('sourceFormat');
+
+const DATETIME_PATTERN = /^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(Z|[+-]\d{2}:?\d{2})?$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const registry = {
+  string: {
+    parse: value => typeof value === 'object' ? value : String(value),
+    serialize: value => typeof value === 'object' ? value : String(value)
+  },
+
+  integer: {
+    parse: value => {
+      const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return Number.isInteger(num) ? num : value;
+    },
+    serialize: value => value
+  },
+
+  decimal: {
+    parse: value => {
+      const num = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      return typeof num === 'number' && Number.isFinite(num) ? num : value;
+    },
+    serialize: value => value
+  },
+
+  boolean: {
+    parse: value => {
+      if (value === true || value === 'true' || value === 1 || value === '1') return true;
+      if (value === false || value === 'false' || value === 0 || value === '0') return false;
+      return value;
+    },
+    serialize: value => value
+  },
+
+  date: {
+    parse: value => {
+      if (typeof value !== 'string' || !DATE_PATTERN.test(value)) return value;
+      const date = new Date(`${value}T00:00:00Z`);
+      return isNaN(date.getTime()) ? value : date;
+    },
+    serialize: value => {
+      if (!(value instanceof Date)) return value;
+      return value.toISOString().slice(0, 10);
+    }
+  },
+
+  datetime: {
+    parse: value => {
+      if (typeof value !== 'string') return value;
+
+      const match = value.match(DATETIME_PATTERN);
+      if (!match) return value;
+
+      const date = new Date(value);
+      if (isNaN(date.getTime())) return value;
+
+      Object.defineProperty(date, SOURCE_FORMAT, {
+        value: {
+          seconds: match[6] !== undefined,
+          fraction: match[7] ? match[7].length : 0,
+          offset: match[8] || ''
+        }
+      });
+      return date;
+    },
+    serialize: (value, options) => {
+      if (!(value instanceof Date)) return value;
+      return formatDatetime(value, value[SOURCE_FORMAT] || options.format);
+    }
+  },
+
+  enum: {
+    parse: (value, options) => {
+      const values = options.values || [];
+      if (values.includes(value)) return value;
+      const match = values.find(candidate => String(candidate) === String(value));
+      return match === undefined ? value : match;
+    },
+    serialize: value => value
+  }
+};
+
+/**
+ * Register a custom type
+ * @param {string} name - Type name used in field declarations
+ * @param {Object} definition - { parse(apiValue, options), serialize(formValue, options) }
+ */
+function registerType(name, definition) {
+  if (!definition || typeof definition.parse !== 'function' || typeof definition.serialize !== 'function') {
+    throw new MapperConfigError(`Type "${name}" must define parse and serialize functions`);
+  }
+  registry[name] = definition;
+}
+
+/**
+ * Resolve a field type declaration
+ * @param {string|Object} declaration - Type name, { type, ...options } or
+ *   an inline { parse, serialize } definition
+ * @returns {Object|null} { definition, options } or null if none declared
+ */
+function resolveType(declaration) {
+  if (!declaration) return null;
+
+  if (typeof declaration === 'string') {
+    declaration = { type: declaration };
+  }
+
+  if (typeof declaration.parse === 'function' && typeof declaration.serialize === 'function') {
+    return { definition: declaration, options: declaration };
+  }
+
+  const definition = registry[declaration.type];
+  if (!definition) {
+    throw new MapperConfigError(`Unknown field type: ${declaration.type}`);
+  }
+
+  return { definition, options: declaration };
+}
+
+/**
+ * Parse an API value with a field type (null/undefined pass through)
+ */
+function parseValue(value, declaration) {
+  const resolved = resolveType(declaration);
+  if (!resolved || value === null || value === undefined) return value;
+  return resolved.definition.parse(value, resolved.options);
+}
+
+/**
+ * Serialize a form value with a field type (null/undefined pass through)
+ */
+function serializeValue(value, declaration) {
+  const resolved = resolveType(declaration);
+  if (!resolved || value === null || value === undefined) return value;
+  return resolved.definition.serialize(value, resolved.options);
+}
+
+/**
+ * Type declarations for the items of an array field, keyed by item path
+ * e.g. itemTypes({ 'lines[*].sku': 'string' }, 'lines') -> { sku: 'string' }
+ * @param {Object} types - Field types keyed by form path
+ * @param {string} formKey - Form path of the array
+ * @returns {Object} Types keyed by path within an item
+ */
+function itemTypes(types, formKey) {
+  const base = parsePath(formKey);
+  const result = {};
+
+  for (const key in types) {
+    if (!types.hasOwnProperty(key)) continue;
+
+    const segments = parsePath(key);
+    if (segments.length > base.length + 1 && segments[base.length] === WILDCARD &&
+        base.every((segment, index) => String(segment) === String(segments[index]))) {
+      result[formatPath(segments.slice(base.length + 1))] = types[key];
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Format a Date as an ISO 8601 datetime
+ * @param {Date} date - Date to format
+ * @param {Object} format - { seconds, fraction, offset } (defaults to toISOString)
+ */
+function formatDatetime(date, format) {
+  if (!format) return date.toISOString();
+
+  const { seconds = true, fraction = 3, offset = 'Z' } = format;
+  const offsetMinutes = parseOffset(offset, date);
+  const shifted = new Date(date.getTime() + offsetMinutes * 60000);
+  const pad = (number, length = 2) => String(number).padStart(length, '0');
+
+  let result = `${shifted.getUTCFullYear()}-${pad(shifted.getUTCMonth() + 1)}-${pad(shifted.getUTCDate())}` +
+    `T${pad(shifted.getUTCHours())}:${pad(shifted.getUTCMinutes())}`;
+
+  if (seconds) {
+    result += `:${pad(shifted.getUTCSeconds())}`;
+    if (fraction > 0) {
+      result += `.${pad(shifted.getUTCMilliseconds(), 3).padEnd(fraction, '0').slice(0, fraction)}`;
+    }
+  }
+
+  return result + offset;
+}
+
+/**
+ * Offset in minutes east of UTC; '' means the local time zone
+ */
+function parseOffset(offset, date) {
+  if (offset === 'Z') return 0;
+  if (offset === '') return -date.getTimezoneOffset();
+
+  const sign = offset[0] === '-' ? -1 : 1;
+  const digits = offset.slice(1).replace(':', '');
+  return sign * (Number(digits.slice(0, 2)) * 60 + Number(digits.slice(2)));
+}
+
+module.exports = {
+  registerType,
+  resolveType,
+  parseValue,
+  serializeValue,
+  itemTypes,
+  formatDatetime,
+  SOURCE_FORMAT
+};
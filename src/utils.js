@@ -2,6 +2,8 @@
  * Utility functions for schema mapping and transformation
  */
 
+const { WILDCARD, parsePath, formatPath, joinPath, expandPath } = require('./path');
+
 /**
  * Check if value is a plain object
  */
@@ -17,10 +19,31 @@ function deepClone(obj) {
     return obj;
   }
   
+  if (obj instanceof Date) {
+    const date = new Date(obj.getTime());
+    // Keep hidden markers such as the datetime format the API sent
+    for (const symbol of Object.getOwnPropertySymbols(obj)) {
+      Object.defineProperty(date, symbol, Object.getOwnPropertyDescriptor(obj, symbol));
+    }
+    return date;
+  }
+  
   if (Array.isArray(obj)) {
     return obj.map(item => deepClone(item));
   }
-  
+
+  if (obj instanceof Map) {
+    return new Map([...obj].map(([key, value]) => [key, deepClone(value)]));
+  }
+
+  if (obj instanceof Set) {
+    return new Set([...obj].map(item => deepClone(item)));
+  }
+
+  if (ArrayBuffer.isView(obj) || obj instanceof ArrayBuffer) {
+    return obj.slice ? obj.slice() : new DataView(obj.buffer.slice(obj.byteOffset, obj.byteOffset + obj.byteLength));
+  }
+
   const cloned = {};
   for (const key in obj) {
     if (obj.hasOwnProperty(key)) {
@@ -33,13 +56,19 @@ function deepClone(obj) {
 /**
  * Get value at nested path
  * @param {Object} obj - Source object
- * @param {string} path - Dot-notation path (e.g., 'user.name')
+ * @param {string|Array} path - Path (e.g., 'user.name', 'items[0].sku', 'meta["a.b"]');
+ *   with wildcards ('items[*].price') the matching values are returned as an array
  */
 function getNestedValue(obj, path) {
-  const keys = path.split('.');
+  const segments = parsePath(path);
+
+  if (segments.includes(WILDCARD)) {
+    return expandPath(obj, segments).map(concrete => getNestedValue(obj, concrete));
+  }
+
   let current = obj;
   
-  for (const key of keys) {
+  for (const key of segments) {
     if (current === null || current === undefined) {
       return undefined;
     }
@@ -51,18 +80,38 @@ function getNestedValue(obj, path) {
 
 /**
  * Set value at nested path
+ * Missing containers are created: arrays before an index, objects otherwise.
+ * A wildcard sets the value under every existing item or key it matches.
  * @param {Object} obj - Target object
- * @param {string} path - Dot-notation path
+ * @param {string|Array} path - Path
  * @param {*} value - Value to set
  */
 function setNestedValue(obj, path, value) {
-  const keys = path.split('.');
-  const lastKey = keys.pop();
+  const segments = parsePath(path);
+  if (segments.length === 0) return;
+
+  const wildcardIndex = segments.lastIndexOf(WILDCARD);
+  if (wildcardIndex !== -1) {
+    const rest = segments.slice(wildcardIndex + 1);
+    for (const concrete of expandPath(obj, segments.slice(0, wildcardIndex + 1))) {
+      setNestedValue(obj, [...parsePath(concrete), ...rest], value);
+    }
+    return;
+  }
+
+  const lastKey = segments[segments.length - 1];
   let current = obj;
   
-  for (const key of keys) {
-    if (!current[key] || !isPlainObject(current[key])) {
-      current[key] = {};
+  for (let i = 0; i < segments.length - 1; i++) {
+    const key = segments[i];
+    const next = segments[i + 1];
+    const container = current[key];
+    const keep = typeof next === 'number'
+      ? Array.isArray(container)
+      : isPlainObject(container) || (Array.isArray(container) && /^\d+$/.test(next));
+
+    if (!keep) {
+      current[key] = typeof next === 'number' ? [] : {};
     }
     current = current[key];
   }
@@ -70,48 +119,132 @@ function setNestedValue(obj, path, value) {
   current[lastKey] = value;
 }
 
+/**
+ * Return a copy of `obj` with `value` at a concrete path, copying only the
+ * objects and arrays along the path (the rest is shared)
+ * @param {Object} obj - Source object (not modified)
+ * @param {string|Array} path - Path without wildcards
+ * @param {*} value - Value to set
+ * @returns {Object} New object
+ */
+function assocPath(obj, path, value) {
+  const segments = parsePath(path);
+  if (segments.length === 0) {
+    return value;
+  }
+
+  const [key, ...rest] = segments;
+  let copy;
+
+  if (Array.isArray(obj) && /^\d+$/.test(String(key))) {
+    copy = obj.slice();
+  } else if (isPlainObject(obj)) {
+    copy = { ...obj };
+  } else {
+    copy = typeof key === 'number' ? [] : {};
+  }
+
+  copy[key] = assocPath(copy[key], rest, value);
+  return copy;
+}
+
+/**
+ * Remove value at nested path
+ * Array items are spliced out; a wildcard removes every match
+ * @param {Object} obj - Target object
+ * @param {string|Array} path - Path
+ */
+function unsetNestedValue(obj, path) {
+  const segments = parsePath(path);
+  if (segments.length === 0) return;
+
+  if (segments.includes(WILDCARD)) {
+    // Last match first so splicing does not shift the remaining indices
+    for (const concrete of expandPath(obj, segments).reverse()) {
+      unsetNestedValue(obj, concrete);
+    }
+    return;
+  }
+
+  const lastKey = segments[segments.length - 1];
+  const parent = segments.length > 1 ? getNestedValue(obj, segments.slice(0, -1)) : obj;
+  
+  if (Array.isArray(parent) && /^\d+$/.test(lastKey)) {
+    parent.splice(Number(lastKey), 1);
+  } else if (isPlainObject(parent)) {
+    delete parent[lastKey];
+  }
+}
+
 /**
  * Invert a mapping schema (swap keys and values)
- * Handles nested objects recursively
+ * Handles nested objects recursively. Array mappings invert to
+ * `[invertedItemMapping, apiPath]`, mirroring the `[itemMapping, formKey]` form.
  */
 function invertMapping(mapping) {
   const inverted = {};
   
-  function invert(source, target) {
+  function invert(source, prefix) {
     for (const key in source) {
       if (!source.hasOwnProperty(key)) continue;
       
       const value = source[key];
+      const apiPath = joinPath(prefix, ...parsePath(key));
       
-      if (isPlainObject(value)) {
-        // Nested object - recurse
-        for (const nestedKey in value) {
-          if (!value.hasOwnProperty(nestedKey)) continue;
-          const nestedValue = value[nestedKey];
-          
-          if (typeof nestedValue === 'string') {
-            // Map nested value back to parent.child format
-            const targetPath = `${key}.${nestedKey}`;
-            target[nestedValue] = targetPath;
-          } else if (isPlainObject(nestedValue)) {
-            // Deeper nesting
-            if (!target[nestedKey]) {
-              target[nestedKey] = {};
-            }
-            invert({ [nestedKey]: nestedValue }, target);
-          }
-        }
-      } else if (typeof value === 'string') {
+      if (typeof value === 'string') {
         // Simple mapping
-        target[value] = key;
+        inverted[value] = apiPath;
+      } else if (isPlainObject(value)) {
+        // Nested object - recurse, keeping the parent path
+        invert(value, apiPath);
+      } else if (Array.isArray(value)) {
+        // Array of items - invert the item mapping on its own
+        const [itemMapping, formKey = key] = value;
+        inverted[formKey] = [
+          isPlainObject(itemMapping) ? invertMapping(itemMapping) : itemMapping,
+          apiPath
+        ];
       }
     }
   }
   
-  invert(mapping, inverted);
+  invert(mapping, '');
   return inverted;
 }
 
+/**
+ * Check whether a formToApi config is split per payload kind
+ * ({ default, post, put, patch }); flat mappings only hold string or array
+ * values, never plain objects
+ */
+function isFormToApiByKind(formToApi) {
+  if (!isPlainObject(formToApi)) return false;
+
+  const keys = Object.keys(formToApi);
+  return keys.length > 0 && keys.every(key =>
+    ['default', 'post', 'put', 'patch'].includes(key) && isPlainObject(formToApi[key])
+  );
+}
+
+/**
+ * Find the form key an API path is read into
+ * @param {Object} apiToForm - API to form mapping
+ * @param {string} apiPath - API path of a scalar field
+ * @returns {string|null} Form key, or null when the path is not mapped
+ */
+function findFormKey(apiToForm, apiPath) {
+  const inverted = invertMapping(apiToForm || {});
+  const target = formatPath(parsePath(apiPath));
+
+  for (const formKey in inverted) {
+    if (inverted.hasOwnProperty(formKey) && inverted[formKey] === target) {
+      return formKey;
+    }
+  }
+
+  return null;
+}
+
 /**
  * Merge two objects deeply
  */
@@ -142,7 +275,7 @@ function flattenObject(obj, prefix = '') {
     if (!obj.hasOwnProperty(key)) continue;
     
     const value = obj[key];
-    const newKey = prefix ? `${prefix}.${key}` : key;
+    const newKey = joinPath(prefix, key);
     
     if (isPlainObject(value)) {
       Object.assign(flattened, flattenObject(value, newKey));
@@ -174,7 +307,11 @@ module.exports = {
   deepClone,
   getNestedValue,
   setNestedValue,
+  unsetNestedValue,
+  assocPath,
   invertMapping,
+  isFormToApiByKind,
+  findFormKey,
   deepMerge,
   flattenObject,
   unflattenObject
@@ -0,0 +1,201 @@
+/**
+ * Validator - Declarative validation rules for form fields
+ */
+
+const { getNestedValue, isPlainObject } = require('./utils');
+const { getChangedPaths } = require('./differ');
+const { overlapsPath, hasWildcard, expandPath } = require('./path');
+const { MapperConfigError } = require('./errors');
+
+/**
+ * Validate form data against declarative rules
+ * @param {Object} formData - Form data
+ * @param {Object} rules - Rules keyed by form path, plus optional `$cross` array
+ *   of cross-field rules `{ fields, path, check(form) }`; a wildcard path
+ *   ('items[*].qty') checks every match and reports errors by concrete path
+ * @param {Object} options - Validation options
+ * @param {string} options.mode - 'post' checks every field, 'patch' only
+ *   fields changed since `options.initial`
+ * @param {Object} options.initial - Original form state (patch mode)
+ * @returns {Object} { valid, errors: { [formPath]: [messages] } }
+ */
+function validate(formData, rules, options = {}) {
+  const { mode = 'post', initial = {} } = options;
+  const errors = {};
+
+  const changedPaths = mode === 'patch' ? getChangedPaths(initial, formData) : null;
+  const isChecked = path => !changedPaths || changedPaths.some(changed => overlapsPath(path, changed));
+
+  const addError = (path, message) => {
+    if (!errors[path]) {
+      errors[path] = [];
+    }
+    errors[path].push(message);
+  };
+
+  for (const path in rules) {
+    if (!rules.hasOwnProperty(path) || path === '$cross') continue;
+    const paths = hasWildcard(path) ? expandPath(formData, path) : [path];
+    for (const concrete of paths) {
+      if (!isChecked(concrete)) continue;
+
+      const value = getNestedValue(formData, concrete);
+      for (const message of checkField(value, rules[path], formData)) {
+        addError(concrete, message);
+      }
+    }
+  }
+
+  for (const rule of rules.$cross || []) {
+    const fields = rule.fields || [];
+    if (changedPaths && fields.length > 0 && !fields.some(isChecked)) continue;
+
+    const message = toMessage(rule.check(formData), 'is invalid');
+    if (message) {
+      addError(rule.path || fields[0] || '', message);
+    }
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    errors
+  };
+}
+
+/**
+ * Create a validator function usable as `Mapper` `validator` or payload
+ * builder `validation` option
+ * Builders call it with (data, { mode, initial, current }); in patch mode
+ * the full current form is validated, limited to changed fields
+ * @param {Object} rules - Declarative rules (see validate()); string patterns
+ *   (e.g. from a JSON config) are compiled to RegExps
+ * @returns {Function} (data, context) => { valid, errors }
+ * @throws {MapperConfigError} If a pattern is not a valid regular expression
+ */
+function createValidator(rules) {
+  const compiled = compilePatterns(rules);
+  const validator = (data, context = {}) => {
+    if (context.mode === 'patch') {
+      return validate(context.current, compiled, { mode: 'patch', initial: context.initial });
+    }
+    return validate(data, compiled, { mode: 'post' });
+  };
+  validator.rules = rules;
+  return validator;
+}
+
+/**
+ * Copy rules with string `pattern`s compiled to RegExps
+ */
+function compilePatterns(rules) {
+  const compiled = { ...rules };
+
+  for (const path in rules) {
+    if (!rules.hasOwnProperty(path) || path === '$cross') continue;
+
+    const { pattern } = rules[path] || {};
+    if (typeof pattern !== 'string') continue;
+
+    try {
+      compiled[path] = { ...rules[path], pattern: new RegExp(pattern) };
+    } catch (error) {
+      throw new MapperConfigError(`Invalid pattern for "${path}": ${error.message}`);
+    }
+  }
+
+  return compiled;
+}
+
+/**
+ * Run every rule for one field
+ * @returns {Array<string>} Error messages
+ */
+function checkField(value, fieldRules, formData) {
+  const messages = [];
+  const isEmpty = value === undefined || value === null || value === '';
+
+  if (fieldRules.required && isEmpty) {
+    messages.push(typeof fieldRules.required === 'string' ? fieldRules.required : 'is required');
+    return messages;
+  }
+
+  if (isEmpty) {
+    return messages;
+  }
+
+  const comparable = value instanceof Date ? value.getTime() : value;
+  const bound = limit => limit instanceof Date ? limit.getTime() : limit;
+
+  if (fieldRules.min !== undefined && comparable < bound(fieldRules.min)) {
+    messages.push(`must be at least ${fieldRules.min}`);
+  }
+  if (fieldRules.max !== undefined && comparable > bound(fieldRules.max)) {
+    messages.push(`must be at most ${fieldRules.max}`);
+  }
+
+  if (typeof value === 'string' || Array.isArray(value)) {
+    const unit = typeof value === 'string' ? 'characters' : 'items';
+    if (fieldRules.minLength !== undefined && value.length < fieldRules.minLength) {
+      messages.push(`must have at least ${fieldRules.minLength} ${unit}`);
+    }
+    if (fieldRules.maxLength !== undefined && value.length > fieldRules.maxLength) {
+      messages.push(`must have at most ${fieldRules.maxLength} ${unit}`);
+    }
+  }
+
+  if (fieldRules.pattern && !fieldRules.pattern.test(String(value))) {
+    messages.push('has an invalid format');
+  }
+
+  if (fieldRules.enum && !fieldRules.enum.includes(value)) {
+    messages.push(`must be one of: ${fieldRules.enum.join(', ')}`);
+  }
+
+  const customRules = [].concat(fieldRules.custom || []);
+  for (const rule of customRules) {
+    const message = toMessage(rule(value, formData), 'is invalid');
+    if (message) {
+      messages.push(message);
+    }
+  }
+
+  return messages;
+}
+
+/**
+ * Turn a rule result into an error message (null when valid)
+ * Rules return true/undefined/null when valid, false or a message otherwise
+ */
+function toMessage(result, fallback) {
+  if (result === true || result === undefined || result === null) return null;
+  if (result === false) return fallback;
+  return String(result);
+}
+
+/**
+ * Format validation errors (array or keyed by path) into one string
+ */
+function formatErrors(errors) {
+  if (Array.isArray(errors)) {
+    return errors.join(', ');
+  }
+
+  if (isPlainObject(errors)) {
+    const parts = [];
+    for (const path in errors) {
+      if (!errors.hasOwnProperty(path)) continue;
+      for (const message of [].concat(errors[path])) {
+        parts.push(path ? `${path}: ${message}` : message);
+      }
+    }
+    return parts.join(', ');
+  }
+
+  return String(errors);
+}
+
+module.exports = {
+  validate,
+  createValidator,
+  formatErrors
+};
@@ -0,0 +1,77 @@
+/**
+ * Variants - Discriminated-union mappings: one mapping per value of a
+ * discriminator field, layered over the base config
+ */
+
+const { invertMapping, isFormToApiByKind, deepMerge } = require('./utils');
+
+const WRITE_KINDS = ['post', 'put', 'patch'];
+
+/**
+ * Build the complete config for one variant
+ * Variant mappings are merged over the base ones; transforms, types, defaults,
+ * computed and composite fields are merged by key; a variant validator replaces
+ * the base validator. Profiles and options are shared.
+ * @param {Object} config - Base Mapper config
+ * @param {Object} variant - Variant config ({ apiToForm, formToApi, transforms,
+ *   defaults, types, validator, computed, fanOut, fanIn })
+ * @returns {Object} Mapper config without discriminator or variants
+ */
+function variantConfig(config, variant = {}) {
+  const {
+    discriminator,
+    variants,
+    apiToForm = {},
+    formToApi = null,
+    transforms = {},
+    defaults = {},
+    types = {},
+    validator = null,
+    computed = {},
+    fanOut = {},
+    fanIn = {},
+    ...rest
+  } = config;
+
+  return {
+    ...rest,
+    apiToForm: deepMerge(apiToForm, variant.apiToForm || {}),
+    formToApi: mergeFormToApi(apiToForm, formToApi, variant),
+    transforms: { ...transforms, ...variant.transforms },
+    defaults: { ...defaults, ...variant.defaults },
+    types: { ...types, ...variant.types },
+    validator: variant.validator || validator,
+    computed: { ...computed, ...variant.computed },
+    fanOut: { ...fanOut, ...variant.fanOut },
+    fanIn: { ...fanIn, ...variant.fanIn }
+  };
+}
+
+/**
+ * Add a variant's write mapping to every base write mapping
+ * Returns null (invert the merged apiToForm) when neither side is explicit
+ */
+function mergeFormToApi(apiToForm, formToApi, variant) {
+  if (!formToApi && !variant.formToApi) {
+    return null;
+  }
+
+  const variantWrite = variant.formToApi || invertMapping(variant.apiToForm || {});
+  const byKind = isFormToApiByKind(formToApi);
+
+  if (!byKind) {
+    return { ...(formToApi || invertMapping(apiToForm)), ...variantWrite };
+  }
+
+  const merged = { default: { ...(formToApi.default || invertMapping(apiToForm)), ...variantWrite } };
+  for (const kind of WRITE_KINDS) {
+    if (formToApi[kind]) {
+      merged[kind] = { ...formToApi[kind], ...variantWrite };
+    }
+  }
+  return merged;
+}
+
+module.exports = {
+  variantConfig
+};
@@ -0,0 +1,160 @@
+/**
+ * Tests for the api-schema-mapper CLI
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Readable } = require('stream');
+const { run } = require('../src/cli');
+
+describe('CLI', () => {
+  let dir;
+
+  const write = (name, content) => {
+    fs.writeFileSync(path.join(dir, name), typeof content === 'string' ? content : JSON.stringify(content));
+    return name;
+  };
+
+  const cli = async (argv, stdinText = '') => {
+    const output = { stdout: '', stderr: '' };
+    const code = await run(argv, {
+      stdin: Readable.from([stdinText]),
+      stdout: { write: (text) => { output.stdout += text; } },
+      stderr: { write: (text) => { output.stderr += text; } },
+      cwd: dir
+    });
+    return { code, ...output };
+  };
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-schema-mapper-'));
+    write('mapper.config.js', `module.exports = {
+      apiToForm: { user_name: 'userName', contact: { email_address: 'email' }, age: 'age' },
+      validator: { userName: { required: true } }
+    };`);
+    write('mapper.config.json', { apiToForm: { user_name: 'userName' } });
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should normalize a JSON file', async () => {
+    write('user.json', { user_name: 'john', contact: { email_address: 'j@x.com' }, age: '30' });
+
+    const result = await cli(['normalize', '--config', 'mapper.config.js', 'user.json']);
+
+    expect(result.code).toBe(0);
+    expect(JSON.parse(result.stdout)).toEqual({ userName: 'john', email: 'j@x.com', age: 30 });
+  });
+
+  test('should denormalize stdin with a JSON config', async () => {
+    const result = await cli(['denormalize', '-c', 'mapper.config.json', '--compact'], '{"userName":"jane"}');
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toBe('{"user_name":"jane"}\n');
+  });
+
+  test('should process NDJSON batches line by line', async () => {
+    const input = '{"user_name":"a"}\n\n{"user_name":"b","age":"2"}\n';
+
+    const result = await cli(['normalize', '-c', 'mapper.config.js', '--ndjson'], input);
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toBe('{"userName":"a"}\n{"userName":"b","age":2}\n');
+  });
+
+  test('should diff and patch two inputs', async () => {
+    write('before.json', { userName: 'john', email: 'old@x.com' });
+    write('after.json', { userName: 'john', email: 'new@x.com' });
+
+    const diffResult = await cli(['diff', '-c', 'mapper.config.js', 'before.json', 'after.json']);
+    const patchResult = await cli(['patch', '-c', 'mapper.config.js', 'before.json', 'after.json', '--format=json-patch']);
+
+    expect(JSON.parse(diffResult.stdout)).toEqual({ email: 'new@x.com' });
+    expect(JSON.parse(patchResult.stdout)).toEqual([
+      { op: 'replace', path: '/contact/email_address', value: 'new@x.com' }
+    ]);
+  });
+
+  test('should patch NDJSON records of { original, current }', async () => {
+    const input = [
+      { original: { userName: 'a' }, current: { userName: 'b' } },
+      { original: { userName: 'a' }, current: { userName: 'a' } }
+    ].map(record => JSON.stringify(record)).join('\n');
+
+    const result = await cli(['patch', '-c', 'mapper.config.js', '--ndjson'], input);
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toBe('{"user_name":"b"}\nnull\n');
+  });
+
+  test('should exit 1 on validation failure and keep processing the batch', async () => {
+    const input = '{"age":1}\n{"userName":"ok","email":"ok@x.com"}\n';
+
+    const result = await cli(['post', '-c', 'mapper.config.js', '--ndjson'], input);
+
+    expect(result.code).toBe(1);
+    expect(result.stdout).toBe('{"user_name":"ok","contact":{"email_address":"ok@x.com"}}\n');
+    expect(result.stderr).toBe('record 1: Validation failed: userName: is required\n');
+  });
+
+  test('should accept a module exporting a Mapper instance', async () => {
+    write('mapper.instance.js', `
+      const Mapper = require(${JSON.stringify(path.resolve(__dirname, '../src/index'))});
+      module.exports = new Mapper({ apiToForm: { first_name: 'firstName' } });
+    `);
+
+    const result = await cli(['normalize', '-c', 'mapper.instance.js', '--compact'], '{"first_name":"ada"}');
+
+    expect(result.stdout).toBe('{"firstName":"ada"}\n');
+  });
+
+  test('should exit 2 on usage and input errors', async () => {
+    expect((await cli([])).code).toBe(2);
+    expect((await cli(['explode', '-c', 'mapper.config.js'])).stderr).toMatch(/^Unknown command: explode/);
+    expect((await cli(['normalize'])).stderr).toMatch(/^Missing --config/);
+    expect((await cli(['normalize', '-c', 'mapper.config.js', '--verbose'])).stderr).toMatch(/^Unknown option: --verbose/);
+    expect((await cli(['normalize', '-c', 'missing.js'])).stderr).toMatch(/^Cannot load config/);
+
+    const invalid = await cli(['normalize', '-c', 'mapper.config.js', '--ndjson'], '{"a":1}\n{oops\n');
+    expect(invalid.code).toBe(2);
+    expect(invalid.stderr).toMatch(/^Invalid JSON in stdin line 2/);
+
+    const unpaired = await cli(['diff', '-c', 'mapper.config.js'], '{"userName":"a"}');
+    expect(unpaired.stderr).toMatch(/must have "original" and "current"/);
+
+    const badFormat = await cli(['patch', '-c', 'mapper.config.js', 'before.json', 'after.json', '--format', 'bogus']);
+    expect(badFormat.code).toBe(2);
+    expect(badFormat.stderr).toMatch(/^Unknown PATCH format: bogus/);
+    expect(badFormat.stdout).toBe('');
+  });
+
+  test('should lint a config and exit 1 on errors', async () => {
+    write('broken.config.js', `module.exports = {
+      apiToForm: { email: 'email', contact: { email_address: 'email' } },
+      transforms: { emial: (value) => value }
+    };`);
+
+    const clean = await cli(['lint', '-c', 'mapper.config.js']);
+    const broken = await cli(['lint', '-c', 'broken.config.js']);
+
+    expect(clean.code).toBe(0);
+    expect(clean.stdout).toBe('0 error(s), 0 warning(s)\n');
+    expect(broken.code).toBe(1);
+    expect(broken.stdout.split('\n')).toEqual([
+      expect.stringMatching(/^error {3}collision {13}Form field "email" is read from/),
+      'warning unknown-transform     Transform "emial" does not match any mapped form field',
+      '1 error(s), 1 warning(s)',
+      ''
+    ]);
+  });
+
+  test('should print usage with --help', async () => {
+    const result = await cli(['--help']);
+
+    expect(result.code).toBe(0);
+    expect(result.stdout).toMatch(/^Usage: api-schema-mapper <command>/);
+  });
+});
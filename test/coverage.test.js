@@ -5,9 +5,22 @@
 const Mapper = require('../src/Mapper');
 const { normalize, normalizeFlat, coerceType } = require('../src/normalizer');
 const { denormalize, denormalizeFlat, denormalizeForPost, denormalizeForPatch } = require('../src/denormalizer');
-const { diff, getChangedPaths, isEqual, hasChanges } = require('../src/differ');
-const { buildPatchPayload, buildPostPayload, buildPutPayload, buildPartialPayload, createPayloadBuilder } = require('../src/payloadBuilder');
-const { isPlainObject, deepClone, getNestedValue, setNestedValue, invertMapping, deepMerge, flattenObject, unflattenObject } = require('../src/utils');
+const { diff, diffArray, getChangedPaths, isEqual, hasChanges } = require('../src/differ');
+const { resolveTransform, verifyTransform } = require('../src/transforms');
+const { registerType, parseValue, serializeValue } = require('../src/types');
+const { validate, createValidator } = require('../src/validator');
+const { generateMapperConfig } = require('../src/openapi');
+const { generateTypes } = require('../src/typegen');
+const { analyzeConfig } = require('../src/analyzer');
+const { compareRoundTrip, generateRecords } = require('../src/roundTrip');
+const { mergeForms } = require('../src/merge');
+const { createFormSession } = require('../src/session');
+const { createFieldTracker } = require('../src/tracker');
+const path = require('../src/path');
+const errors = require('../src/errors');
+const { createJsonPatch, applyJsonPatch, createMergePatch, applyMergePatch } = require('../src/jsonPatch');
+const { buildPatchPayload, buildJsonPatchPayload, buildMergePatchPayload, getPatchContentType, buildPostPayload, buildPutPayload, buildPartialPayload, createPayloadBuilder } = require('../src/payloadBuilder');
+const { isPlainObject, deepClone, getNestedValue, setNestedValue, unsetNestedValue, invertMapping, deepMerge, flattenObject, unflattenObject } = require('../src/utils');
 const index = require('../src/index');
 
 describe('Coverage Tests', () => {
@@ -21,10 +34,45 @@ describe('Coverage Tests', () => {
       expect(index.denormalizeForPost).toBe(denormalizeForPost);
       expect(index.denormalizeForPatch).toBe(denormalizeForPatch);
       expect(index.diff).toBe(diff);
+      expect(index.diffArray).toBe(diffArray);
       expect(index.getChangedPaths).toBe(getChangedPaths);
       expect(index.hasChanges).toBe(hasChanges);
       expect(index.isEqual).toBe(isEqual);
       expect(index.buildPatchPayload).toBe(buildPatchPayload);
+      expect(index.buildJsonPatchPayload).toBe(buildJsonPatchPayload);
+      expect(index.createJsonPatch).toBe(createJsonPatch);
+      expect(index.resolveTransform).toBe(resolveTransform);
+      expect(index.verifyTransform).toBe(verifyTransform);
+      expect(index.registerType).toBe(registerType);
+      expect(index.validate).toBe(validate);
+      expect(index.MapperError).toBe(errors.MapperError);
+      expect(index.MapperConfigError).toBe(errors.MapperConfigError);
+      expect(index.ValidationError).toBe(errors.ValidationError);
+      expect(index.TransformError).toBe(errors.TransformError);
+      expect(index.MappingError).toBe(errors.MappingError);
+      expect(index.ConflictError).toBe(errors.ConflictError);
+      expect(index.mergeForms).toBe(mergeForms);
+      expect(index.createFormSession).toBe(createFormSession);
+      expect(index.createFieldTracker).toBe(createFieldTracker);
+      expect(index.createValidator).toBe(createValidator);
+      expect(index.generateMapperConfig).toBe(generateMapperConfig);
+      expect(index.generateTypes).toBe(generateTypes);
+      expect(index.analyzeConfig).toBe(analyzeConfig);
+      expect(index.compareRoundTrip).toBe(compareRoundTrip);
+      expect(index.generateRecords).toBe(generateRecords);
+      expect(index.WILDCARD).toBe(path.WILDCARD);
+      expect(index.parsePath).toBe(path.parsePath);
+      expect(index.formatPath).toBe(path.formatPath);
+      expect(index.joinPath).toBe(path.joinPath);
+      expect(index.matchPath).toBe(path.matchPath);
+      expect(index.expandPath).toBe(path.expandPath);
+      expect(index.parseValue).toBe(parseValue);
+      expect(index.serializeValue).toBe(serializeValue);
+      expect(index.applyJsonPatch).toBe(applyJsonPatch);
+      expect(index.createMergePatch).toBe(createMergePatch);
+      expect(index.applyMergePatch).toBe(applyMergePatch);
+      expect(index.buildMergePatchPayload).toBe(buildMergePatchPayload);
+      expect(index.getPatchContentType).toBe(getPatchContentType);
       expect(index.buildPostPayload).toBe(buildPostPayload);
       expect(index.buildPutPayload).toBe(buildPutPayload);
       expect(index.buildPartialPayload).toBe(buildPartialPayload);
@@ -36,6 +84,7 @@ describe('Coverage Tests', () => {
       expect(index.utils.deepClone).toBe(deepClone);
       expect(index.utils.getNestedValue).toBe(getNestedValue);
       expect(index.utils.setNestedValue).toBe(setNestedValue);
+      expect(index.utils.unsetNestedValue).toBe(unsetNestedValue);
       expect(index.utils.invertMapping).toBe(invertMapping);
       expect(index.utils.deepMerge).toBe(deepMerge);
       expect(index.utils.flattenObject).toBe(flattenObject);
@@ -5,8 +5,20 @@
 const Mapper = require('../src/Mapper');
 const { normalize } = require('../src/normalizer');
 const { denormalize } = require('../src/denormalizer');
-const { diff, hasChanges } = require('../src/differ');
-const { invertMapping, flattenObject, unflattenObject } = require('../src/utils');
+const { diff, diffArray, hasChanges, getChangedPaths, isEqual } = require('../src/differ');
+const { buildPatchPayload } = require('../src/payloadBuilder');
+const { applyJsonPatch, applyMergePatch } = require('../src/jsonPatch');
+const { verifyTransform } = require('../src/transforms');
+const { registerType, parseValue, serializeValue } = require('../src/types');
+const { validate } = require('../src/validator');
+const { generateMapperConfig } = require('../src/openapi');
+const { generateTypes } = require('../src/typegen');
+const { analyzeConfig } = require('../src/analyzer');
+const { compareRoundTrip, generateRecords } = require('../src/roundTrip');
+const { mergeForms } = require('../src/merge');
+const { parsePath, formatPath, joinPath, matchPath, expandPath, WILDCARD } = require('../src/path');
+const { MapperError, MapperConfigError, ValidationError, TransformError, MappingError, ConflictError } = require('../src/errors');
+const { invertMapping, isFormToApiByKind, flattenObject, unflattenObject, getNestedValue, setNestedValue, unsetNestedValue } = require('../src/utils');
 
 describe('Mapper', () => {
   describe('Basic mapping', () => {
@@ -111,6 +123,91 @@ describe('Mapper', () => {
     });
   });
 
+  describe('Array mapping', () => {
+    const orderMapping = {
+      order_ref: 'reference',
+      line_items: [{
+        sku_code: 'sku',
+        qty: 'quantity',
+        product: {
+          display_name: 'productName'
+        }
+      }, 'lineItems']
+    };
+
+    const apiOrder = {
+      order_ref: 'A-1',
+      line_items: [
+        { sku_code: 'SKU-1', qty: 2, product: { display_name: 'Widget' } },
+        { sku_code: 'SKU-2', qty: 1, product: { display_name: 'Gadget' } }
+      ]
+    };
+
+    test('should normalize array items with renamed and nested fields', () => {
+      const mapper = new Mapper({ apiToForm: orderMapping });
+
+      expect(mapper.normalize(apiOrder)).toEqual({
+        reference: 'A-1',
+        lineItems: [
+          { sku: 'SKU-1', quantity: 2, productName: 'Widget' },
+          { sku: 'SKU-2', quantity: 1, productName: 'Gadget' }
+        ]
+      });
+    });
+
+    test('should round-trip array items through denormalize and buildPost', () => {
+      const mapper = new Mapper({ apiToForm: orderMapping });
+      const formData = mapper.normalize(apiOrder);
+
+      expect(mapper.denormalize(formData)).toEqual(apiOrder);
+      expect(mapper.buildPost(formData)).toEqual(apiOrder);
+    });
+
+    test('should default the form key to the API key', () => {
+      const mapper = new Mapper({
+        apiToForm: {
+          tags: [{ tag_name: 'name' }]
+        }
+      });
+
+      const formData = mapper.normalize({ tags: [{ tag_name: 'new' }] });
+
+      expect(formData).toEqual({ tags: [{ name: 'new' }] });
+      expect(mapper.denormalize(formData)).toEqual({ tags: [{ tag_name: 'new' }] });
+    });
+
+    test('should send the whole mapped array in PATCH when an item changes', () => {
+      const mapper = new Mapper({ apiToForm: orderMapping });
+      const initialForm = mapper.normalize(apiOrder);
+      const editedForm = {
+        ...initialForm,
+        lineItems: [
+          initialForm.lineItems[0],
+          { ...initialForm.lineItems[1], quantity: 5 }
+        ]
+      };
+
+      expect(mapper.buildPatch(initialForm, editedForm)).toEqual({
+        line_items: [
+          { sku_code: 'SKU-1', qty: 2, product: { display_name: 'Widget' } },
+          { sku_code: 'SKU-2', qty: 5, product: { display_name: 'Gadget' } }
+        ]
+      });
+    });
+
+    test('should invert array mappings inside nested objects', () => {
+      const inverted = invertMapping({
+        order: {
+          line_items: [{ sku_code: 'sku' }, 'lineItems']
+        }
+      });
+
+      expect(inverted).toEqual({
+        lineItems: [{ sku: 'sku_code' }, 'order.line_items']
+      });
+    });
+  });
+
   describe('Diffing', () => {
     test('should detect changes between objects', () => {
       const original = {
@@ -119,140 +216,2475 @@ describe('Mapper', () => {
         age: 30
       };
 
-      const current = {
-        username: 'john_doe',
-        email: 'newemail@example.com',
-        age: 31
-      };
+      const current = {
+        username: 'john_doe',
+        email: 'newemail@example.com',
+        age: 31
+      };
+
+      const changes = diff(original, current);
+
+      expect(changes).toEqual({
+        email: 'newemail@example.com',
+        age: 31
+      });
+    });
+
+    test('should return empty object when no changes', () => {
+      const original = { username: 'john_doe', email: 'john@example.com' };
+      const current = { username: 'john_doe', email: 'john@example.com' };
+
+      const changes = diff(original, current);
+
+      expect(changes).toEqual({});
+    });
+
+    test('should detect nested changes', () => {
+      const original = {
+        user: {
+          name: 'John',
+          contact: {
+            email: 'john@example.com'
+          }
+        }
+      };
+
+      const current = {
+        user: {
+          name: 'John',
+          contact: {
+            email: 'newemail@example.com'
+          }
+        }
+      };
+
+      const changes = diff(original, current);
+
+      expect(changes).toEqual({
+        user: {
+          contact: {
+            email: 'newemail@example.com'
+          }
+        }
+      });
+    });
+
+    test('should check if objects have changes', () => {
+      const obj1 = { a: 1, b: 2 };
+      const obj2 = { a: 1, b: 3 };
+      const obj3 = { a: 1, b: 2 };
+
+      expect(hasChanges(obj1, obj2)).toBe(true);
+      expect(hasChanges(obj1, obj3)).toBe(false);
+    });
+  });
+
+  describe('Identity-keyed array diffing', () => {
+    const rows = Array.from({ length: 50 }, (_, i) => ({ id: i + 1, name: `Row ${i + 1}` }));
+
+    test('should report a single removal when the first row is deleted', () => {
+      const changes = diff({ rows }, { rows: rows.slice(1) }, { arrayKey: 'id' });
+
+      expect(changes).toEqual({
+        rows: {
+          added: [],
+          removed: [{ id: 1, name: 'Row 1' }],
+          moved: [],
+          updated: []
+        }
+      });
+    });
+
+    test('should report added, moved and modified items separately', () => {
+      const original = [{ id: 1, qty: 1 }, { id: 2, qty: 1 }, { id: 3, qty: 1 }];
+      const current = [{ id: 3, qty: 1 }, { id: 1, qty: 1 }, { id: 2, qty: 4 }, { qty: 9 }];
+
+      expect(diffArray(original, current, 'id')).toEqual({
+        added: [{ qty: 9 }],
+        removed: [],
+        moved: [{ key: 3, from: 2, to: 0 }],
+        updated: [{ key: 2, index: 2, changes: { qty: 4 } }]
+      });
+    });
+
+    test('should key arrays of objects only and skip unchanged rebuilt arrays', () => {
+      const original = { tags: ['a', 'b'], rows: [{ id: 1, name: 'x' }], title: 'A' };
+      const current = { tags: ['a', 'b'].slice(), rows: [{ id: 1, name: 'x' }], title: 'B' };
+
+      expect(diff(original, current, { arrayKey: 'id' })).toEqual({ title: 'B' });
+      expect(diff(original, { ...current, tags: ['b'] }, { arrayKey: 'id' })).toEqual({ title: 'B', tags: ['b'] });
+
+      const mapper = new Mapper({
+        apiToForm: { tags: 'tags', title: 'title', rows: [{ id: 'id', name: 'name' }, 'rows'] },
+        options: { arrayKey: 'id' }
+      });
+      const form = mapper.normalize(original);
+
+      expect(mapper.buildPatch(form, { ...form, tags: ['a', 'b'], title: 'B' })).toStrictEqual({ title: 'B' });
+      expect(mapper.buildPatch(form, { ...form, tags: ['c'] })).toStrictEqual({ tags: ['c'] });
+    });
+
+    test('should apply item ignoreFields and comparators inside keyed arrays', () => {
+      const before = { lines: [{ id: 1, email: 'a@x', qty: 1 }] };
+      const after = { lines: [{ id: 1, email: 'zz', qty: 1 }] };
+
+      expect(diff(before, after, { ignoreFields: ['lines[*].email'] })).toEqual({});
+      expect(diff(before, after, { arrayKey: 'id', ignoreFields: ['lines[*].email'] })).toEqual({});
+
+      const sameEmail = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+      const mapper = new Mapper({
+        apiToForm: { lines: [{ id: 'id', email: 'email' }, 'lines'] },
+        comparators: { 'lines[*].email': sameEmail },
+        options: { arrayKey: { lines: 'id' } }
+      });
+      const initialForm = { lines: [{ id: 1, email: 'a@x' }, { id: 2, email: 'b@x' }] };
+      const reordered = { lines: [{ id: 2, email: 'B@X' }, { id: 1, email: 'A@X' }] };
+
+      expect(mapper.diff(initialForm, reordered).lines.updated).toEqual([]);
+      expect(mapper.buildPatch(initialForm, reordered)).toEqual({
+        lines: { moved: [{ id: 2, from: 1, to: 0 }] }
+      });
+    });
+
+    test('should return null for identical keyed arrays', () => {
+      expect(diffArray([{ id: 1 }], [{ id: 1 }], 'id')).toBeNull();
+      expect(diff({ rows }, { rows: [...rows] }, { arrayKey: { rows: 'id' } })).toEqual({});
+    });
+
+    test('should build item-level PATCH operations on API field names', () => {
+      const mapper = new Mapper({
+        apiToForm: {
+          title: 'title',
+          line_items: [{ item_id: 'id', qty: 'quantity' }, 'lineItems']
+        },
+        options: { arrayKey: { lineItems: 'id' } }
+      });
+
+      const initialForm = {
+        title: 'Order',
+        lineItems: [{ id: 1, quantity: 1 }, { id: 2, quantity: 1 }]
+      };
+      const currentForm = {
+        title: 'Order',
+        lineItems: [{ id: 2, quantity: 3 }, { quantity: 7 }]
+      };
+
+      expect(mapper.buildPatch(initialForm, currentForm)).toEqual({
+        line_items: {
+          added: [{ qty: 7 }],
+          removed: [1],
+          updated: [{ item_id: 2, qty: 3 }]
+        }
+      });
+    });
+
+    test('should allow configuring the item-level PATCH shape', () => {
+      const mapping = { rows: [{ row_id: 'id', label: 'name' }] };
+      const initial = { rows: [{ id: 1, name: 'a' }, { id: 2, name: 'b' }] };
+      const current = { rows: [{ id: 2, name: 'B' }] };
+
+      const renamed = buildPatchPayload(initial, current, mapping, {
+        arrayKey: 'id',
+        arrayFormat: { added: 'create', removed: 'delete', updated: 'update' }
+      });
+      expect(renamed).toEqual({
+        rows: { delete: [1], update: [{ row_id: 2, label: 'B' }] }
+      });
+
+      const custom = buildPatchPayload(initial, current, mapping, {
+        arrayKey: 'id',
+        arrayFormat: ops => [
+          ...ops.removed.map(id => ({ op: 'delete', id })),
+          ...ops.updated.map(item => ({ op: 'update', item }))
+        ]
+      });
+      expect(custom).toEqual({
+        rows: [
+          { op: 'delete', id: 1 },
+          { op: 'update', item: { row_id: 2, label: 'B' } }
+        ]
+      });
+    });
+  });
+
+  describe('Payload building', () => {
+    test('should build PATCH payload with only changes', () => {
+      const mapper = new Mapper({
+        apiToForm: {
+          user_name: 'username',
+          email_address: 'email',
+          age: 'age'
+        }
+      });
+
+      const initialForm = {
+        username: 'john_doe',
+        email: 'john@example.com',
+        age: 30
+      };
+
+      const currentForm = {
+        username: 'john_doe',
+        email: 'newemail@example.com',
+        age: 31
+      };
+
+      const patchPayload = mapper.buildPatch(initialForm, currentForm);
+
+      expect(patchPayload).toEqual({
+        email_address: 'newemail@example.com',
+        age: 31
+      });
+    });
+
+    test('should return null when no changes for PATCH', () => {
+      const mapper = new Mapper({
+        apiToForm: {
+          user_name: 'username',
+          email_address: 'email'
+        }
+      });
+
+      const formData = {
+        username: 'john_doe',
+        email: 'john@example.com'
+      };
+
+      const patchPayload = mapper.buildPatch(formData, formData);
+
+      expect(patchPayload).toBeNull();
+    });
+
+    test('should build POST payload with all fields', () => {
+      const mapper = new Mapper({
+        apiToForm: {
+          user_name: 'username',
+          email_address: 'email',
+          age: 'age'
+        }
+      });
+
+      const formData = {
+        username: 'john_doe',
+        email: 'john@example.com',
+        age: 30
+      };
+
+      const postPayload = mapper.buildPost(formData);
+
+      expect(postPayload).toEqual({
+        user_name: 'john_doe',
+        email_address: 'john@example.com',
+        age: 30
+      });
+    });
+  });
+
+  describe('JSON Patch', () => {
+    const mapping = {
+      user_name: 'username',
+      contact: {
+        email_address: 'email',
+        phone_number: 'phone'
+      },
+      line_items: [{ item_id: 'id', qty: 'quantity' }, 'lineItems']
+    };
+
+    test('should build JSON Patch operations on API paths', () => {
+      const mapper = new Mapper({ apiToForm: mapping });
+
+      const initialForm = { username: 'john', email: 'john@example.com', phone: '555' };
+      const currentForm = { username: 'john', email: 'new@example.com' };
+
+      expect(mapper.buildPatch(initialForm, currentForm, { format: 'json-patch' })).toEqual([
+        { op: 'remove', path: '/contact/phone_number' },
+        { op: 'replace', path: '/contact/email_address', value: 'new@example.com' }
+      ]);
+    });
+
+    test('should return null when nothing changed', () => {
+      const mapper = new Mapper({ apiToForm: mapping });
+      const form = { username: 'john' };
+
+      expect(mapper.buildPatch(form, { ...form }, { format: 'json-patch' })).toBeNull();
+    });
+
+    test('should emit remove, move and add for identity-keyed arrays', () => {
+      const mapper = new Mapper({
+        apiToForm: mapping,
+        options: { arrayKey: 'id' }
+      });
+
+      const initialForm = {
+        lineItems: [{ id: 1, quantity: 1 }, { id: 2, quantity: 1 }, { id: 3, quantity: 1 }]
+      };
+      const currentForm = {
+        lineItems: [{ id: 3, quantity: 1 }, { id: 2, quantity: 2 }, { id: 4, quantity: 1 }]
+      };
+
+      const patch = mapper.buildPatch(initialForm, currentForm, { format: 'json-patch' });
+
+      expect(patch).toEqual([
+        { op: 'remove', path: '/line_items/0' },
+        { op: 'move', from: '/line_items/1', path: '/line_items/0' },
+        { op: 'replace', path: '/line_items/1/qty', value: 2 },
+        { op: 'add', path: '/line_items/2', value: { item_id: 4, qty: 1 } }
+      ]);
+      expect(applyJsonPatch(mapper.denormalize(initialForm), patch)).toEqual(mapper.denormalize(currentForm));
+    });
+
+    test('should replay a generated patch on a normalized form', () => {
+      const mapper = new Mapper({ apiToForm: mapping });
+
+      const initialForm = { username: 'john', email: 'john@example.com', draft: true };
+      const currentForm = { username: 'jane', phone: '555-1234', draft: true };
+
+      const patch = mapper.buildPatch(initialForm, currentForm, { format: 'json-patch' });
+
+      expect(mapper.applyJsonPatch(initialForm, patch)).toEqual(currentForm);
+    });
+
+    test('should apply every RFC 6902 operation without mutating the input', () => {
+      const document = { a: { b: 'x' }, list: [1, 2], 'c/d': 1 };
+
+      const result = applyJsonPatch(document, [
+        { op: 'test', path: '/a/b', value: 'x' },
+        { op: 'copy', from: '/a/b', path: '/copied' },
+        { op: 'add', path: '/list/-', value: 3 },
+        { op: 'move', from: '/list/0', path: '/first' },
+        { op: 'replace', path: '/c~1d', value: 2 },
+        { op: 'remove', path: '/a' }
+      ]);
+
+      expect(result).toEqual({ list: [2, 3], 'c/d': 2, copied: 'x', first: 1 });
+      expect(document).toEqual({ a: { b: 'x' }, list: [1, 2], 'c/d': 1 });
+    });
+
+    test('should reject failed tests, missing paths and unknown operations', () => {
+      expect(() => applyJsonPatch({ a: 1 }, [{ op: 'test', path: '/a', value: 2 }]))
+        .toThrow('JSON Patch test failed at /a');
+      expect(() => applyJsonPatch({}, [{ op: 'remove', path: '/missing' }]))
+        .toThrow('path /missing does not exist');
+      expect(() => applyJsonPatch({}, [{ op: 'frobnicate', path: '' }]))
+        .toThrow('Unsupported JSON Patch operation');
+    });
+  });
+
+  describe('JSON Merge Patch', () => {
+    const mapper = new Mapper({
+      apiToForm: {
+        user_name: 'username',
+        contact: {
+          email_address: 'email',
+          phone_number: 'phone'
+        },
+        tags: ['string']
+      },
+      options: { patchFormat: 'merge-patch' }
+    });
+
+    test('should send cleared fields as null under their API name', () => {
+      const initialForm = { username: 'john', email: 'john@example.com', phone: '555' };
+      const currentForm = { username: 'john', email: 'john@example.com', phone: undefined };
+
+      expect(mapper.buildPatch(initialForm, currentForm)).toEqual({
+        contact: { phone_number: null }
+      });
+    });
+
+    test('should merge nested objects and replace arrays whole', () => {
+      const initialForm = { username: 'john', email: 'a@example.com', tags: ['a', 'b'] };
+      const currentForm = { username: 'jane', email: 'a@example.com', phone: '555', tags: ['a', 'c'] };
+
+      const patch = mapper.buildPatch(initialForm, currentForm);
+
+      expect(patch).toEqual({
+        user_name: 'jane',
+        contact: { phone_number: '555' },
+        tags: ['a', 'c']
+      });
+      expect(applyMergePatch(mapper.denormalize(initialForm), patch)).toEqual(mapper.denormalize(currentForm));
+    });
+
+    test('should return null when nothing changed', () => {
+      const form = { username: 'john' };
+      expect(mapper.buildPatch(form, { ...form })).toBeNull();
+    });
+
+    test('should expose the Content-Type for each PATCH format', () => {
+      expect(mapper.getPatchContentType()).toBe('application/merge-patch+json');
+      expect(mapper.getPatchContentType('json-patch')).toBe('application/json-patch+json');
+      expect(mapper.getPatchContentType('merge')).toBe('application/json');
+      expect(() => mapper.getPatchContentType('xml')).toThrow('Unknown PATCH format: xml');
+    });
+  });
+
+  describe('Explicit formToApi mapping', () => {
+    test('should use formToApi for denormalize and every payload builder', () => {
+      const mapper = new Mapper({
+        apiToForm: {
+          title: 'title',
+          createdBy: 'createdBy'
+        },
+        formToApi: {
+          title: 'title',
+          createdBy: 'creator_id'
+        }
+      });
+
+      const initialForm = mapper.normalize({ title: 'Draft', createdBy: 7 });
+      const editedForm = { ...initialForm, createdBy: 8 };
+
+      expect(mapper.denormalize(initialForm)).toEqual({ title: 'Draft', creator_id: 7 });
+      expect(mapper.buildPost(initialForm)).toEqual({ title: 'Draft', creator_id: 7 });
+      expect(mapper.buildPut(initialForm)).toEqual({ title: 'Draft', creator_id: 7 });
+      expect(mapper.buildPatch(initialForm, editedForm)).toEqual({ creator_id: 8 });
+      expect(mapper.buildPartial(editedForm, ['createdBy'])).toEqual({ creator_id: 8 });
+    });
+
+    test('should allow a separate mapping per payload kind', () => {
+      const mapper = new Mapper({
+        apiToForm: {
+          owner: 'owner'
+        },
+        formToApi: {
+          post: { owner: 'owner_id' },
+          put: { owner: 'owner_ref' },
+          patch: { owner: 'owner_uuid' }
+        }
+      });
+
+      expect(mapper.denormalize({ owner: 1 })).toEqual({ owner: 1 });
+      expect(mapper.buildPost({ owner: 1 })).toEqual({ owner_id: 1 });
+      expect(mapper.buildPut({ owner: 1 })).toEqual({ owner_ref: 1 });
+      expect(mapper.buildPatch({ owner: 1 }, { owner: 2 })).toEqual({ owner_uuid: 2 });
+      expect(mapper.buildPatch({ owner: 1 }, { owner: 2 }, { format: 'merge-patch' })).toEqual({ owner_uuid: 2 });
+    });
+
+    test('should fall back to the default mapping for kinds not listed', () => {
+      const mapper = new Mapper({
+        apiToForm: { owner: 'owner' },
+        formToApi: {
+          default: { owner: 'owner_id' },
+          put: { owner: 'owner_ref' }
+        }
+      });
+
+      expect(mapper.buildPost({ owner: 1 })).toEqual({ owner_id: 1 });
+      expect(mapper.buildPut({ owner: 1 })).toEqual({ owner_ref: 1 });
+      expect(mapper.clone().buildPut({ owner: 1 })).toEqual({ owner_ref: 1 });
+    });
+
+    test('should accept formToApi in standalone builders', () => {
+      const payload = buildPatchPayload({ createdBy: 1 }, { createdBy: 2 }, { created_by: 'createdBy' }, {
+        formToApi: { createdBy: 'creator_id' }
+      });
+
+      expect(payload).toEqual({ creator_id: 2 });
+    });
+  });
+
+  describe('Method profiles', () => {
+    const config = {
+      apiToForm: {
+        title: 'title',
+        owner: 'owner',
+        status: 'status'
+      },
+      profiles: {
+        post: {
+          formToApi: { title: 'title', 'owner.id': 'owner_id' }
+        },
+        put: {
+          forbiddenFields: ['status'],
+          transforms: { title: value => value.trim() }
+        },
+        patch: {
+          allowedFields: ['title', 'status']
+        }
+      }
+    };
+
+    const form = { title: ' Report ', owner: { id: 5, name: 'Ann' }, status: 'draft' };
+
+    test('should use the post profile mapping in buildPost', () => {
+      expect(new Mapper(config).buildPost(form)).toEqual({ title: ' Report ', owner_id: 5 });
+    });
+
+    test('should apply put profile transforms and forbidden fields in buildPut', () => {
+      expect(new Mapper(config).buildPut(form)).toEqual({
+        title: 'Report',
+        owner: { id: 5, name: 'Ann' }
+      });
+    });
+
+    test('should only send whitelisted fields in buildPatch', () => {
+      const mapper = new Mapper(config);
+      const edited = { ...form, status: 'final', owner: { id: 6, name: 'Bob' } };
+
+      expect(mapper.buildPatch(form, edited)).toEqual({ status: 'final' });
+      expect(mapper.buildPatch(form, { ...form, owner: { id: 6 } })).toBeNull();
+      expect(mapper.buildPartial(edited, ['owner', 'status'])).toEqual({ status: 'final' });
+    });
+
+    test('should keep profiles when cloning', () => {
+      expect(new Mapper(config).clone().buildPost(form)).toEqual({ title: ' Report ', owner_id: 5 });
+    });
+  });
+
+  describe('Bidirectional transforms', () => {
+    const priceTransform = {
+      in: (cents) => cents / 100,
+      out: (dollars) => Math.round(dollars * 100)
+    };
+
+    test('should parse on normalize and serialize on denormalize', () => {
+      const mapper = new Mapper({
+        apiToForm: { price_cents: 'price' },
+        transforms: { price: priceTransform }
+      });
+
+      const formData = mapper.normalize({ price_cents: 1999 });
+
+      expect(formData).toEqual({ price: 19.99 });
+      expect(mapper.denormalize(formData)).toEqual({ price_cents: 1999 });
+    });
+
+    test('should serialize with the full form record in every builder', () => {
+      const out = jest.fn((value, record) => `${value} ${record.currency}`);
+      const mapper = new Mapper({
+        apiToForm: { amount: 'amount', currency: 'currency' },
+        transforms: { amount: { out } }
+      });
+
+      const initialForm = { amount: 5, currency: 'EUR' };
+      const editedForm = { amount: 6, currency: 'EUR' };
+
+      expect(mapper.buildPost(initialForm).amount).toBe('5 EUR');
+      expect(mapper.buildPatch(initialForm, editedForm)).toEqual({ amount: '6 EUR' });
+      expect(mapper.buildPartial(editedForm, ['amount'])).toEqual({ amount: '6 EUR' });
+      expect(out.mock.calls.every(([, record]) => record.currency === 'EUR')).toBe(true);
+    });
+
+    test('should leave the other direction untouched for one-sided transforms', () => {
+      const mapper = new Mapper({
+        apiToForm: { name: 'name' },
+        transforms: { name: { out: (value) => value.toUpperCase() } }
+      });
+
+      expect(mapper.normalize({ name: 'ann' })).toEqual({ name: 'ann' });
+      expect(mapper.denormalize({ name: 'ann' })).toEqual({ name: 'ANN' });
+    });
+
+    test('should verify that transform pairs round-trip', () => {
+      expect(verifyTransform(priceTransform, [100, 1999])).toEqual({ valid: true, failures: [] });
+
+      const lossy = { in: (value) => Math.floor(value), out: (value) => value };
+      expect(verifyTransform(lossy, [1, 2.5])).toEqual({
+        valid: false,
+        failures: [{ input: 2.5, parsed: 2, output: 2 }]
+      });
+
+      const mapper = new Mapper({
+        apiToForm: { price_cents: 'price', qty: 'quantity' },
+        transforms: { price: priceTransform, quantity: lossy }
+      });
+      expect(mapper.verifyTransforms({ price: [1999], quantity: [1.5] }).failures).toEqual([
+        { field: 'quantity', input: 1.5, parsed: 1, output: 1 }
+      ]);
+    });
+
+    test('should report samples a transform throws on and keep checking', () => {
+      const strict = { in: (value) => { if (value < 0) throw new Error('negative'); return value; }, out: (value) => value };
+      const result = verifyTransform(strict, [-1, 2]);
+
+      expect(result.valid).toBe(false);
+      expect(result.failures).toHaveLength(1);
+      expect(result.failures[0].input).toBe(-1);
+      expect(result.failures[0].error.message).toBe('negative');
+    });
+  });
+
+  describe('Field types', () => {
+    test('should keep declared strings such as zip codes and padded ids', () => {
+      const mapper = new Mapper({
+        apiToForm: { zip_code: 'zip', account_id: 'accountId', count: 'count' },
+        types: { zip: 'string', accountId: 'string' }
+      });
+
+      expect(mapper.normalize({ zip_code: '02134', account_id: '000123', count: '7' })).toEqual({
+        zip: '02134',
+        accountId: '000123',
+        count: 7
+      });
+    });
+
+    test('should parse integer, decimal, boolean, date and enum fields', () => {
+      const types = {
+        qty: 'integer',
+        price: 'decimal',
+        active: 'boolean',
+        birthday: 'date',
+        status: { type: 'enum', values: ['open', 'closed', 1] }
+      };
+
+      expect(parseValue('12', types.qty)).toBe(12);
+      expect(parseValue('1.5', types.qty)).toBe('1.5');
+      expect(parseValue('1.5', types.price)).toBe(1.5);
+      expect(parseValue('0', types.active)).toBe(false);
+      expect(parseValue('1990-05-01', types.birthday)).toEqual(new Date('1990-05-01T00:00:00Z'));
+      expect(serializeValue(new Date('1990-05-01T00:00:00Z'), types.birthday)).toBe('1990-05-01');
+      expect(parseValue('1', types.status)).toBe(1);
+      expect(parseValue('open', types.status)).toBe('open');
+      expect(parseValue(null, types.qty)).toBeNull();
+    });
+
+    test('should send datetimes back in the exact format the API used', () => {
+      const mapper = new Mapper({
+        apiToForm: { created_at: 'createdAt', updated_at: 'updatedAt', not_a_date: 'code' },
+        types: { createdAt: 'datetime', updatedAt: 'datetime', code: 'string' }
+      });
+
+      const apiData = {
+        created_at: '2024-03-01T10:20:30Z',
+        updated_at: '2024-03-01T15:50:30.250000+05:30',
+        not_a_date: '2024-03-01T10:20:30Z'
+      };
+      const formData = mapper.normalize(apiData);
+
+      expect(formData.createdAt).toBeInstanceOf(Date);
+      expect(formData.code).toBe('2024-03-01T10:20:30Z');
+      expect(mapper.buildPost(formData)).toEqual(apiData);
+    });
+
+    test('should serialize declared types in PATCH payloads', () => {
+      const mapper = new Mapper({
+        apiToForm: { due_at: 'dueAt' },
+        types: { dueAt: 'datetime' }
+      });
+
+      const initialForm = mapper.normalize({ due_at: '2024-03-01T10:20:30Z' });
+      const editedForm = { dueAt: new Date('2024-03-02T00:00:00Z') };
+
+      expect(mapper.buildPatch(initialForm, editedForm)).toEqual({ due_at: '2024-03-02T00:00:00.000Z' });
+    });
+
+    test('should support registered and inline custom types', () => {
+      registerType('cents', {
+        parse: (value) => value / 100,
+        serialize: (value) => Math.round(value * 100)
+      });
+
+      const mapper = new Mapper({
+        apiToForm: { price_cents: 'price', tags_csv: 'tags' },
+        types: {
+          price: 'cents',
+          tags: { parse: (value) => value.split(','), serialize: (value) => value.join(',') }
+        }
+      });
+
+      const formData = mapper.normalize({ price_cents: 1250, tags_csv: 'a,b' });
+
+      expect(formData).toEqual({ price: 12.5, tags: ['a', 'b'] });
+      expect(mapper.denormalize(formData)).toEqual({ price_cents: 1250, tags_csv: 'a,b' });
+      expect(() => registerType('broken', {})).toThrow('must define parse and serialize');
+      expect(() => parseValue('x', 'nope')).toThrow('Unknown field type: nope');
+    });
+
+    test('should apply item types declared by item path inside arrays', () => {
+      const mapper = new Mapper({
+        apiToForm: {
+          line_items: [{ sku_code: 'sku', qty: 'qty', shipped_on: 'shippedOn' }, 'lineItems']
+        },
+        types: { 'lineItems[*].sku': 'string', 'lineItems[*].shippedOn': 'date' }
+      });
+
+      const apiData = { line_items: [{ sku_code: '00042', qty: '3', shipped_on: '2024-03-01' }] };
+      const formData = mapper.normalize(apiData);
+
+      expect(formData.lineItems).toEqual([
+        { sku: '00042', qty: 3, shippedOn: new Date('2024-03-01T00:00:00Z') }
+      ]);
+      expect(mapper.denormalize(formData)).toEqual({
+        line_items: [{ sku_code: '00042', qty: 3, shipped_on: '2024-03-01' }]
+      });
+      expect(mapper.generateTypes({ name: 'Order' })).toContain('sku?: string;');
+    });
+  });
+
+  describe('Declarative validation', () => {
+    const rules = {
+      email: { required: true, pattern: /^[^@]+@[^@]+$/ },
+      name: { required: 'Name is required', minLength: 2, maxLength: 10 },
+      age: { min: 18, max: 99 },
+      role: { enum: ['admin', 'user'] },
+      nickname: { custom: (value, form) => value !== form.name || 'must differ from name' },
+      $cross: [
+        {
+          fields: ['startDate', 'endDate'],
+          path: 'endDate',
+          check: (form) => !form.startDate || !form.endDate || form.endDate >= form.startDate || 'must be after start date'
+        }
+      ]
+    };
+
+    const config = {
+      apiToForm: {
+        email_address: 'email',
+        full_name: 'name',
+        age: 'age',
+        role: 'role',
+        nickname: 'nickname',
+        start: 'startDate',
+        end: 'endDate'
+      },
+      validator: rules
+    };
+
+    test('should report structured errors keyed by form path', () => {
+      const result = validate({
+        email: 'nope',
+        age: 12,
+        role: 'owner',
+        name: 'Al',
+        nickname: 'Al',
+        startDate: 5,
+        endDate: 3
+      }, rules);
+
+      expect(result).toEqual({
+        valid: false,
+        errors: {
+          email: ['has an invalid format'],
+          age: ['must be at least 18'],
+          role: ['must be one of: admin, user'],
+          nickname: ['must differ from name'],
+          endDate: ['must be after start date']
+        }
+      });
+    });
+
+    test('should check every field in post mode', () => {
+      const result = new Mapper(config).validate({ email: 'a@b.c', name: 'A' });
+
+      expect(result).toEqual({
+        valid: false,
+        errors: { name: ['must have at least 2 characters'] }
+      });
+    });
+
+    test('should only check changed fields in patch mode', () => {
+      const mapper = new Mapper(config);
+      const initial = { email: 'a@b.c', age: 5 };
+
+      expect(mapper.validate({ ...initial, role: 'admin' }, { mode: 'patch', initial })).toEqual({
+        valid: true,
+        errors: {}
+      });
+      expect(mapper.validate({ ...initial, email: '' }, { mode: 'patch', initial }).errors).toEqual({
+        email: ['is required']
+      });
+    });
+
+    test('should throw from payload builders with field paths in the message', () => {
+      const mapper = new Mapper(config);
+
+      expect(() => mapper.buildPost({ email: 'a@b.c' })).toThrow('Validation failed: name: Name is required');
+      expect(() => mapper.buildPatch({ email: 'a@b.c', age: 5 }, { email: 'a@b.c', age: 4, role: 'x' }))
+        .toThrow('Validation failed: age: must be at least 18, role: must be one of: admin, user');
+      expect(mapper.buildPatch({ email: 'a@b.c', age: 5 }, { email: 'b@b.c', age: 5 })).toEqual({
+        email_address: 'b@b.c'
+      });
+    });
+
+    test('should return a passing result without a validator', () => {
+      const mapper = new Mapper({ apiToForm: { name: 'name' } });
+      expect(mapper.validate({})).toEqual({ valid: true, errors: {} });
+    });
+
+    test('should compile string patterns from JSON configs', () => {
+      const mapper = new Mapper({
+        apiToForm: { zip_code: 'zip' },
+        validator: JSON.parse('{ "zip": { "pattern": "^\\\\d{5}$" } }')
+      });
+
+      expect(mapper.validate({ zip: '02134' }).valid).toBe(true);
+      expect(mapper.validate({ zip: '2134' }).errors).toEqual({ zip: ['has an invalid format'] });
+      expect(() => new Mapper({ apiToForm: { zip_code: 'zip' }, validator: { zip: { pattern: '(' } } }))
+        .toThrow(MapperConfigError);
+    });
+  });
+
+  describe('Typed errors', () => {
+    const catchError = (fn) => {
+      try {
+        fn();
+      } catch (error) {
+        return error;
+      }
+      throw new Error('Expected function to throw');
+    };
+
+    test('should throw MapperConfigError for invalid configuration', () => {
+      const error = catchError(() => new Mapper({}));
+
+      expect(error).toBeInstanceOf(MapperConfigError);
+      expect(error).toBeInstanceOf(MapperError);
+      expect(error.name).toBe('MapperConfigError');
+    });
+
+    test('should throw ValidationError with structured errors and the failing path', () => {
+      const mapper = new Mapper({
+        apiToForm: { email_address: 'email' },
+        validator: { email: { required: true } }
+      });
+
+      const error = catchError(() => mapper.buildPost({}));
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.message).toBe('Validation failed: email: is required');
+      expect(error.formPath).toBe('email');
+      expect(error.errors).toEqual({ email: ['is required'] });
+    });
+
+    test('should wrap throwing transforms with the failing field on normalize', () => {
+      const cause = new Error('bad date');
+      const mapper = new Mapper({
+        apiToForm: { meta: { created_at: 'createdAt' } },
+        transforms: { createdAt: { in: () => { throw cause; } } }
+      });
+
+      const error = catchError(() => mapper.normalize({ meta: { created_at: 'x' } }));
+
+      expect(error).toBeInstanceOf(TransformError);
+      expect(error.message).toBe('Transform failed for field "createdAt": bad date');
+      expect(error.formPath).toBe('createdAt');
+      expect(error.apiPath).toBe('meta.created_at');
+      expect(error.value).toBe('x');
+      expect(error.cause).toBe(cause);
+    });
+
+    test('should wrap throwing transforms and types on denormalize', () => {
+      const mapper = new Mapper({
+        apiToForm: { price_cents: 'price', tags: 'tags' },
+        transforms: { price: { out: (value) => value.toFixed(2) } },
+        types: { tags: { parse: (value) => value, serialize: (value) => value.join(',') } }
+      });
+
+      const priceError = catchError(() => mapper.buildPost({ price: 'abc' }));
+      expect(priceError).toBeInstanceOf(TransformError);
+      expect(priceError.formPath).toBe('price');
+      expect(priceError.apiPath).toBe('price_cents');
+      expect(priceError.cause).toBeInstanceOf(TypeError);
+
+      const tagsError = catchError(() => mapper.denormalize({ tags: 'a' }));
+      expect(tagsError).toBeInstanceOf(TransformError);
+      expect(tagsError.apiPath).toBe('tags');
+    });
+
+    test('should throw MappingError with the API path for invalid patches', () => {
+      const error = catchError(() => applyJsonPatch({}, [{ op: 'replace', path: '/missing', value: 1 }]));
+
+      expect(error).toBeInstanceOf(MappingError);
+      expect(error.apiPath).toBe('/missing');
+    });
+  });
+
+  describe('Computed fields', () => {
+    const config = {
+      apiToForm: { id: 'id', quantity: 'quantity', status: 'status' },
+      computed: {
+        fullName: {
+          get: (api) => [api.first_name, api.last_name].filter(Boolean).join(' '),
+          set: (value) => {
+            const [first, ...rest] = value.split(' ');
+            return { first_name: first, last_name: rest.join(' ') };
+          }
+        },
+        totalCents: {
+          get: (api) => api.price_cents * api.quantity,
+          set: (value, form) => ({ price_cents: Math.round(value / form.quantity) })
+        }
+      }
+    };
+
+    const api = { id: 1, first_name: 'Ada', last_name: 'King Lovelace', price_cents: 250, quantity: 4, status: 'open' };
+
+    test('should compute form fields from the whole API record', () => {
+      expect(new Mapper(config).normalize(api)).toEqual({
+        id: 1,
+        quantity: 4,
+        status: 'open',
+        fullName: 'Ada King Lovelace',
+        totalCents: 1000
+      });
+    });
+
+    test('should split computed fields back into API fields', () => {
+      const mapper = new Mapper(config);
+      const form = mapper.normalize(api);
+
+      expect(mapper.denormalize({ ...form, fullName: 'Grace Hopper' })).toEqual({
+        id: 1,
+        quantity: 4,
+        status: 'open',
+        first_name: 'Grace',
+        last_name: 'Hopper',
+        price_cents: 250
+      });
+      expect(mapper.buildPost({ fullName: 'Alan Turing', totalCents: 900, quantity: 3 })).toMatchObject({
+        first_name: 'Alan',
+        last_name: 'Turing',
+        price_cents: 300
+      });
+    });
+
+    test('should send every dependent API field when a computed field changes', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(api);
+
+      expect(mapper.buildPatch(initial, { ...initial, fullName: 'Ada Byron' })).toEqual({
+        first_name: 'Ada',
+        last_name: 'Byron'
+      });
+      expect(mapper.buildPatch(initial, { ...initial, status: 'closed' })).toEqual({ status: 'closed' });
+      expect(mapper.buildPatch(initial, { ...initial })).toBeNull();
+    });
+
+    test('should map computed changes in json-patch and merge-patch formats', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(api);
+      const current = { ...initial, totalCents: 1200 };
+
+      expect(mapper.diff(initial, current)).toEqual({ totalCents: 1200 });
+      expect(mapper.buildPatch(initial, current, { format: 'json-patch' })).toEqual([
+        { op: 'replace', path: '/price_cents', value: 300 }
+      ]);
+      expect(mapper.buildPatch(initial, current, { format: 'merge-patch' })).toEqual({ price_cents: 300 });
+    });
+
+    test('should respect profile field restrictions for computed fields', () => {
+      const mapper = new Mapper({ ...config, profiles: { patch: { forbiddenFields: ['totalCents'] } } });
+      const initial = mapper.normalize(api);
+
+      expect(mapper.buildPatch(initial, { ...initial, totalCents: 1200 })).toBeNull();
+    });
+
+    test('should wrap throwing computed getters in TransformError', () => {
+      const mapper = new Mapper({
+        apiToForm: { id: 'id' },
+        computed: { label: { get: (record) => record.name.toUpperCase() } }
+      });
+
+      expect(() => mapper.normalize({ id: 1 })).toThrow(TransformError);
+    });
+
+    test('should include computed fields in analysis and generated types', () => {
+      const mapper = new Mapper({ ...config, types: { totalCents: 'integer' } });
+
+      expect(mapper.analyze().issues).toEqual([]);
+      expect(mapper.generateTypes()).toContain('  totalCents?: number;');
+      expect(Mapper.analyze({ apiToForm: { name: 'fullName' }, computed: { fullName: { get: () => '' } } }).issues[0].code)
+        .toBe('collision');
+    });
+  });
+
+  describe('Fan-out and fan-in mappings', () => {
+    const config = {
+      apiToForm: { id: 'id', status: 'status' },
+      fanOut: {
+        address: {
+          fields: ['street', 'city', 'zip'],
+          split: (value) => {
+            const [street, city, zip] = value.split(', ');
+            return { street, city, zip };
+          },
+          join: (parts) => [parts.street, parts.city, parts.zip].join(', ')
+        }
+      },
+      fanIn: {
+        fullName: {
+          fields: ['first_name', 'last_name'],
+          join: (parts) => [parts.first_name, parts.last_name].filter(Boolean).join(' '),
+          split: (value) => {
+            const [first, ...rest] = value.split(' ');
+            return { first_name: first, last_name: rest.join(' ') };
+          }
+        }
+      }
+    };
+
+    const api = { id: 1, status: 'open', address: '1 Main St, Springfield, 12345', first_name: 'Ada', last_name: 'Lovelace' };
+
+    test('should split one API field into several form fields and join several into one', () => {
+      expect(new Mapper(config).normalize(api)).toEqual({
+        id: 1,
+        status: 'open',
+        street: '1 Main St',
+        city: 'Springfield',
+        zip: '12345',
+        fullName: 'Ada Lovelace'
+      });
+    });
+
+    test('should write composites back when denormalizing', () => {
+      const mapper = new Mapper(config);
+      const form = mapper.normalize(api);
+
+      expect(mapper.denormalize(form)).toEqual(api);
+      expect(mapper.buildPost({ street: '2 Elm St', city: 'Shelbyville', zip: '54321', fullName: 'Grace Hopper' }))
+        .toMatchObject({ address: '2 Elm St, Shelbyville, 54321', first_name: 'Grace', last_name: 'Hopper' });
+    });
+
+    test('should send the whole combined API field when one part changes', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(api);
+
+      expect(mapper.buildPatch(initial, { ...initial, city: 'Shelbyville' })).toEqual({
+        address: '1 Main St, Shelbyville, 12345'
+      });
+      expect(mapper.buildPatch(initial, { ...initial, fullName: 'Ada Byron' })).toEqual({
+        first_name: 'Ada',
+        last_name: 'Byron'
+      });
+      expect(mapper.buildPatch(initial, { ...initial, status: 'closed' })).toEqual({ status: 'closed' });
+      expect(mapper.buildPartial({ ...initial, zip: '99999' }, ['zip'])).toEqual({
+        address: '1 Main St, Springfield, 99999'
+      });
+    });
+
+    test('should rejoin a fan-out field when a part is cleared', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(api);
+      const { zip, ...current } = initial;
+
+      expect(mapper.buildPatch(initial, current)).toEqual({ address: '1 Main St, Springfield, ' });
+    });
+
+    test('should map composite changes in json-patch and merge-patch formats', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(api);
+      const current = { ...initial, street: '9 Oak Ave' };
+
+      expect(mapper.buildPatch(initial, current, { format: 'json-patch' })).toEqual([
+        { op: 'replace', path: '/address', value: '9 Oak Ave, Springfield, 12345' }
+      ]);
+      expect(mapper.buildPatch(initial, current, { format: 'merge-patch' })).toEqual({
+        address: '9 Oak Ave, Springfield, 12345'
+      });
+    });
+
+    test('should wrap throwing split functions in TransformError', () => {
+      const mapper = new Mapper(config);
+
+      expect(() => mapper.normalize({ ...api, address: 42 })).toThrow(TransformError);
+    });
+
+    test('should include composites in analysis and generated types', () => {
+      const mapper = new Mapper({ ...config, types: { zip: 'string' } });
+
+      expect(mapper.analyze().issues).toEqual([]);
+      expect(mapper.generateTypes()).toContain('  zip?: string;');
+      expect(mapper.generateTypes()).toContain('  first_name?: unknown;');
+      expect(Mapper.analyze({
+        apiToForm: { city: 'city' },
+        fanOut: { address: { fields: ['city'], split: () => ({}), join: () => '' } }
+      }).issues[0].code).toBe('collision');
+    });
+  });
+
+  describe('Discriminated variants', () => {
+    const config = {
+      apiToForm: { id: 'id', type: 'type', amount: 'amount' },
+      types: { amount: 'decimal' },
+      discriminator: 'type',
+      variants: {
+        card: {
+          apiToForm: { card: { last4: 'cardLast4', brand: 'cardBrand' } },
+          types: { cardLast4: 'string' }
+        },
+        bank: {
+          apiToForm: { bank_account: { iban: 'iban' } },
+          validator: { iban: { required: true } }
+        },
+        wallet: {
+          apiToForm: { wallet_id: 'walletId' },
+          defaults: { walletId: 'default' }
+        }
+      }
+    };
+
+    const card = { id: 1, type: 'card', amount: 12.5, card: { last4: '4242', brand: 'visa' } };
+
+    test('should pick the mapping from the API discriminator on normalize', () => {
+      const mapper = new Mapper(config);
+
+      expect(mapper.normalize(card)).toEqual({ id: 1, type: 'card', amount: 12.5, cardLast4: '4242', cardBrand: 'visa' });
+      expect(mapper.normalize({ id: 2, type: 'bank', amount: 3, bank_account: { iban: 'DE89' }, card: { last4: '1' } }))
+        .toEqual({ id: 2, type: 'bank', amount: 3, iban: 'DE89' });
+      expect(mapper.normalize({ id: 3, type: 'wallet' })).toEqual({ id: 3, type: 'wallet', walletId: 'default' });
+    });
+
+    test('should fall back to the base mapping for unknown discriminator values', () => {
+      const mapper = new Mapper(config);
+
+      expect(mapper.normalize({ id: 4, type: 'crypto', amount: 1, address: '0x0' })).toEqual({ id: 4, type: 'crypto', amount: 1 });
+      expect(mapper.getVariant({ type: 'crypto' })).toBeNull();
+      expect(mapper.getVariant({ type: 'card' })).toBeInstanceOf(Mapper);
+      expect(mapper.getVariant({ type: 'card' }, 'api')).toBe(mapper.getVariant({ type: 'card' }));
+    });
+
+    test('should pick the mapping from the form discriminator on denormalize', () => {
+      const mapper = new Mapper(config);
+
+      expect(mapper.denormalize({ id: 2, type: 'bank', amount: 3, iban: 'DE89', cardLast4: '4242' }))
+        .toEqual({ id: 2, type: 'bank', amount: 3, bank_account: { iban: 'DE89' } });
+      expect(mapper.buildPost({ type: 'wallet', amount: 1 })).toMatchObject({ type: 'wallet', wallet_id: 'default' });
+    });
+
+    test('should build a minimal PATCH within a variant', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(card);
+
+      expect(mapper.buildPatch(initial, { ...initial, cardBrand: 'amex' })).toEqual({ card: { brand: 'amex' } });
+      expect(mapper.buildPatch(initial, { ...initial })).toBeNull();
+    });
+
+    test('should send a full replacement payload when the type switches', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(card);
+      const current = { id: 1, type: 'bank', amount: 12.5, iban: 'DE89' };
+
+      expect(mapper.buildPatch(initial, current)).toEqual({
+        id: 1,
+        type: 'bank',
+        amount: 12.5,
+        bank_account: { iban: 'DE89' }
+      });
+      expect(mapper.buildPatch(initial, current, { format: 'json-patch' })).toEqual([
+        { op: 'replace', path: '', value: { id: 1, type: 'bank', amount: 12.5, bank_account: { iban: 'DE89' } } }
+      ]);
+    });
+
+    test('should validate the replacement with the new variant validator', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(card);
+
+      expect(() => mapper.buildPatch(initial, { id: 1, type: 'bank', amount: 12.5 })).toThrow(ValidationError);
+      expect(mapper.validate({ type: 'bank' }).valid).toBe(false);
+      expect(mapper.validate({ type: 'card' }).valid).toBe(true);
+    });
+
+    test('should reject a discriminator that is not mapped', () => {
+      expect(() => new Mapper({ apiToForm: { id: 'id' }, discriminator: 'type', variants: {} }))
+        .toThrow(MapperConfigError);
+    });
+
+    test('should keep variants when cloning and exporting config', () => {
+      const mapper = new Mapper(config).clone({ options: { patchFormat: 'json-patch' } });
+
+      expect(mapper.normalize(card).cardLast4).toBe('4242');
+      expect(mapper.getConfig()).toMatchObject({ discriminator: 'type', variants: { wallet: { defaults: { walletId: 'default' } } } });
+    });
+
+    test('should analyze and round-trip each variant with its own mapping', () => {
+      const mapper = new Mapper(config);
+
+      expect(mapper.analyze().issues).toEqual([]);
+      expect(mapper.verifyRoundTrip([card, { id: 2, type: 'bank', amount: 3, bank_account: { iban: 'DE89' } }]).valid)
+        .toBe(true);
+
+      const { issues } = Mapper.analyze({
+        apiToForm: { type: 'type' },
+        discriminator: 'type',
+        variants: { card: { apiToForm: { last4: 'type' } } }
+      });
+      expect(issues.map(issue => issue.code)).toEqual(['collision']);
+      expect(issues[0].message).toMatch(/^Variant "card": /);
+    });
+  });
+
+  describe('Path expressions', () => {
+    test('should parse indices, quoted keys, escapes and wildcards', () => {
+      expect(parsePath('items[0].name')).toEqual(['items', 0, 'name']);
+      expect(parsePath('meta["a.b"].c')).toEqual(['meta', 'a.b', 'c']);
+      expect(parsePath("meta['it\\'s']")).toEqual(['meta', "it's"]);
+      expect(parsePath('a\\.b.c')).toEqual(['a.b', 'c']);
+      expect(parsePath('items[*].price')).toEqual(['items', WILDCARD, 'price']);
+      expect(parsePath('rates.*')).toEqual(['rates', WILDCARD]);
+      expect(parsePath('\\*')).toEqual(['*']);
+    });
+
+    test('should format segments back into canonical paths', () => {
+      expect(formatPath(['items', 0, 'name'])).toBe('items[0].name');
+      expect(formatPath(['meta', 'a.b', 'c"d'])).toBe('meta["a.b"].c"d');
+      expect(formatPath(['say "hi".'])).toBe('["say \\"hi\\"."]');
+      expect(formatPath(['items', WILDCARD, '*'])).toBe('items[*]["*"]');
+      expect(joinPath('', 'a.b')).toBe('["a.b"]');
+      expect(joinPath('items', 2, 'sku')).toBe('items[2].sku');
+      expect(parsePath(formatPath(['x', 'a[b]', 'back\\slash']))).toEqual(['x', 'a[b]', 'back\\slash']);
+    });
+
+    test('should reject malformed paths with MapperConfigError', () => {
+      for (const path of ['a..b', 'a.', 'items[x]', 'items[0]name', 'a]', 'meta["open', 'items[1']) {
+        expect(() => parsePath(path)).toThrow(MapperConfigError);
+      }
+    });
+
+    test('should match patterns and expand wildcards', () => {
+      const form = { items: [{ qty: 1 }, { qty: 2 }, { note: 'x' }], rates: { usd: 1, eur: 2 } };
+
+      expect(matchPath('items[*].qty', 'items[1].qty')).toBe(true);
+      expect(matchPath('items[*].qty', 'items.1.qty')).toBe(true);
+      expect(matchPath('items[*]', 'items[1].qty')).toBe(false);
+      expect(matchPath('items[*]', 'items[1].qty', { prefix: true })).toBe(true);
+      expect(expandPath(form, 'items[*].qty')).toEqual(['items[0].qty', 'items[1].qty']);
+      expect(expandPath(form, 'rates.*')).toEqual(['rates.usd', 'rates.eur']);
+    });
+
+    test('should get, set and unset values with the shared grammar', () => {
+      const data = { items: [{ price: 1 }, { price: 2 }], meta: { 'a.b': 'dotted' } };
+
+      expect(getNestedValue(data, 'items[1].price')).toBe(2);
+      expect(getNestedValue(data, 'meta["a.b"]')).toBe('dotted');
+      expect(getNestedValue(data, 'items[*].price')).toEqual([1, 2]);
+
+      setNestedValue(data, 'items[*].currency', 'EUR');
+      setNestedValue(data, 'tags[1]', 'b');
+      expect(data.items).toEqual([{ price: 1, currency: 'EUR' }, { price: 2, currency: 'EUR' }]);
+      expect(data.tags).toEqual([undefined, 'b']);
+
+      unsetNestedValue(data, 'items[*].currency');
+      unsetNestedValue(data, 'items[0]');
+      expect(data.items).toEqual([{ price: 2 }]);
+    });
+
+    test('should read and write mapping keys that contain dots', () => {
+      const mapper = new Mapper({
+        apiToForm: { '["@odata.etag"]': 'etag', 'meta.version': 'version', name: '["display.name"]' }
+      });
+      const api = { '@odata.etag': 'W/"1"', meta: { version: 3 }, name: 'Ada' };
+      const form = mapper.normalize(api);
+
+      expect(form).toEqual({ etag: 'W/"1"', version: 3, 'display.name': 'Ada' });
+      expect(mapper.denormalize(form)).toEqual(api);
+    });
+
+    test('should write index paths as array items, not bracket keys', () => {
+      const mapper = new Mapper({ apiToForm: { 'tags[0]': 'firstTag', name: 'name' } });
+      const form = mapper.normalize({ tags: ['a'], name: 'Ada' });
+
+      expect(form).toEqual({ firstTag: 'a', name: 'Ada' });
+      expect(mapper.denormalize({ ...form, firstTag: 'z' })).toStrictEqual({ tags: ['z'], name: 'Ada' });
+      expect(mapper.buildPatch(form, { ...form, firstTag: 'z' })).toStrictEqual({ tags: ['z'] });
+    });
+
+    test('should report array item changes structurally instead of as bracket keys', () => {
+      const original = { tags: ['a', 'b'], meta: { 'a.b': 1 } };
+      const current = { tags: ['a', 'c'], meta: { 'a.b': 2 } };
+
+      const changes = diff(original, current);
+      expect(Object.keys(changes)).toEqual(['tags', 'meta']);
+      expect(changes.tags[1]).toBe('c');
+      expect(getChangedPaths(original, current)).toEqual(['tags', 'meta["a.b"]']);
+    });
+
+    test('should accept wildcards in ignoreFields and arrayKey maps', () => {
+      const original = { items: [{ id: 1, qty: 1, seen: 1 }, { id: 2, qty: 1, seen: 1 }] };
+      const current = { items: [{ id: 1, qty: 1, seen: 2 }, { id: 2, qty: 5, seen: 2 }] };
+
+      const changes = diff(original, current, { ignoreFields: ['items[*].seen'] });
+      expect(changes.items[1]).toEqual({ qty: 5 });
+      expect(changes.items[0]).toBeUndefined();
+
+      const orders = { orders: [{ lines: [{ sku: 'a', qty: 1 }] }] };
+      const edited = { orders: [{ lines: [{ sku: 'a', qty: 2 }] }] };
+      expect(diff(orders, edited, { arrayKey: { 'orders[*].lines': 'sku' } }).orders[0].lines.updated)
+        .toEqual([{ key: 'a', index: 0, changes: { qty: 2 } }]);
+    });
+
+    test('should build partial payloads from nested and wildcard field paths', () => {
+      const mapper = new Mapper({
+        apiToForm: {
+          contact: { email_address: 'contact.email', phone: 'contact.phone' },
+          line_items: [{ sku_code: 'sku', qty: 'quantity' }, 'items']
+        }
+      });
+      const form = {
+        contact: { email: 'a@example.com', phone: '555' },
+        items: [{ sku: 'A', quantity: 1 }, { sku: 'B', quantity: 2 }]
+      };
+
+      expect(mapper.buildPartial(form, ['contact.email'])).toEqual({ contact: { email_address: 'a@example.com' } });
+      expect(mapper.buildPartial(form, ['items[*].quantity'])).toEqual({ line_items: [{ qty: 1 }, { qty: 2 }] });
+    });
+
+    test('should validate every match of a wildcard rule', () => {
+      const result = validate(
+        { items: [{ qty: 1 }, { qty: 0 }, { qty: 3 }] },
+        { 'items[*].qty': { min: 1 } }
+      );
+
+      expect(result.errors).toEqual({ 'items[1].qty': ['must be at least 1'] });
+    });
+
+    test('should restrict payloads with wildcard profile fields', () => {
+      const mapper = new Mapper({
+        apiToForm: { line_items: [{ sku_code: 'sku', qty: 'quantity', cost: 'cost' }, 'items'] },
+        profiles: { post: { forbiddenFields: ['items[*].cost'] } }
+      });
+
+      expect(mapper.buildPost({ items: [{ sku: 'A', quantity: 1, cost: 9 }] }))
+        .toStrictEqual({ line_items: [{ sku_code: 'A', qty: 1 }] });
+    });
+
+    test('should report unparsable mapping paths in analysis', () => {
+      const { issues } = Mapper.analyze({ apiToForm: { 'items[x]': 'items', name: 'a..b' } });
+
+      expect(issues.map(issue => issue.code)).toEqual(['invalid-path', 'invalid-path']);
+    });
+
+    test('should reject wildcard mapping paths, which cannot be written back', () => {
+      expect(() => new Mapper({ apiToForm: { 'items[*].price': 'prices' } })).toThrow(MapperConfigError);
+      expect(() => new Mapper({ apiToForm: { items: 'items' }, formToApi: { prices: 'items[*].price' } }))
+        .toThrow(/Wildcard path "items\[\*\]\.price"/);
+      expect(() => new Mapper({
+        apiToForm: { line_items: [{ price: 'price' }, 'lines'] },
+        profiles: { patch: { formToApi: { 'lines[*].price': 'line_items[*].price' } } }
+      })).toThrow(MapperConfigError);
+
+      const { valid, issues } = Mapper.analyze({ apiToForm: { 'items[*].price': 'prices', name: 'name' } });
+      expect(valid).toBe(false);
+      expect(issues).toEqual([
+        expect.objectContaining({ severity: 'error', code: 'invalid-path', path: 'items[*].price' })
+      ]);
+    });
+  });
+
+  describe('Three-way merge', () => {
+    const config = {
+      apiToForm: {
+        title: 'title',
+        status: 'status',
+        meta: { owner: 'owner', priority: 'priority' },
+        tags: 'tags'
+      }
+    };
+
+    const server = { title: 'Draft', status: 'open', meta: { owner: 'ann', priority: 1 }, tags: ['a'] };
+
+    test('should take changes from whichever side made them', () => {
+      const mapper = new Mapper(config);
+      const base = mapper.normalize(server);
+      const mine = { ...base, title: 'Final' };
+      const theirs = { ...server, status: 'closed', meta: { owner: 'bob', priority: 1 } };
+
+      const { merged, conflicts } = mapper.merge(base, mine, theirs);
+
+      expect(merged).toEqual({ title: 'Final', status: 'closed', owner: 'bob', priority: 1, tags: ['a'] });
+      expect(conflicts).toEqual([]);
+    });
+
+    test('should report fields both sides changed and keep mine by default', () => {
+      const mapper = new Mapper(config);
+      const base = mapper.normalize(server);
+      const mine = { ...base, title: 'Mine', tags: ['a', 'b'] };
+      const theirs = { ...server, title: 'Theirs', tags: ['c'] };
+
+      const { merged, conflicts } = mapper.merge(base, mine, theirs);
+
+      expect(merged.title).toBe('Mine');
+      expect(merged.tags).toEqual(['a', 'b']);
+      expect(conflicts).toEqual([
+        { path: 'title', base: 'Draft', mine: 'Mine', theirs: 'Theirs' },
+        { path: 'tags', base: ['a'], mine: ['a', 'b'], theirs: ['c'] }
+      ]);
+    });
+
+    test('should not conflict when both sides made the same change', () => {
+      const mapper = new Mapper(config);
+      const base = mapper.normalize(server);
+
+      const { merged, conflicts } = mapper.merge(base, { ...base, status: 'closed' }, { ...server, status: 'closed' });
+
+      expect(merged.status).toBe('closed');
+      expect(conflicts).toEqual([]);
+    });
+
+    test('should resolve conflicts with a strategy or per-field resolvers', () => {
+      const mapper = new Mapper(config);
+      const base = mapper.normalize(server);
+      const mine = { ...base, title: 'Mine', status: 'review', tags: ['a', 'b'] };
+      const theirs = { ...server, title: 'Theirs', status: 'closed', tags: ['c'] };
+
+      const { merged } = mapper.merge(base, mine, theirs, {
+        strategy: 'theirs',
+        resolvers: {
+          tags: conflict => [...new Set([...conflict.mine, ...conflict.theirs])],
+          status: 'mine'
+        }
+      });
+
+      expect(merged).toEqual({ title: 'Theirs', status: 'review', owner: 'ann', priority: 1, tags: ['a', 'b', 'c'] });
+      expect(() => mapper.merge(base, mine, theirs, { strategy: 'newest' })).toThrow(MapperConfigError);
+    });
+
+    test('should merge nested form objects key by key', () => {
+      const base = { address: { city: 'Paris', zip: '75001' }, note: 'x' };
+      const mine = { address: { city: 'Lyon', zip: '75001' }, note: 'x' };
+      const theirs = { address: { city: 'Paris', zip: '69001' } };
+
+      expect(mergeForms(base, mine, theirs)).toEqual({
+        merged: { address: { city: 'Lyon', zip: '69001' } },
+        conflicts: []
+      });
+    });
+
+    test('should keep form fields the mapping does not cover', () => {
+      const mapper = new Mapper(config);
+      const base = { ...mapper.normalize(server), uiExpanded: false };
+
+      const { merged } = mapper.merge(base, { ...base, uiExpanded: true }, server);
+
+      expect(merged.uiExpanded).toBe(true);
+    });
+
+    test('should refuse to patch fields that changed on the server', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(server);
+      const current = { ...initial, title: 'Mine', priority: 2 };
+      const latest = { ...server, title: 'Theirs', status: 'closed' };
+
+      let error;
+      try {
+        mapper.buildPatch(initial, current, { latest });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ConflictError);
+      expect(error.formPath).toBe('title');
+      expect(error.conflicts).toEqual([{ path: 'title', base: 'Draft', mine: 'Mine', theirs: 'Theirs' }]);
+
+      expect(mapper.buildPatch(initial, current, { latest, onConflict: 'skip' })).toEqual({ meta: { priority: 2 } });
+      expect(mapper.buildPatch(initial, current, { latest: server })).toEqual({ title: 'Mine', meta: { priority: 2 } });
+    });
+  });
+
+  describe('Concurrency tokens', () => {
+    const config = {
+      apiToForm: { title: 'title', status: 'status', meta: { version: 'version' } },
+      concurrency: 'meta.version'
+    };
+
+    const server = { title: 'Draft', status: 'open', meta: { version: 3 } };
+
+    test('should send the loaded token with every PATCH', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(server);
+
+      expect(mapper.buildPatch(initial, { ...initial, title: 'Final' })).toEqual({ title: 'Final', meta: { version: 3 } });
+      expect(mapper.buildPatch(initial, { ...initial })).toBeNull();
+    });
+
+    test('should keep a numeric-string token exactly as the API sent it', () => {
+      const mapper = new Mapper(config);
+      const record = { ...server, meta: { version: '12' } };
+      const initial = mapper.normalize(record);
+
+      expect(initial.version).toBe('12');
+      expect(mapper.isStale(initial, record)).toBe(false);
+      expect(mapper.isStale(initial, { ...record, meta: { version: '13' } })).toBe(true);
+      expect(mapper.buildPatch(initial, { ...initial, title: 'Final' })).toStrictEqual({
+        title: 'Final',
+        meta: { version: '12' }
+      });
+      expect(mapper.getIfMatch(initial)).toBe('"12"');
+    });
+
+    test('should not count a token change as a form change', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(server);
+      const refreshed = { ...initial, version: 4 };
+
+      expect(mapper.hasChanges(initial, refreshed)).toBe(false);
+      expect(mapper.hasChanges(initial, { ...refreshed, status: 'closed' })).toBe(true);
+      expect(mapper.buildPatch(initial, refreshed)).toBeNull();
+    });
+
+    test('should guard JSON Patch operations with a test operation', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(server);
+
+      expect(mapper.buildPatch(initial, { ...initial, status: 'closed' }, { format: 'json-patch' })).toEqual([
+        { op: 'test', path: '/meta/version', value: 3 },
+        { op: 'replace', path: '/status', value: 'closed' }
+      ]);
+    });
+
+    test('should always include the token in PUT payloads', () => {
+      const mapper = new Mapper({
+        apiToForm: { title: 'title', version: 'version' },
+        profiles: { put: { forbiddenFields: ['version'] } },
+        concurrency: 'version'
+      });
+
+      expect(mapper.buildPut({ title: 'Final', version: 7 })).toEqual({ title: 'Final', version: 7 });
+    });
+
+    test('should expose the token as If-Match instead of the body', () => {
+      const mapper = new Mapper({ ...config, concurrency: { field: 'meta.version', ifMatch: true } });
+      const initial = mapper.normalize(server);
+
+      expect(mapper.buildPatch(initial, { ...initial, title: 'Final' })).toEqual({ title: 'Final' });
+      expect(mapper.buildPut(initial)).not.toHaveProperty('meta.version');
+      expect(mapper.getIfMatch(initial)).toBe('"3"');
+      expect(mapper.getIfMatch({ title: 'New' })).toBeNull();
+
+      const etagMapper = new Mapper({ apiToForm: { etag: 'etag', name: 'name' }, concurrency: 'etag' });
+      expect(etagMapper.getIfMatch({ etag: 'W/"abc"' })).toBe('W/"abc"');
+    });
+
+    test('should detect a version mismatch against a fresh response', () => {
+      const mapper = new Mapper(config);
+      const initial = mapper.normalize(server);
+
+      expect(mapper.isStale(initial, server)).toBe(false);
+      expect(mapper.isStale(initial, { ...server, meta: { version: 4 } })).toBe(true);
+      expect(() => new Mapper({ apiToForm: { a: 'a' } }).isStale({}, {})).toThrow(MapperConfigError);
+    });
+
+    test('should require the token field to be mapped', () => {
+      expect(() => new Mapper({ ...config, concurrency: 'etag' })).toThrow(MapperConfigError);
+      expect(analyzeConfig({ apiToForm: { a: 'a' }, concurrency: { field: 'etag' } }).issues).toEqual([
+        expect.objectContaining({ code: 'invalid-mapping', path: 'etag' })
+      ]);
+    });
+  });
+
+  describe('Field access flags', () => {
+    const config = {
+      apiToForm: {
+        id: 'id',
+        created_at: 'createdAt',
+        name: 'name',
+        email: 'email',
+        password: 'password'
+      },
+      access: {
+        id: 'readOnly',
+        createdAt: 'readOnly',
+        password: 'writeOnly',
+        email: 'immutable'
+      }
+    };
+
+    const server = { id: 7, created_at: '2024-01-01', name: 'Ann', email: 'ann@example.com', password: 'hash' };
+
+    test('should never send read-only fields', () => {
+      const mapper = new Mapper(config);
+      const form = mapper.normalize(server);
+
+      expect(mapper.buildPost({ ...form, password: 'secret' }))
+        .toStrictEqual({ name: 'Ann', email: 'ann@example.com', password: 'secret' });
+      expect(mapper.buildPatch(form, { ...form, id: 8, name: 'Bo' })).toStrictEqual({ name: 'Bo' });
+      expect(mapper.buildPartial(form, ['id', 'name'])).toStrictEqual({ name: 'Ann' });
+    });
+
+    test('should not read write-only fields back into the form', () => {
+      const mapper = new Mapper(config);
+
+      expect(mapper.normalize(server)).not.toHaveProperty('password');
+      expect(mapper.clone({ defaults: { password: '' } }).normalize(server).password).toBe('');
+    });
+
+    test('should send write-only and immutable fields on create only', () => {
+      const mapper = new Mapper(config);
+      const form = { ...mapper.normalize(server), password: 'secret' };
+
+      expect(mapper.buildPut({ ...form, email: 'new@example.com' })).toStrictEqual({ name: 'Ann' });
+      expect(mapper.buildPatch(form, { ...form, email: 'new@example.com', password: 'other' })).toBeNull();
+    });
+
+    test('should throw on a changed immutable field in strict mode', () => {
+      const mapper = new Mapper({ ...config, options: { strictAccess: true } });
+      const form = mapper.normalize(server);
+
+      let error;
+      try {
+        mapper.buildPatch(form, { ...form, email: 'new@example.com', name: 'Bo' });
+      } catch (e) {
+        error = e;
+      }
+
+      expect(error).toBeInstanceOf(ValidationError);
+      expect(error.formPath).toBe('email');
+      expect(error.errors).toEqual({ email: ['is immutable'] });
+      expect(mapper.buildPatch(form, { ...form, name: 'Bo' })).toEqual({ name: 'Bo' });
+      expect(() => new Mapper(config).buildPatch(form, { ...form, email: 'x@example.com' }, { strictAccess: true }))
+        .toThrow('Immutable fields cannot be changed: email');
+    });
+
+    test('should keep item fields in arrays that are sent whole', () => {
+      const mapper = new Mapper({
+        apiToForm: { lines: [{ id: 'id', sku: 'sku', qty: 'qty', pin: 'pin' }, 'lines'] },
+        access: { 'lines[*].id': 'readOnly', 'lines[*].sku': 'immutable', 'lines[*].pin': 'writeOnly' },
+        options: { strictAccess: true }
+      });
+      const initial = mapper.normalize({ lines: [{ id: 1, sku: 'A', qty: 1, pin: '0000' }] });
+
+      expect(initial).toStrictEqual({ lines: [{ id: 1, sku: 'A', qty: 1 }] });
+      expect(mapper.buildPatch(initial, { lines: [{ id: 1, sku: 'A', qty: 2 }] }))
+        .toStrictEqual({ lines: [{ id: 1, sku: 'A', qty: 2 }] });
+      expect(mapper.buildPut({ lines: [{ id: 1, sku: 'A', qty: 2, pin: '1234' }] }))
+        .toStrictEqual({ lines: [{ id: 1, sku: 'A', qty: 2 }] });
+      expect(mapper.buildPost({ lines: [{ id: 1, sku: 'A', qty: 2, pin: '1234' }] }))
+        .toStrictEqual({ lines: [{ sku: 'A', qty: 2, pin: '1234' }] });
+      expect(() => mapper.buildPatch(initial, { lines: [{ id: 1, sku: 'B', qty: 1 }] })).toThrow('lines[0].sku');
+    });
+
+    test('should reject unknown flags and report unmapped fields', () => {
+      expect(() => new Mapper({ apiToForm: { a: 'a' }, access: { a: 'hidden' } })).toThrow(MapperConfigError);
+      expect(analyzeConfig({ apiToForm: { a: 'a' }, access: { b: 'readOnly' } }).issues).toEqual([
+        expect.objectContaining({ severity: 'warning', code: 'unknown-access-field', path: 'b' })
+      ]);
+    });
+  });
+
+  describe('Form sessions', () => {
+    const mapper = new Mapper({
+      apiToForm: {
+        title: 'title',
+        contact: { email: 'email', phone: 'phone' },
+        tags: 'tags',
+        settings: 'settings'
+      }
+    });
+
+    const record = {
+      title: 'Draft',
+      contact: { email: 'a@example.com', phone: '555' },
+      tags: ['a'],
+      settings: { theme: 'dark', layout: { columns: 2 } }
+    };
+
+    test('should record edits and undo or redo them', () => {
+      const session = mapper.createSession(record);
+
+      session.set('title', 'One');
+      session.set('email', 'b@example.com');
+      expect(session.history).toHaveLength(2);
+      expect(session.history[1].changes).toEqual({ email: 'b@example.com' });
+
+      expect(session.undo()).toMatchObject({ title: 'One', email: 'a@example.com' });
+      expect(session.undo()).toEqual(session.initial);
+      expect(session.canUndo()).toBe(false);
+      expect(session.undo()).toEqual(session.initial);
+
+      expect(session.redo().title).toBe('One');
+      expect(session.canRedo()).toBe(true);
+      session.set('title', 'Two');
+      expect(session.canRedo()).toBe(false);
+      expect(session.get('title')).toBe('Two');
+    });
+
+    test('should group edits in a transaction', () => {
+      const session = mapper.createSession(record);
+
+      const result = session.transaction(s => {
+        s.set('title', 'Final');
+        s.set('tags', ['a', 'b']);
+        return 'done';
+      }, 'publish');
+
+      expect(result).toBe('done');
+      expect(session.history).toEqual([
+        { label: 'publish', changes: { title: 'Final', tags: ['a', 'b'] }, inverse: { title: 'Draft', tags: ['a'] } }
+      ]);
+      expect(session.undo()).toEqual(session.initial);
+    });
+
+    test('should roll back a transaction that throws', () => {
+      const session = mapper.createSession(record);
 
-      const changes = diff(original, current);
+      expect(() => session.transaction(s => {
+        s.set('title', 'Half');
+        throw new Error('abort');
+      })).toThrow('abort');
 
-      expect(changes).toEqual({
-        email: 'newemail@example.com',
-        age: 31
+      expect(session.current).toBe(session.initial);
+      expect(session.history).toEqual([]);
+    });
+
+    test('should expose the PATCH and changes since load', () => {
+      const session = mapper.createSession(record);
+
+      expect(session.buildPatch()).toBeNull();
+      session.update({ ...session.current, phone: '777', title: 'New' });
+
+      expect(session.hasChanges()).toBe(true);
+      expect(session.getChangedPaths()).toEqual(['title', 'phone']);
+      expect(session.diff()).toEqual({ title: 'New', phone: '777' });
+      expect(session.buildPatch()).toEqual({ title: 'New', contact: { phone: '777' } });
+      expect(session.buildPatch({ format: 'json-patch' })).toHaveLength(2);
+    });
+
+    test('should share unchanged branches between states', () => {
+      const session = mapper.createSession(record);
+      const before = session.current;
+
+      const after = session.set('settings.theme', 'light');
+
+      expect(after).not.toBe(before);
+      expect(after.settings).not.toBe(before.settings);
+      expect(after.settings.layout).toBe(before.settings.layout);
+      expect(after.tags).toBe(before.tags);
+      expect(before.settings.theme).toBe('dark');
+
+      const updated = session.update({ ...after, title: 'Other' });
+      expect(updated.settings).toBe(after.settings);
+    });
+
+    test('should set wildcard paths and cap the history', () => {
+      const session = mapper.createSession({ ...record, settings: { rows: [{ on: false }, { on: false }] } }, { limit: 2 });
+
+      session.set('settings.rows[*].on', true);
+      expect(session.get('settings.rows')).toEqual([{ on: true }, { on: true }]);
+
+      session.set('title', 'A');
+      session.set('title', 'B');
+      expect(session.history).toHaveLength(2);
+    });
+
+    test('should reset to a fresh record', () => {
+      const session = mapper.createSession(record);
+      session.set('title', 'Edited');
+
+      expect(session.reset()).toBe(session.initial);
+      session.set('title', 'Saved');
+      session.reset({ ...record, title: 'Saved' });
+
+      expect(session.current.title).toBe('Saved');
+      expect(session.hasChanges()).toBe(false);
+      expect(session.canUndo()).toBe(false);
+    });
+
+    test('should replace date fields whole on undo, redo and update', () => {
+      const dated = new Mapper({
+        apiToForm: { title: 'title', due_on: 'due' },
+        types: { due: 'date' }
+      });
+      const session = dated.createSession({ title: 'Draft', due_on: '2024-03-01' });
+
+      session.set('due', new Date('2024-04-15T00:00:00Z'));
+      expect(session.undo().due).toEqual(new Date('2024-03-01T00:00:00Z'));
+      expect(session.redo().due).toEqual(new Date('2024-04-15T00:00:00Z'));
+
+      session.update({ ...session.current, due: new Date('2024-05-20T00:00:00Z') });
+      expect(session.current.due).toBeInstanceOf(Date);
+      expect(session.buildPatch()).toEqual({ due_on: '2024-05-20' });
+
+      session.undo();
+      expect(session.current.due).toEqual(new Date('2024-04-15T00:00:00Z'));
+      expect(session.buildPatch()).toEqual({ due_on: '2024-04-15' });
+    });
+  });
+
+  describe('Field tracking', () => {
+    const mapper = new Mapper({
+      apiToForm: {
+        name: 'name',
+        address: { city: 'city', zip: 'zip' },
+        lines: [{ id: 'id', qty: 'qty' }, 'lines']
+      }
+    });
+
+    const record = { name: 'Ann', address: { city: 'Paris', zip: '75001' }, lines: [{ id: 1, qty: 1 }, { id: 2, qty: 5 }] };
+
+    test('should flag updated fields dirty and touched', () => {
+      const tracker = mapper.createTracker(record);
+
+      expect(tracker.isDirty()).toBe(false);
+      tracker.set('city', 'Lyon');
+
+      expect(tracker.getFieldState('city')).toEqual({
+        value: 'Lyon',
+        initialValue: 'Paris',
+        dirty: true,
+        pristine: false,
+        touched: true
       });
+      expect(tracker.isPristine('zip')).toBe(true);
+      expect(tracker.isTouched('zip')).toBe(false);
+      expect(tracker.getDirtyPaths()).toEqual(['city']);
     });
 
-    test('should return empty object when no changes', () => {
-      const original = { username: 'john_doe', email: 'john@example.com' };
-      const current = { username: 'john_doe', email: 'john@example.com' };
+    test('should mark a field clean again when it gets its initial value back', () => {
+      const tracker = mapper.createTracker(record);
 
-      const changes = diff(original, current);
+      tracker.set('city', 'Lyon');
+      tracker.set('city', 'Paris');
 
-      expect(changes).toEqual({});
+      expect(tracker.isDirty('city')).toBe(false);
+      expect(tracker.isTouched('city')).toBe(true);
+      expect(tracker.getDirtyPaths()).toEqual([]);
+      expect(tracker.buildPatch()).toBeNull();
     });
 
-    test('should detect nested changes', () => {
-      const original = {
-        user: {
-          name: 'John',
-          contact: {
-            email: 'john@example.com'
-          }
-        }
-      };
+    test('should track nested and parent paths consistently', () => {
+      const tracker = mapper.createTracker(record);
 
-      const current = {
-        user: {
-          name: 'John',
-          contact: {
-            email: 'newemail@example.com'
-          }
-        }
-      };
+      tracker.set('lines', [{ id: 1, qty: 2 }, { id: 2, qty: 5 }]);
+      expect(tracker.isDirty('lines[0].qty')).toBe(true);
+      expect(tracker.isDirty('lines[1].qty')).toBe(false);
+
+      tracker.set('lines[0].qty', 1);
+      expect(tracker.isDirty('lines')).toBe(false);
+      expect(tracker.getDirtyPaths()).toEqual([]);
+
+      tracker.set('lines[*].qty', 9);
+      expect(tracker.getDirtyPaths()).toEqual(['lines[0].qty', 'lines[1].qty']);
+      expect(tracker.isDirty('lines')).toBe(true);
+    });
+
+    test('should build the PATCH from the dirty paths only', () => {
+      const tracker = mapper.createTracker(record);
+
+      tracker.set('name', 'Bo');
+      tracker.set('zip', '69001');
+
+      expect(tracker.buildPatch()).toEqual({ name: 'Bo', address: { zip: '69001' } });
+      expect(tracker.buildPatch({ format: 'json-patch' })).toEqual([
+        { op: 'replace', path: '/name', value: 'Bo' },
+        { op: 'replace', path: '/address/zip', value: '69001' }
+      ]);
+    });
+
+    test('should send the whole array when one item is edited', () => {
+      const tracker = mapper.createTracker(record);
+
+      tracker.set('lines[0].qty', 5);
+
+      expect(tracker.getDirtyPaths()).toEqual(['lines[0].qty']);
+      expect(tracker.buildPatch()).toEqual({ lines: [{ id: 1, qty: 5 }, { id: 2, qty: 5 }] });
+      expect(tracker.buildPatch()).toEqual(mapper.buildPatch(tracker.initial, tracker.current));
+    });
+
+    test('should not read fields outside the changed paths', () => {
+      const initial = { name: 'Ann', huge: { a: 1 } };
+      const current = { name: 'Bo', huge: { a: 2 } };
+
+      expect(mapper.buildPatch(initial, current, { changedPaths: ['name'] })).toEqual({ name: 'Bo' });
+      expect(mapper.buildPatch(initial, current, { changedPaths: [] })).toBeNull();
+    });
+
+    test('should keep touch flags separate from values', () => {
+      const tracker = mapper.createTracker(record);
+
+      tracker.touch('lines');
+      expect(tracker.isTouched('lines[1].qty')).toBe(true);
+      expect(tracker.isTouched()).toBe(true);
+      expect(tracker.isDirty()).toBe(false);
+
+      tracker.set('name', 'Bo');
+      tracker.reset({ ...record, name: 'Bo' });
+      expect(tracker.current.name).toBe('Bo');
+      expect(tracker.isTouched()).toBe(false);
+      expect(tracker.getTouchedPaths()).toEqual([]);
+    });
+  });
+
+  describe('Deep equality', () => {
+    test('should ignore key order and treat NaN as equal to itself', () => {
+      expect(isEqual({ a: 1, b: { c: 2, d: 3 } }, { b: { d: 3, c: 2 }, a: 1 })).toBe(true);
+      expect(isEqual({ score: NaN }, { score: NaN })).toBe(true);
+      expect(hasChanges({ a: 1, b: 2 }, { b: 2, a: 1 })).toBe(false);
+      expect(diff({ score: NaN }, { score: NaN })).toEqual({});
+    });
+
+    test('should compare Dates, Maps, Sets and typed arrays by content', () => {
+      expect(isEqual(new Date('2024-01-01'), new Date('2024-01-01'))).toBe(true);
+      expect(isEqual(new Date('2024-01-01'), new Date('2024-01-02'))).toBe(false);
+      expect(isEqual(new Map([['a', { x: 1 }]]), new Map([['a', { x: 1 }]]))).toBe(true);
+      expect(isEqual(new Map([['a', 1]]), new Map([['a', 2]]))).toBe(false);
+      expect(isEqual(new Set([1, { id: 2 }]), new Set([{ id: 2 }, 1]))).toBe(true);
+      expect(isEqual(new Set([1, 2]), new Set([1, 3]))).toBe(false);
+      expect(isEqual(new Uint8Array([1, 2]), new Uint8Array([1, 2]))).toBe(true);
+      expect(isEqual(new Uint8Array([1, 2]), new Uint16Array([1, 2]))).toBe(false);
+      expect(isEqual({ tags: new Set(['a']) }, { tags: new Set(['b']) })).toBe(false);
+    });
+
+    test('should compare cyclic structures without overflowing', () => {
+      const a = { name: 'a' };
+      a.self = a;
+      const b = { name: 'a' };
+      b.self = b;
+      const c = { name: 'c' };
+      c.self = c;
+
+      expect(isEqual(a, b)).toBe(true);
+      expect(isEqual(a, c)).toBe(false);
+    });
+
+    test('should diff Maps and Sets as whole values', () => {
+      const original = { tags: new Set(['a', 'b']), prices: new Map([['eur', 10]]) };
+      const current = { tags: new Set(['b', 'a']), prices: new Map([['eur', 12]]) };
 
       const changes = diff(original, current);
+      expect(Object.keys(changes)).toEqual(['prices']);
+      expect(changes.prices.get('eur')).toBe(12);
+      expect(getChangedPaths(original, current)).toEqual(['prices']);
+    });
 
-      expect(changes).toEqual({
-        user: {
-          contact: {
-            email: 'newemail@example.com'
-          }
+    test('should use custom comparators by path', () => {
+      const comparators = { 'contacts[*].email': (a, b) => a.toLowerCase() === b.toLowerCase() };
+      const original = { contacts: [{ email: 'Ann@Example.com' }] };
+      const current = { contacts: [{ email: 'ann@example.com' }] };
+
+      expect(isEqual(original, current, { comparators })).toBe(true);
+      expect(hasChanges(original, current)).toBe(true);
+      expect(diff(original, current, { comparators })).toEqual({});
+      expect(getChangedPaths(original, current, { comparators })).toEqual([]);
+    });
+
+    test('should leave fields a mapper comparator finds equal out of every PATCH format', () => {
+      const mapper = new Mapper({
+        apiToForm: { email_address: 'email', amount: 'amount' },
+        comparators: {
+          email: (a, b) => a.trim().toLowerCase() === b.trim().toLowerCase(),
+          amount: (a, b) => Math.abs(a - b) < 0.005
         }
       });
+      const initial = mapper.normalize({ email_address: 'ann@example.com', amount: 10 });
+
+      expect(mapper.hasChanges(initial, { email: ' ANN@example.com', amount: 10.001 })).toBe(false);
+      expect(mapper.buildPatch(initial, { email: 'ANN@example.com', amount: 10.001 })).toBeNull();
+
+      const current = { email: 'ANN@example.com', amount: 12 };
+      expect(mapper.buildPatch(initial, current)).toEqual({ amount: 12 });
+      expect(mapper.buildPatch(initial, current, { format: 'merge-patch' })).toEqual({ amount: 12 });
+      expect(mapper.buildPatch(initial, current, { format: 'json-patch' })).toEqual([
+        { op: 'replace', path: '/amount', value: 12 }
+      ]);
+      expect(mapper.getChangedPaths(initial, current)).toEqual(['amount']);
     });
 
-    test('should check if objects have changes', () => {
-      const obj1 = { a: 1, b: 2 };
-      const obj2 = { a: 1, b: 3 };
-      const obj3 = { a: 1, b: 2 };
+    test('should not report merge conflicts a comparator settles', () => {
+      const mapper = new Mapper({
+        apiToForm: { email: 'email' },
+        comparators: { email: (a, b) => a.toLowerCase() === b.toLowerCase() }
+      });
+      const base = { email: 'ann@example.com' };
 
-      expect(hasChanges(obj1, obj2)).toBe(true);
-      expect(hasChanges(obj1, obj3)).toBe(false);
+      const { conflicts } = mapper.merge(base, { email: 'ANN@example.com' }, { email: 'Ann@Example.com' });
+      expect(conflicts).toEqual([]);
+    });
+
+    test('should report comparators for unknown fields', () => {
+      const { issues } = analyzeConfig({
+        apiToForm: { email: 'email' },
+        comparators: { mail: () => true }
+      });
+
+      expect(issues).toEqual([expect.objectContaining({ code: 'unknown-comparator', path: 'mail' })]);
     });
   });
 
-  describe('Payload building', () => {
-    test('should build PATCH payload with only changes', () => {
+  describe('Round-trip verification', () => {
+    const apiToForm = {
+      user_name: 'userName',
+      zip_code: 'zip',
+      age: 'age',
+      contact: { email_address: 'email' },
+      items: [{ sku: 'sku', qty: 'quantity' }, 'items']
+    };
+
+    test('should pass records that survive normalize and denormalize', () => {
+      const mapper = new Mapper({ apiToForm });
+      const result = mapper.verifyRoundTrip([
+        { user_name: 'john', age: 30, contact: { email_address: 'j@x.com' }, items: [{ sku: 'A-1', qty: 2 }] }
+      ]);
+
+      expect(result.valid).toBe(true);
+      expect(result.failures).toEqual([]);
+    });
+
+    test('should report type, value and dropped changes per path and stage', () => {
       const mapper = new Mapper({
-        apiToForm: {
-          user_name: 'username',
-          email_address: 'email',
-          age: 'age'
-        }
+        apiToForm,
+        transforms: { userName: { in: (value) => value.trim() } },
+        profiles: { post: { forbiddenFields: ['age'] } }
       });
 
-      const initialForm = {
-        username: 'john_doe',
-        email: 'john@example.com',
-        age: 30
-      };
+      const result = mapper.verifyRoundTrip([
+        { user_name: ' john ', zip_code: '007', age: 30, items: [{ sku: '12', qty: 1 }], unmapped: true }
+      ]);
+
+      expect(result.valid).toBe(false);
+      expect(result.failures).toEqual([
+        { sample: 0, stage: 'denormalize', path: 'user_name', kind: 'changed', input: ' john ', output: 'john' },
+        { sample: 0, stage: 'denormalize', path: 'zip_code', kind: 'type', input: '007', output: 7 },
+        { sample: 0, stage: 'denormalize', path: 'items[0].sku', kind: 'type', input: '12', output: 12 },
+        { sample: 0, stage: 'post', path: 'user_name', kind: 'changed', input: ' john ', output: 'john' },
+        { sample: 0, stage: 'post', path: 'zip_code', kind: 'type', input: '007', output: 7 },
+        { sample: 0, stage: 'post', path: 'items[0].sku', kind: 'type', input: '12', output: 12 }
+      ]);
+    });
 
-      const currentForm = {
-        username: 'john_doe',
-        email: 'newemail@example.com',
-        age: 31
-      };
+    test('should match profile field filters by path and wildcard', () => {
+      const record = { user_name: 'john', contact: { email_address: 'j@x.com' }, items: [{ sku: 'A-1', qty: 2 }] };
 
-      const patchPayload = mapper.buildPatch(initialForm, currentForm);
+      const forbidding = new Mapper({ apiToForm, profiles: { post: { forbiddenFields: ['items[*].quantity'] } } });
+      expect(forbidding.buildPost(forbidding.normalize(record)).items).toEqual([{ sku: 'A-1' }]);
+      expect(forbidding.verifyRoundTrip([record]).failures).toEqual([]);
 
-      expect(patchPayload).toEqual({
-        email_address: 'newemail@example.com',
-        age: 31
-      });
+      const allowing = new Mapper({ apiToForm, profiles: { post: { allowedFields: ['userName', 'items[*].sku'] } } });
+      expect(allowing.verifyRoundTrip([record]).failures).toEqual([]);
     });
 
-    test('should return null when no changes for PATCH', () => {
+    test('should report dropped fields and stage errors', () => {
       const mapper = new Mapper({
-        apiToForm: {
-          user_name: 'username',
-          email_address: 'email'
+        apiToForm: { user_name: 'userName', nickname: 'nickname' },
+        formToApi: { userName: 'user_name' },
+        validator: { userName: { required: true } }
+      });
+
+      const changes = compareRoundTrip({ a: 1, b: { c: 2 } }, { b: {} }, { a: 'a', b: { c: 'c' } });
+      expect(changes).toEqual([
+        { path: 'a', kind: 'dropped', input: 1, output: undefined },
+        { path: 'b.c', kind: 'dropped', input: 2, output: undefined }
+      ]);
+
+      // nickname is not written by formToApi, so it is not expected back
+      const result = mapper.verifyRoundTrip([{ nickname: 'jo' }]);
+      expect(result.failures).toHaveLength(1);
+      expect(result.failures[0]).toMatchObject({ sample: 0, stage: 'post', kind: 'error' });
+      expect(result.failures[0].error).toBeInstanceOf(ValidationError);
+    });
+
+    test('should generate reproducible random records from the mapping shape', () => {
+      const types = { age: 'integer', email: { type: 'enum', values: ['a@x.com', 'b@x.com'] } };
+      const records = generateRecords(apiToForm, 20, { seed: 7, types });
+
+      expect(records).toHaveLength(20);
+      expect(generateRecords(apiToForm, 20, { seed: 7, types })).toEqual(records);
+      expect(generateRecords(apiToForm, 20, { seed: 8, types })).not.toEqual(records);
+
+      for (const record of records) {
+        expect(Object.keys(record).every(key => key in apiToForm)).toBe(true);
+        if (typeof record.age === 'number') {
+          expect(Number.isInteger(record.age)).toBe(true);
+        }
+        if (record.contact && record.contact.email_address != null) {
+          expect(['a@x.com', 'b@x.com']).toContain(record.contact.email_address);
+        }
+        if (record.items) {
+          expect(Array.isArray(record.items)).toBe(true);
         }
+      }
+    });
+
+    test('should fuzz a mapper with generated records', () => {
+      const typed = new Mapper({
+        apiToForm: { user_name: 'userName', age: 'age', born_on: 'bornOn', created_at: 'createdAt' },
+        types: { userName: 'string', age: 'integer', bornOn: 'date', createdAt: 'datetime' }
       });
+      const untyped = new Mapper({ apiToForm: { zip_code: 'zip' } });
 
-      const formData = {
-        username: 'john_doe',
-        email: 'john@example.com'
-      };
+      const typedResult = typed.verifyRoundTrip(50, { seed: 3 });
+      expect(typedResult.samples).toHaveLength(50);
+      expect(typedResult.valid).toBe(true);
 
-      const patchPayload = mapper.buildPatch(formData, formData);
+      // Untyped fields get coercion-prone strings such as '007'
+      expect(untyped.verifyRoundTrip(50, { seed: 3 }).failures.some(failure => failure.kind === 'type')).toBe(true);
+    });
+  });
 
-      expect(patchPayload).toBeNull();
+  describe('Config analysis', () => {
+    const codes = (result) => result.issues.map(issue => `${issue.code}:${issue.path}`);
+
+    test('should pass a clean config', () => {
+      const result = Mapper.analyze({
+        apiToForm: { user_name: 'userName', contact: { email_address: 'email' } },
+        transforms: { userName: (value) => value },
+        defaults: { email: '' },
+        validator: { email: { required: true } }
+      });
+
+      expect(result).toEqual({ valid: true, issues: [] });
     });
 
-    test('should build POST payload with all fields', () => {
+    test('should report two API keys mapped to the same form key', () => {
+      const result = Mapper.analyze({
+        apiToForm: { email: 'email', contact: { email_address: 'email' } }
+      });
+
+      expect(result.valid).toBe(false);
+      expect(result.issues[0]).toEqual({
+        severity: 'error',
+        code: 'collision',
+        path: 'email',
+        message: 'Form field "email" is read from "email" and "contact.email_address"; only "contact.email_address" is written back'
+      });
+    });
+
+    test('should report collisions inside array item mappings and write mappings', () => {
+      const result = Mapper.analyze({
+        apiToForm: { items: [{ sku: 'code', sku_code: 'code' }, 'items'], name: 'name', title: 'title' },
+        formToApi: { items: [{ code: 'sku' }, 'items'], name: 'label', title: 'label' }
+      });
+
+      expect(codes(result)).toEqual(['collision:items[].code', 'collision:label']);
+    });
+
+    test('should report nested paths that shadow each other', () => {
+      const result = Mapper.analyze({
+        apiToForm: { contact: 'contact', email_address: 'contact.email' },
+        formToApi: { contact: 'contact', 'contact.email': 'contact.email' }
+      });
+
+      expect(codes(result)).toEqual(['shadowed-path:contact', 'shadowed-path:contact']);
+      expect(result.issues[0].message).toBe('Form field "contact" and nested "contact.email" overwrite each other');
+    });
+
+    test('should report config keys that match no mapped field', () => {
+      const result = Mapper.analyze({
+        apiToForm: { user_name: 'userName' },
+        transforms: { username: (value) => value },
+        types: { age: 'integer' },
+        defaults: { theme: 'light' },
+        validator: { email: { required: true }, $cross: [{ fields: ['userName', 'phone'], check: () => true }] },
+        profiles: { patch: { forbiddenFields: ['id'], transforms: { userName: (value) => value } } }
+      });
+
+      expect(result.valid).toBe(true);
+      expect(codes(result)).toEqual([
+        'unknown-transform:username',
+        'unknown-type:age',
+        'unknown-rule:email',
+        'unknown-rule:phone',
+        'unknown-profile-field:id',
+        'unmapped-default:theme'
+      ]);
+    });
+
+    test('should report write mappings for fields nothing reads', () => {
+      const result = Mapper.analyze({
+        apiToForm: { user_name: 'userName' },
+        formToApi: { patch: { userName: 'user_name', nickname: 'nick' } }
+      });
+
+      expect(codes(result)).toEqual(['unreachable:nickname']);
+      expect(result.issues[0].message).toBe(
+        'formToApi.patch writes form field "nickname", but apiToForm never reads it and it has no default'
+      );
+    });
+
+    test('should report invalid mapping values', () => {
+      expect(codes(analyzeConfig({}))).toEqual(['invalid-mapping:']);
+      expect(codes(analyzeConfig({ apiToForm: { a: 1, b: {} } }))).toEqual(['invalid-mapping:a', 'invalid-mapping:b']);
+    });
+
+    test('should analyze a mapper instance config', () => {
       const mapper = new Mapper({
-        apiToForm: {
-          user_name: 'username',
-          email_address: 'email',
-          age: 'age'
+        apiToForm: { first: 'name', last: 'name' },
+        validator: { nmae: { required: true } }
+      });
+
+      expect(codes(mapper.analyze())).toEqual(['collision:name', 'unknown-rule:nmae']);
+    });
+  });
+
+  describe('TypeScript generation', () => {
+    const config = {
+      apiToForm: {
+        user_name: 'userName',
+        age: 'age',
+        status: 'status',
+        created_at: 'createdAt',
+        contact: { email_address: 'email', phone: 'contact.phone' },
+        line_items: [{ sku_code: 'sku', qty: 'quantity' }, 'lineItems'],
+        'x-trace': 'trace'
+      },
+      types: {
+        age: 'integer',
+        status: { type: 'enum', values: ['active', 'disabled'] },
+        createdAt: 'datetime'
+      },
+      defaults: { trace: 'none' },
+      validator: { userName: { required: true } }
+    };
+
+    test('should emit API and form interfaces from a mapping config', () => {
+      expect(generateTypes(config, { name: 'User' })).toBe([
+        'export interface UserApi {',
+        '  user_name?: unknown;',
+        '  age?: number;',
+        '  status?: "active" | "disabled";',
+        '  created_at?: string;',
+        '  contact?: {',
+        '    email_address?: unknown;',
+        '    phone?: unknown;',
+        '  };',
+        '  line_items?: Array<{',
+        '    sku_code?: unknown;',
+        '    qty?: unknown;',
+        '  }>;',
+        '  "x-trace"?: string;',
+        '}',
+        '',
+        'export interface UserForm {',
+        '  userName: unknown;',
+        '  age?: number;',
+        '  status?: "active" | "disabled";',
+        '  createdAt?: Date;',
+        '  email?: unknown;',
+        '  contact?: {',
+        '    phone?: unknown;',
+        '  };',
+        '  lineItems?: Array<{',
+        '    sku?: unknown;',
+        '    quantity?: unknown;',
+        '  }>;',
+        '  trace: string;',
+        '}',
+        ''
+      ].join('\n'));
+    });
+
+    test('should generate types from a mapper instance', () => {
+      const mapper = new Mapper(config);
+      const source = mapper.generateTypes({ apiName: 'Payload', formName: 'Values' });
+
+      expect(source).toContain('export interface Payload {');
+      expect(source).toContain('export interface Values {');
+      expect(source).toContain('  userName: unknown;');
+    });
+
+    test('should nest API path keys instead of using them as property names', () => {
+      const source = generateTypes({
+        apiToForm: { 'contact.email': 'email', 'meta["a.b"]': 'ab', contact: { phone: 'phone' } },
+        types: { email: 'string' }
+      }, { name: 'Contact' });
+
+      expect(source.split('export interface ContactForm')[0]).toBe([
+        'export interface ContactApi {',
+        '  contact?: {',
+        '    email?: string;',
+        '    phone?: unknown;',
+        '  };',
+        '  meta?: {',
+        '    "a.b"?: unknown;',
+        '  };',
+        '}',
+        '',
+        ''
+      ].join('\n'));
+    });
+
+    test('should require an apiToForm mapping', () => {
+      expect(() => generateTypes({})).toThrow(MapperConfigError);
+    });
+  });
+
+  describe('OpenAPI import', () => {
+    const document = {
+      openapi: '3.0.3',
+      paths: {
+        '/users/{id}': {
+          get: {
+            operationId: 'getUser',
+            responses: {
+              200: { content: { 'application/json': { schema: { $ref: '#/components/schemas/User' } } } }
+            }
+          },
+          patch: {
+            operationId: 'updateUser',
+            requestBody: {
+              content: { 'application/json': { schema: { $ref: '#/components/schemas/UserUpdate' } } }
+            },
+            responses: { 200: { description: 'OK' } }
+          }
+        }
+      },
+      components: {
+        schemas: {
+          Address: {
+            type: 'object',
+            properties: {
+              city: { type: 'string' },
+              postal_code: { type: 'string', pattern: '^\\d{5}$' }
+            }
+          },
+          User: {
+            allOf: [
+              {
+                type: 'object',
+                required: ['id'],
+                properties: { id: { type: 'integer', readOnly: true } }
+              },
+              {
+                type: 'object',
+                required: ['first_name'],
+                properties: {
+                  first_name: { type: 'string', minLength: 1 },
+                  status: { type: 'string', enum: ['active', 'disabled'], default: 'active' },
+                  birth_date: { type: 'string', format: 'date' },
+                  billing: { $ref: '#/components/schemas/Address' },
+                  shipping: { $ref: '#/components/schemas/Address' },
+                  roles: { type: 'array', items: { type: 'object', properties: { role_name: { type: 'string' } } } }
+                }
+              }
+            ]
+          },
+          UserUpdate: {
+            type: 'object',
+            required: ['given_name'],
+            properties: {
+              given_name: { type: 'string', maxLength: 50 },
+              status: { type: 'string', enum: ['active', 'disabled'] },
+              password: { type: 'string', writeOnly: true }
+            }
+          }
         }
+      }
+    };
+
+    test('should generate apiToForm from the response schema', () => {
+      const config = generateMapperConfig(document, 'getUser');
+
+      expect(config.apiToForm).toEqual({
+        id: 'id',
+        first_name: 'firstName',
+        status: 'status',
+        birth_date: 'birthDate',
+        billing: { city: 'billingCity', postal_code: 'billingPostalCode' },
+        shipping: { city: 'shippingCity', postal_code: 'shippingPostalCode' },
+        roles: [{ role_name: 'roleName' }, 'roles']
       });
+    });
 
-      const formData = {
-        username: 'john_doe',
-        email: 'john@example.com',
-        age: 30
+    test('should generate types, defaults and validation rules', () => {
+      const config = generateMapperConfig(document, { path: '/users/{id}' });
+
+      expect(config.types.id).toBe('integer');
+      expect(config.types.birthDate).toBe('date');
+      expect(config.types.status).toEqual({ type: 'enum', values: ['active', 'disabled'] });
+      expect(config.defaults).toEqual({ status: 'active' });
+      expect(config.validator.givenName).toEqual({ required: true, maxLength: 50 });
+      expect(config.validator.status).toEqual({ enum: ['active', 'disabled'] });
+      expect(config.validator.firstName).toBeUndefined();
+    });
+
+    test('should map the request shape separately from the response shape', () => {
+      const config = generateMapperConfig(document, 'updateUser');
+
+      expect(config.formToApi).toEqual({
+        patch: { givenName: 'given_name', status: 'status', password: 'password' }
+      });
+      expect(config.apiToForm.password).toBeUndefined();
+    });
+
+    test('should treat a plain JSON Schema as both shapes', () => {
+      const config = generateMapperConfig({
+        type: 'object',
+        required: ['total_price'],
+        properties: { total_price: { type: 'number', minimum: 0 }, created_at: { type: 'string', format: 'date-time' } }
+      }, null, { naming: 'preserve' });
+
+      expect(config.apiToForm).toEqual({ total_price: 'total_price', created_at: 'created_at' });
+      expect(config.types).toEqual({ total_price: 'decimal', created_at: 'datetime' });
+      expect(config.validator).toEqual({ total_price: { required: true, min: 0 } });
+      expect(config.formToApi).toBeUndefined();
+    });
+
+    test('should name array items and declare their types and rules by item path', () => {
+      const schema = {
+        type: 'object',
+        properties: {
+          line_items: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['sku_code'],
+              properties: {
+                sku_code: { type: 'string' },
+                unit_price: { type: 'number', minimum: 0 },
+                shipped_on: { type: 'string', format: 'date', default: '2024-01-01' }
+              }
+            }
+          }
+        }
       };
 
-      const postPayload = mapper.buildPost(formData);
+      const preserved = generateMapperConfig(schema, null, { naming: 'preserve' });
+      expect(preserved.apiToForm).toEqual({
+        line_items: [{ sku_code: 'sku_code', unit_price: 'unit_price', shipped_on: 'shipped_on' }, 'line_items']
+      });
 
-      expect(postPayload).toEqual({
-        user_name: 'john_doe',
-        email_address: 'john@example.com',
-        age: 30
+      const config = generateMapperConfig(schema);
+      expect(config.types).toEqual({
+        'lineItems[*].skuCode': 'string',
+        'lineItems[*].unitPrice': 'decimal',
+        'lineItems[*].shippedOn': 'date'
+      });
+      expect(config.defaults).toEqual({});
+      expect(config.validator).toEqual({
+        'lineItems[*].skuCode': { required: true },
+        'lineItems[*].unitPrice': { min: 0 }
+      });
+
+      const mapper = new Mapper(config);
+      const form = mapper.normalize({ line_items: [{ sku_code: '007', unit_price: '9.5', shipped_on: '2024-03-01' }] });
+      expect(form.lineItems).toEqual([{ skuCode: '007', unitPrice: 9.5, shippedOn: new Date('2024-03-01T00:00:00Z') }]);
+    });
+
+    test('should build a working mapper with Mapper.fromOpenApi', () => {
+      const mapper = Mapper.fromOpenApi(document, 'getUser');
+      const form = mapper.normalize({ id: '7', first_name: 'Ada', birth_date: '1990-05-01', billing: { city: 'Oslo' } });
+
+      expect(form.id).toBe(7);
+      expect(form.status).toBe('active');
+      expect(form.birthDate).toEqual(new Date('1990-05-01T00:00:00Z'));
+
+      const patch = mapper.buildPatch(form, { ...form, firstName: 'Grace', givenName: 'Grace' });
+      expect(patch).toEqual({ given_name: 'Grace' });
+      expect(() => mapper.buildPatch(form, { ...form, givenName: 'x'.repeat(51) })).toThrow(ValidationError);
+    });
+
+    test('should resolve $ref responses and request bodies from components', () => {
+      const refDocument = {
+        ...document,
+        paths: {
+          '/users/{id}': {
+            get: { operationId: 'getUser', responses: { 200: { $ref: '#/components/responses/UserResponse' } } },
+            put: { operationId: 'replaceUser', requestBody: { $ref: '#/components/requestBodies/UserBody' } }
+          }
+        },
+        components: {
+          ...document.components,
+          responses: {
+            UserResponse: { content: { 'application/json': { schema: { $ref: '#/components/schemas/UserUpdate' } } } }
+          },
+          requestBodies: {
+            UserBody: { content: { 'application/json': { schema: { $ref: '#/components/schemas/UserUpdate' } } } }
+          }
+        }
+      };
+
+      expect(generateMapperConfig(refDocument, 'getUser').apiToForm).toEqual({
+        given_name: 'givenName',
+        status: 'status'
+      });
+      expect(generateMapperConfig(refDocument, 'replaceUser').formToApi).toEqual({
+        put: { givenName: 'given_name', status: 'status', password: 'password' }
       });
     });
+
+    test('should throw MapperConfigError for unknown operations and remote refs', () => {
+      expect(() => generateMapperConfig(document, 'deleteUser')).toThrow(MapperConfigError);
+      expect(() => generateMapperConfig({ properties: { a: { $ref: 'other.json#/A' } } })).toThrow('Only local $ref values are supported');
+    });
   });
 
   describe('Complete workflow', () => {
@@ -394,6 +2826,14 @@ describe('Mapper', () => {
         e: 3
       });
     });
+
+    test('should tell per-kind formToApi configs from flat mappings', () => {
+      expect(isFormToApiByKind({ default: { name: 'full_name' }, patch: { name: 'name' } })).toBe(true);
+      expect(isFormToApiByKind({ name: 'full_name', items: [{ sku: 'sku_code' }, 'line_items'] })).toBe(false);
+      expect(isFormToApiByKind({ post: { name: 'full_name' }, name: 'full_name' })).toBe(false);
+      expect(isFormToApiByKind({})).toBe(false);
+      expect(isFormToApiByKind(null)).toBe(false);
+    });
   });
 
   describe('Edge cases', () => {
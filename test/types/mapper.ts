@@ -0,0 +1,44 @@
+/**
+ * Type-level checks for src/index.d.ts (run with `npm run test:types`)
+ */
+
+import Mapper = require('../../src/index');
+
+interface OrderApi {
+  order_no: string;
+  address: { city: string; zip_code: string };
+  line_items: Array<{ sku_code: string; email: string }>;
+}
+
+interface OrderForm {
+  orderNo: string;
+  address: { city: string; zip: string };
+  lineItems: Array<{ sku: string; email: string }>;
+}
+
+// Field maps accept top-level, nested and item paths
+new Mapper<OrderApi, OrderForm>({
+  apiToForm: {
+    order_no: 'orderNo',
+    address: { city: 'address.city', zip_code: 'address.zip' },
+    line_items: [{ sku_code: 'sku', email: 'email' }, 'lineItems']
+  },
+  types: { orderNo: 'string', 'address.zip': 'string', 'lineItems[*].sku': 'string' },
+  comparators: { 'lineItems[*].email': (a, b) => String(a).toLowerCase() === String(b).toLowerCase() },
+  access: { 'lineItems[*].sku': 'immutable' },
+  validator: { 'address.city': { required: true }, 'lineItems[*].sku': { required: true } },
+  transforms: { 'address.zip': { in: (value: string) => value.trim(), out: (value: string) => value } }
+});
+
+// Keys still have to start with a form field
+new Mapper<OrderApi, OrderForm>({
+  apiToForm: { order_no: 'orderNo' },
+  // @ts-expect-error unknown form field
+  types: { orderNumber: 'string' }
+});
+
+new Mapper<OrderApi, OrderForm>({
+  apiToForm: { order_no: 'orderNo' },
+  // @ts-expect-error unknown form field in an item path
+  comparators: { 'items[*].email': () => true }
+});